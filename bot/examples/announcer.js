@@ -0,0 +1,31 @@
+/**
+ * Announcer: plays a file into a channel, then leaves. Run it from cron:
+ *
+ *   0 9 * * 1-5 cd /path/to/walkie-talkie/bot && node examples/announcer.js morning.wav
+ *
+ * Environment: WALKIE_SERVER (default ws://localhost:8080), WALKIE_CHANNEL (1),
+ * WALKIE_TOKEN (a bot account's token from cli/generate-token.php).
+ */
+const { WalkieTalkieBot } = require('..');
+
+async function main(file) {
+    const bot = new WalkieTalkieBot({
+        server: process.env.WALKIE_SERVER || 'ws://localhost:8080',
+        token: process.env.WALKIE_TOKEN,
+        screenName: 'Announcer',
+        channel: process.env.WALKIE_CHANNEL || '1'
+    });
+
+    await bot.connect();
+    try {
+        const { channel, duration } = await bot.sendFile(file);
+        console.log(`Sent ${file} to channel ${channel} (${(duration / 1000).toFixed(1)}s)`);
+    } finally {
+        await bot.disconnect();
+    }
+}
+
+main(process.argv[2] || 'announcement.wav').catch(error => {
+    console.error(`${error.code || 'error'}: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * Logger: records every transmission on a channel to ./recordings and logs who
+ * comes and goes. Runs until interrupted.
+ *
+ * Environment: WALKIE_SERVER (default ws://localhost:8080), WALKIE_CHANNEL (1),
+ * WALKIE_TOKEN (optional).
+ */
+const { WalkieTalkieBot } = require('..');
+
+async function main(directory) {
+    const bot = new WalkieTalkieBot({
+        server: process.env.WALKIE_SERVER || 'ws://localhost:8080',
+        token: process.env.WALKIE_TOKEN,
+        screenName: 'Logger',
+        channel: process.env.WALKIE_CHANNEL || '1'
+    });
+
+    bot.on('participant_joined', ({ screen_name }) => console.log(`${screen_name} joined`));
+    bot.on('participant_left', ({ screen_name }) => console.log(`${screen_name} left`));
+    bot.on('recording_saved', ({ screen_name, file }) => console.log(`${screen_name}: ${file}`));
+    bot.on('connection_status', ({ status }) => console.log(`Connection: ${status}`));
+
+    const { channel, participants } = await bot.connect();
+    console.log(`Logging channel ${channel} (${participants} here)`);
+    bot.record(directory);
+
+    process.on('SIGINT', async () => {
+        await bot.disconnect(); // Saves the transmission in progress
+        process.exit(0);
+    });
+}
+
+main(process.argv[2] || 'recordings').catch(error => {
+    console.error(`${error.code || 'error'}: ${error.message}`);
+    process.exit(1);
+});
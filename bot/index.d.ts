@@ -0,0 +1,56 @@
+/**
+ * Type declarations for the Walkie Talkie bot client (index.js)
+ *
+ * The client's own events, commands and methods are declared in
+ * public/assets/walkie-talkie.d.ts. See docs/BOT.md.
+ */
+/// <reference path="../public/assets/walkie-talkie.d.ts" />
+
+interface WalkieTalkieBotOptions {
+    /** WebSocket URL of the server. Taken from config.php when only `web` is given */
+    server?: string;
+    /** URL of the web app, for config.php, the channel directory and token checks */
+    web?: string;
+    /** Token of a bot account (cli/generate-token.php) */
+    token?: string;
+    /** Screen name without a token */
+    screenName?: string;
+    channel?: string | number;
+    wireSampleRate?: number;
+}
+
+interface WalkieTalkieRecording {
+    channel: string;
+    screen_name: string | null;
+    file: string;
+    mime_type: string;
+    /** ms; null for browser-encoded audio */
+    duration: number | null;
+    started_at: number;
+}
+
+declare class WalkieTalkieBot extends WalkieTalkie {
+    constructor(options: WalkieTalkieBotOptions);
+
+    on(event: 'recording_saved', callback: (data: WalkieTalkieRecording) => void): () => void;
+    on<E extends WalkieTalkieEventName>(event: E, callback: (data: WalkieTalkieEvents[E]) => void): () => void;
+    on(event: '*', callback: WalkieTalkieWildcardListener): () => void;
+
+    connect(): Promise<{ channel: string; name: string; participants: number }>;
+    disconnect(): Promise<void>;
+
+    /** WAV, or raw 16-bit mono PCM at `sampleRate` (48000) */
+    sendFile(file: string, options?: { sampleRate?: number }): Promise<{ channel: string; duration: number }>;
+    sendStream(stream: AsyncIterable<Uint8Array>, options?: { format?: 'wav' | 'pcm16'; sampleRate?: number }): Promise<{ channel: string; duration: number }>;
+
+    /** Returns a function that stops recording and resolves once the files are written */
+    record(directory: string, options?: { idleTimeout?: number }): () => Promise<void>;
+    history(channel?: string | number): Promise<WalkieTalkieHistoryMessage[]>;
+}
+
+// The global class, re-exported for require('walkie-talkie-bot').WalkieTalkie
+declare const WalkieTalkieClient: typeof WalkieTalkie;
+
+export { WalkieTalkieBot, WalkieTalkieClient as WalkieTalkie };
+export function parseWav(bytes: Uint8Array | ArrayBuffer): { samples: Float32Array; sampleRate: number };
+export function encodeWav(samples: Float32Array | Int16Array, sampleRate: number): Uint8Array;
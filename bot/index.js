@@ -0,0 +1,17 @@
+/**
+ * Walkie Talkie bot client
+ *
+ * Node.js bots that join channels like any other user: they transmit files and
+ * streams, record what they hear and follow the same events as the web app.
+ * See docs/BOT.md.
+ */
+const WalkieTalkieBot = require('./lib/walkie-talkie-bot');
+const { WalkieTalkie } = require('./lib/client');
+const { parseWav, encodeWav } = require('./lib/wav');
+
+module.exports = {
+    WalkieTalkieBot,
+    WalkieTalkie,
+    parseWav,
+    encodeWav
+};
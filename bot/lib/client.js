@@ -0,0 +1,37 @@
+/**
+ * Loads the web client's core into Node
+ *
+ * resampler.js and walkie-talkie.js are the same classic scripts the browser
+ * runs, so bots speak exactly the protocol the web app does. Each one attaches
+ * its class to globalThis. They are compiled with a console of their own: the
+ * client's progress logging is dropped unless WALKIE_TALKIE_DEBUG is set, while
+ * warnings and errors still come through.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ASSETS_DIR = path.join(__dirname, '..', '..', 'public', 'assets');
+
+const ignore = () => {};
+const clientConsole = process.env.WALKIE_TALKIE_DEBUG
+    ? console
+    : { ...console, log: ignore, info: ignore, debug: ignore };
+
+function loadScript(file) {
+    const filename = path.join(ASSETS_DIR, file);
+    const run = vm.compileFunction(fs.readFileSync(filename, 'utf8'), ['console'], { filename });
+    run(clientConsole);
+}
+
+if (!globalThis.SincResampler) {
+    loadScript('resampler.js');
+}
+if (!globalThis.WalkieTalkie) {
+    loadScript('walkie-talkie.js');
+}
+
+module.exports = {
+    WalkieTalkie: globalThis.WalkieTalkie,
+    SincResampler: globalThis.SincResampler
+};
@@ -0,0 +1,455 @@
+/**
+ * WalkieTalkieBot
+ *
+ * The headless WalkieTalkie core (public/assets/walkie-talkie.js) with Node
+ * adapters: WebSocket connections from the `ws` package, settings kept in
+ * memory and no audio device. On top of the core's events and commands it sends
+ * WAV or raw PCM files and streams, records what it hears to files and reads
+ * channel history.
+ *
+ *   const bot = new WalkieTalkieBot({ server: 'wss://walkie.example.com/ws', screenName: 'Announcer', channel: '1' });
+ *   await bot.connect();
+ *   await bot.sendFile('announcement.wav');
+ *   await bot.disconnect();
+ *
+ * See docs/BOT.md.
+ */
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { WalkieTalkie, SincResampler } = require('./client');
+const wav = require('./wav');
+
+// A WAV stream whose data hasn't started by now isn't one we can read
+const MAX_WAV_HEADER_BYTES = 65536;
+
+class WalkieTalkieBot extends WalkieTalkie {
+    constructor(options = {}) {
+        if (!options.server && !options.web) {
+            throw new Error('WalkieTalkieBot needs the WebSocket server URL (server) or the web app URL (web)');
+        }
+
+        const storage = WalkieTalkie.createMemoryStorage();
+        if (options.token) {
+            storage.local.setItem('access_token', options.token);
+        }
+
+        super({
+            channel: options.channel !== undefined ? String(options.channel) : '1',
+            serverUrl: options.server || null,
+            // Without the web app there's no config.php; the WebSocket server decides who may join
+            config: options.web ? null : { websocketUrl: options.server, anonymousModeEnabled: true },
+            screenName: options.screenName || null,
+            wireSampleRate: options.wireSampleRate !== undefined ? options.wireSampleRate : null,
+            transport: WalkieTalkieBot.createNodeTransport(options.web || null),
+            storage,
+            audio: null,
+            listenOnly: true
+        });
+
+        this.web = options.web || null;
+        this.isStreaming = false; // sendStream() is on air
+        this.recorders = new Set(); // stop() functions of the record() calls still running
+    }
+
+    static createNodeTransport(web) {
+        return {
+            connect: (url) => new WebSocket(url),
+            // config.php, channels.php and auth/ are served by the web app
+            fetch: (url, options) => web
+                ? fetch(new URL(url, web), options)
+                : Promise.reject(new Error(`No web URL to fetch ${url} from`)),
+            isOnline: () => true,
+            onNetworkChange: () => () => {}
+        };
+    }
+
+    // Connection Methods
+
+    async loadChannelDirectory() {
+        // Named channels come from the web app's channels.php
+        if (this.web) {
+            await super.loadChannelDirectory();
+        }
+    }
+
+    async checkAuthentication() {
+        const token = this.storage.local.getItem('access_token');
+        if (this.web || !token) {
+            await super.checkAuthentication();
+            return;
+        }
+
+        // Nothing to validate the token against; the WebSocket server checks it on connect
+        this.accessToken = token;
+        this.emitAuthChanged();
+    }
+
+    async connect() {
+        // Resolves like join() once the talk channel is joined
+        const joined = this.waitForEvent(
+            'channel_joined',
+            data => !data.scanned,
+            (event, data) => {
+                if (event === 'auth_required') {
+                    return WalkieTalkie.error('auth_required', 'The server requires a login; pass a token');
+                }
+                // A taken screen name is replaced, and the bot joins under the new one
+                if (event === 'error' && data.code !== 'screen_name_taken') {
+                    return WalkieTalkie.error(data.code || 'server_error', data.message);
+                }
+                return null;
+            }
+        );
+
+        try {
+            await Promise.all([this.init(), joined]);
+        } catch (error) {
+            this.destroy();
+            throw error;
+        }
+
+        return { channel: this.channel, name: this.getChannelName(this.channel), participants: this.participants };
+    }
+
+    async disconnect() {
+        // Saves the recordings still in progress, then disconnects for good
+        await Promise.all(Array.from(this.recorders).map(stop => stop()));
+        this.destroy();
+    }
+
+    // Transmit Methods
+
+    checkCanTalk() {
+        if (this.isStreaming) {
+            throw WalkieTalkie.error('busy', 'Already transmitting');
+        }
+        super.checkCanTalk();
+    }
+
+    async sendFile(file, options = {}) {
+        // WAV files carry their own format; anything else is raw 16-bit mono PCM
+        const bytes = await fs.promises.readFile(file);
+        if (!wav.isWav(bytes)) {
+            return this.talk(wav.decodeFrames(bytes), { sampleRate: options.sampleRate || WalkieTalkieBot.RAW_SAMPLE_RATE });
+        }
+
+        let clip;
+        try {
+            clip = wav.parseWav(bytes);
+        } catch (error) {
+            throw WalkieTalkie.error('invalid_audio', error.message);
+        }
+        return this.talk(clip.samples, { sampleRate: clip.sampleRate });
+    }
+
+    async sendStream(stream, options = {}) {
+        // Transmits while the stream is read, e.g. the output of a TTS engine or ffmpeg
+        this.checkCanTalk();
+
+        const channel = this.channel;
+        const serverMax = this.getServerTransmitLimit();
+        const framer = new StreamFramer(this, options);
+        let duration = 0;
+        let started = false;
+        let ended = false;
+        let refused = null;
+        let onAirUntil = 0; // When listeners will have played everything sent so far
+
+        // The server cuts transmissions off that it won't (or no longer will) carry
+        const stopListening = this.on('error', (data) => {
+            refused = refused || this.getTransmitRefusal(data, channel);
+        });
+
+        const send = async (chunks) => {
+            for (const chunk of chunks) {
+                // One frame per frame duration, like live speech. A stream that falls behind
+                // (a slow TTS engine) isn't sent in a burst to catch up
+                const wait = onAirUntil - WalkieTalkie.RECORDING_SEND_LEAD - Date.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+
+                if (refused) throw refused;
+                if (!this.isSocketOpen()) {
+                    throw WalkieTalkie.error('not_connected', 'Disconnected from the server');
+                }
+
+                if (!started) {
+                    started = true;
+                    this.audioSequence = 0;
+                    this.ws.send(JSON.stringify({ type: 'push_to_talk_start', channel, clientId: this.clientId }));
+                    this.emit('talking', { talking: true, channel, offline: false });
+                }
+
+                duration += chunk.duration;
+                if (serverMax && duration > serverMax * 1000) {
+                    throw WalkieTalkie.error('too_long', `Transmissions are limited to ${serverMax} seconds`);
+                }
+                this.sendAudioPayload(chunk.bytes, 'pcm16', framer.rate, chunk.duration, channel);
+                onAirUntil = Math.max(onAirUntil, Date.now()) + chunk.duration;
+            }
+        };
+
+        const end = () => {
+            if (!started || ended) return;
+            ended = true;
+            if (this.isSocketOpen()) {
+                this.ws.send(JSON.stringify({ type: 'push_to_talk_end', channel, clientId: this.clientId }));
+            }
+        };
+
+        this.isStreaming = true;
+        try {
+            // Leaving the loop early (on an error) destroys the stream
+            for await (const bytes of stream) {
+                await send(framer.push(bytes));
+            }
+            await send(framer.flush());
+
+            if (!started) {
+                throw WalkieTalkie.error('invalid_audio', 'The stream held no audio');
+            }
+
+            end();
+            if (refused) throw refused;
+            await this.confirmTransmission(channel);
+        } finally {
+            end();
+            this.isStreaming = false;
+            stopListening();
+            if (started) {
+                this.emit('talking', { talking: false, channel });
+            }
+        }
+
+        return { channel, duration };
+    }
+
+    // Recording Methods
+
+    record(directory, options = {}) {
+        // Saves each transmission heard to its own file: pcm16 as WAV, browser-encoded audio as sent.
+        // Returns a function that stops recording and resolves once the files are written.
+        const idleTimeout = options.idleTimeout || WalkieTalkieBot.RECORDING_IDLE_MS;
+        const recordings = new Map(); // Map: speaker key => transmission being recorded
+        const writes = new Set();
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        const finish = (speaker) => {
+            const recording = recordings.get(speaker);
+            if (!recording) return;
+
+            recordings.delete(speaker);
+            clearTimeout(recording.timer);
+
+            const write = this.saveRecording(directory, recording)
+                .then(saved => this.emit('recording_saved', saved))
+                .catch(error => {
+                    console.error('Failed to save recording:', error);
+                    this.emit('error', { code: 'recording_failed', message: error.message, channel: recording.channel });
+                })
+                .finally(() => writes.delete(write));
+            writes.add(write);
+        };
+
+        const unsubscribers = [
+            this.on('audio_received', (data) => {
+                // Raw Opus packets would need a container; channels with a bot in them stay on pcm16
+                if (data.format === 'opus') return;
+
+                let recording = recordings.get(data.speaker);
+                if (recording && recording.format !== data.format) {
+                    finish(data.speaker);
+                    recording = null;
+                }
+                if (!recording) {
+                    recording = {
+                        channel: data.channel,
+                        screen_name: data.screen_name,
+                        format: data.format,
+                        sampleRate: data.sample_rate || WalkieTalkieBot.RAW_SAMPLE_RATE,
+                        mimeType: data.mime_type,
+                        startedAt: Date.now(),
+                        chunks: [],
+                        timer: null
+                    };
+                    recordings.set(data.speaker, recording);
+                }
+
+                recording.screen_name = recording.screen_name || data.screen_name;
+                recording.chunks.push(Buffer.from(data.data));
+
+                // A speaker who drops out never says they stopped
+                clearTimeout(recording.timer);
+                recording.timer = setTimeout(() => finish(data.speaker), idleTimeout);
+            }),
+            this.on('speaking', (data) => {
+                if (!data.speaking && data.speaker) {
+                    finish(data.speaker);
+                }
+            })
+        ];
+
+        const stop = async () => {
+            if (this.recorders.delete(stop)) {
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                Array.from(recordings.keys()).forEach(finish);
+            }
+            await Promise.all(Array.from(writes));
+        };
+
+        this.recorders.add(stop);
+        return stop;
+    }
+
+    async saveRecording(directory, recording) {
+        const data = Buffer.concat(recording.chunks);
+        const pcm = recording.format === 'pcm16';
+        const name = [
+            new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-'),
+            recording.channel,
+            recording.screen_name || 'unknown'
+        ].join('_').replace(/[^\w.-]+/g, '-');
+        const file = path.join(directory, `${name}.${pcm ? 'wav' : WalkieTalkieBot.getFileExtension(recording.mimeType)}`);
+
+        await fs.promises.writeFile(file, pcm ? Buffer.concat([wav.createWavHeader(data.length, recording.sampleRate), data]) : data);
+
+        return {
+            channel: recording.channel,
+            screen_name: recording.screen_name,
+            file,
+            mime_type: pcm ? 'audio/wav' : recording.mimeType,
+            duration: pcm ? data.length / 2 / recording.sampleRate * 1000 : null, // ms; unknown for encoded audio
+            started_at: recording.startedAt
+        };
+    }
+
+    static getFileExtension(mimeType) {
+        const subtype = (mimeType || 'audio/webm').split(';')[0].split('/')[1] || 'webm';
+        return subtype === 'mp4' ? 'm4a' : subtype;
+    }
+
+    // History Methods
+
+    async history(channel = this.channel) {
+        // Resolves with the channel's stored messages, oldest first
+        if (!this.isSocketOpen()) {
+            throw WalkieTalkie.error('not_connected', 'Not connected to the server');
+        }
+
+        const target = String(channel);
+        const updated = this.waitForEvent('history_updated', data => data.channel === target);
+        this.requestHistory(target);
+        return (await updated).messages;
+    }
+}
+
+/**
+ * Turns a byte stream into wire chunks: reads the WAV header if there is one,
+ * then decodes, resamples to the wire rate and cuts whole frames as bytes arrive.
+ */
+class StreamFramer {
+    constructor(client, options) {
+        this.client = client;
+        this.type = options.format || null; // 'wav' or 'pcm16'; sniffed from the first bytes otherwise
+        this.inputRate = options.sampleRate || WalkieTalkieBot.RAW_SAMPLE_RATE; // For raw PCM
+        this.format = null; // Sample format, once the header has been read
+        this.remaining = Infinity; // Sample bytes still to come
+        this.pending = Buffer.alloc(0); // Bytes not decoded yet
+        this.resampler = null;
+        this.rate = 0; // Rate the chunks are sent at
+        this.samples = new Float32Array(0); // Resampled, waiting for a whole frame
+    }
+
+    push(bytes) {
+        this.pending = Buffer.concat([this.pending, Buffer.from(bytes)]);
+        if (!this.format && !this.readHeader()) {
+            return [];
+        }
+        return this.frame(this.decode());
+    }
+
+    flush() {
+        if (!this.format) {
+            this.type = this.type || (wav.isWav(this.pending) ? 'wav' : 'pcm16');
+            if (!this.readHeader()) {
+                throw WalkieTalkie.error('invalid_audio', 'The WAV stream ended before its audio');
+            }
+        }
+
+        const samples = this.decode();
+        const tail = this.resampler ? this.resampler.flush() : new Float32Array(0);
+        const all = new Float32Array(samples.length + tail.length);
+        all.set(samples);
+        all.set(tail, samples.length);
+        return this.frame(all, true);
+    }
+
+    readHeader() {
+        if (!this.type) {
+            if (this.pending.length < 12) return false;
+            this.type = wav.isWav(this.pending) ? 'wav' : 'pcm16';
+        }
+
+        let sampleRate = this.inputRate;
+        if (this.type === 'wav') {
+            let header;
+            try {
+                header = wav.readWavHeader(this.pending);
+            } catch (error) {
+                throw WalkieTalkie.error('invalid_audio', error.message);
+            }
+            if (!header) {
+                if (this.pending.length > MAX_WAV_HEADER_BYTES) {
+                    throw WalkieTalkie.error('invalid_audio', 'No audio found in the WAV stream');
+                }
+                return false;
+            }
+
+            this.format = header;
+            this.remaining = header.dataLength;
+            this.pending = this.pending.subarray(header.dataOffset);
+            sampleRate = header.sampleRate;
+        } else {
+            this.format = wav.PCM16_MONO;
+        }
+
+        this.rate = this.client.getClipSampleRate(sampleRate);
+        if (this.rate !== sampleRate) {
+            this.resampler = new SincResampler(sampleRate, this.rate);
+        }
+        return true;
+    }
+
+    decode() {
+        // Whole sample frames only; anything after the WAV data chunk is dropped
+        let usable = Math.min(this.remaining, this.pending.length);
+        usable -= usable % wav.getFrameSize(this.format);
+
+        const samples = wav.decodeFrames(this.pending.subarray(0, usable), this.format);
+        this.remaining -= usable;
+        this.pending = this.remaining > 0 ? this.pending.subarray(usable) : Buffer.alloc(0);
+
+        return this.resampler ? this.resampler.process(samples) : samples;
+    }
+
+    frame(samples, last = false) {
+        // Sends whole frames; the rest waits for more input unless the stream has ended
+        const all = new Float32Array(this.samples.length + samples.length);
+        all.set(this.samples);
+        all.set(samples, this.samples.length);
+
+        const frameSize = Math.round(this.rate * WalkieTalkie.CAPTURE_FRAME_MS / 1000);
+        const whole = last ? all.length : all.length - all.length % frameSize;
+        this.samples = all.slice(whole);
+
+        return this.client.createClipChunks(all.subarray(0, whole), this.rate).chunks;
+    }
+}
+
+WalkieTalkieBot.RAW_SAMPLE_RATE = 48000; // Raw PCM without a sample rate, like the PHP CLI
+WalkieTalkieBot.RECORDING_IDLE_MS = 3000; // A recording ends this long after its last audio if no end arrives
+
+module.exports = WalkieTalkieBot;
@@ -0,0 +1,179 @@
+/**
+ * WAV helpers
+ *
+ * parseWav() reads PCM (8, 16, 24 and 32-bit) and floating-point files and mixes
+ * them down to mono Float32 samples, which is what WalkieTalkie.talk() takes.
+ * encodeWav() writes 16-bit mono PCM, the format recordings are saved in.
+ *
+ * readWavHeader() and decodeFrames() work on partial input, for streams.
+ */
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Raw input without a header: signed 16-bit little-endian mono, like the PHP CLI
+const PCM16_MONO = { channels: 1, bitsPerSample: 16, float: false };
+
+function toBuffer(bytes) {
+    if (Buffer.isBuffer(bytes)) return bytes;
+    if (bytes instanceof ArrayBuffer) return Buffer.from(bytes);
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function isWav(bytes) {
+    const buffer = toBuffer(bytes);
+    return buffer.length >= 12
+        && buffer.toString('ascii', 0, 4) === 'RIFF'
+        && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+function readWavHeader(bytes) {
+    // Returns the format and where the samples start, or null while the header is incomplete
+    const buffer = toBuffer(bytes);
+    if (buffer.length < 12) return null;
+    if (!isWav(buffer)) {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+
+        if (id === 'data') {
+            if (!format) {
+                throw new Error('WAV file has no fmt chunk before its data');
+            }
+            // Files written while recording may leave the size at 0 or 0xFFFFFFFF: read to the end
+            const dataLength = size === 0 || size === 0xFFFFFFFF ? Infinity : size;
+            return { ...format, dataOffset: offset + 8, dataLength };
+        }
+
+        if (id === 'fmt ') {
+            if (offset + 8 + size > buffer.length) return null;
+            format = readFormat(buffer, offset + 8, size);
+        }
+
+        offset += 8 + size + (size & 1); // Chunks are padded to an even length
+    }
+
+    return null;
+}
+
+function readFormat(buffer, offset, size) {
+    let tag = buffer.readUInt16LE(offset);
+    const channels = buffer.readUInt16LE(offset + 2);
+    const sampleRate = buffer.readUInt32LE(offset + 4);
+    const bitsPerSample = buffer.readUInt16LE(offset + 14);
+
+    // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first two bytes of its sub-format GUID
+    if (tag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        tag = buffer.readUInt16LE(offset + 24);
+    }
+
+    const float = tag === WAVE_FORMAT_IEEE_FLOAT;
+    if (tag !== WAVE_FORMAT_PCM && !float) {
+        throw new Error(`Unsupported WAV encoding (format ${tag}); only PCM and floating-point files can be sent`);
+    }
+    if (float ? ![32, 64].includes(bitsPerSample) : ![8, 16, 24, 32].includes(bitsPerSample)) {
+        throw new Error(`Unsupported WAV sample size: ${bitsPerSample} bits`);
+    }
+    if (channels < 1 || sampleRate < 1) {
+        throw new Error('Invalid WAV format');
+    }
+
+    return { channels, sampleRate, bitsPerSample, float };
+}
+
+function getFrameSize(format) {
+    return format.channels * format.bitsPerSample / 8;
+}
+
+function decodeFrames(bytes, format = PCM16_MONO) {
+    // Mixes whole frames down to mono; a trailing partial frame is ignored
+    const buffer = toBuffer(bytes);
+    const width = format.bitsPerSample / 8;
+    const count = Math.floor(buffer.length / getFrameSize(format));
+    const samples = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+            sum += readSample(buffer, (i * format.channels + channel) * width, width, format.float);
+        }
+        samples[i] = sum / format.channels;
+    }
+
+    return samples;
+}
+
+function readSample(buffer, offset, width, float) {
+    if (float) {
+        return width === 8 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    }
+
+    switch (width) {
+        case 1: return (buffer[offset] - 128) / 128; // 8-bit WAV is unsigned
+        case 2: return buffer.readInt16LE(offset) / 32768;
+        case 3: return buffer.readIntLE(offset, 3) / 8388608;
+        default: return buffer.readInt32LE(offset) / 2147483648;
+    }
+}
+
+function parseWav(bytes) {
+    const buffer = toBuffer(bytes);
+    const header = readWavHeader(buffer);
+    if (!header) {
+        throw new Error('WAV file is truncated');
+    }
+
+    const end = Math.min(buffer.length, header.dataOffset + header.dataLength);
+    return {
+        samples: decodeFrames(buffer.subarray(header.dataOffset, end), header),
+        sampleRate: header.sampleRate
+    };
+}
+
+function createWavHeader(dataLength, sampleRate) {
+    // 16-bit mono PCM
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(WAVE_FORMAT_PCM, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    header.writeUInt16LE(2, 32); // Block align
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+    return header;
+}
+
+function encodeWav(samples, sampleRate) {
+    // Takes Float32 (-1 to 1) or Int16 samples
+    const data = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples instanceof Float32Array
+            ? Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767)
+            : samples[i];
+        data.writeInt16LE(sample, i * 2);
+    }
+    return Buffer.concat([createWavHeader(data.length, sampleRate), data]);
+}
+
+module.exports = {
+    PCM16_MONO,
+    isWav,
+    readWavHeader,
+    getFrameSize,
+    decodeFrames,
+    parseWav,
+    createWavHeader,
+    encodeWav
+};
@@ -0,0 +1,193 @@
+/**
+ * WalkieTalkieBot against a mock WebSocket server
+ *
+ * The mock answers the messages a bot sends the way src/WebSocketServer.php
+ * does: screen names, joins and history requests. It can refuse the next
+ * transmission, as the PTT lockout or a plugin would, and play one in from
+ * another member.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { WebSocketServer } = require('ws');
+const { WalkieTalkieBot, encodeWav, parseWav } = require('..');
+
+const HISTORY = [{ screen_name: 'Alice', format: 'pcm16', sample_rate: 16000, duration: 20, audio_data: '' }];
+
+function startServer() {
+    const server = new WebSocketServer({ port: 0 });
+    const received = [];
+    const clients = new Set();
+    let refusal = null; // The error sent for the next push_to_talk_start
+
+    server.on('connection', (ws) => {
+        clients.add(ws);
+        ws.on('close', () => clients.delete(ws));
+        ws.on('message', (raw) => {
+            const message = JSON.parse(raw.toString());
+            received.push(message);
+
+            switch (message.type) {
+                case 'set_screen_name':
+                    ws.send(JSON.stringify({ type: 'screen_name_set', screen_name: message.screen_name }));
+                    break;
+                case 'join_channel':
+                    ws.send(JSON.stringify({ type: 'channel_joined', channel: message.channel, participants: 2, member_id: 1, members: [] }));
+                    break;
+                case 'history_request':
+                    ws.send(JSON.stringify({ type: 'history_response', channel: message.channel, messages: HISTORY }));
+                    break;
+                case 'push_to_talk_start':
+                    if (refusal) {
+                        ws.send(JSON.stringify({ type: 'error', ...refusal }));
+                        refusal = null;
+                    }
+                    break;
+            }
+        });
+    });
+
+    return new Promise(resolve => server.on('listening', () => resolve({
+        url: `ws://localhost:${server.address().port}`,
+        received,
+        refuseNext: (code, message) => { refusal = { code, message }; },
+        // A one-frame transmission from another member
+        playIn: (channel, screenName) => {
+            const pcm = Buffer.alloc(640);
+            for (let i = 0; i < 320; i++) {
+                pcm.writeInt16LE(Math.round(Math.sin(i / 5) * 10000), i * 2);
+            }
+            const speaker = { channel, clientId: 'client_other', screen_name: screenName };
+            const messages = [
+                { type: 'user_speaking', speaking: true, ...speaker },
+                { type: 'audio_data', format: 'pcm16', sampleRate: 16000, seq: 0, data: pcm.toString('base64'), ...speaker },
+                { type: 'user_speaking', speaking: false, ...speaker }
+            ];
+            clients.forEach(ws => messages.forEach(message => ws.send(JSON.stringify(message))));
+        },
+        close: () => new Promise(done => {
+            clients.forEach(ws => ws.terminate());
+            server.close(done);
+        })
+    })));
+}
+
+function tone(seconds, sampleRate) {
+    return new Float32Array(Math.round(seconds * sampleRate)).map((_, i) => Math.sin(i / 10) * 0.5);
+}
+
+test('WalkieTalkieBot', async (t) => {
+    const server = await startServer();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'walkie-talkie-bot-'));
+    const bot = new WalkieTalkieBot({ server: server.url, screenName: 'Tester', channel: 5 });
+
+    t.after(async () => {
+        await bot.disconnect();
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    await t.test('connect() joins the channel', async () => {
+        const joined = await bot.connect();
+
+        assert.strictEqual(joined.channel, '5');
+        assert.strictEqual(joined.participants, 2);
+        assert.ok(server.received.some(message => message.type === 'set_screen_name' && message.screen_name === 'Tester'));
+        assert.ok(server.received.some(message => message.type === 'join_channel' && message.channel === '5'));
+    });
+
+    await t.test('sendFile() sends a WAV file in real time', async () => {
+        const file = path.join(directory, 'tone.wav');
+        fs.writeFileSync(file, encodeWav(tone(0.5, 48000), 48000));
+
+        const from = server.received.length;
+        const startedAt = Date.now();
+        const sent = await bot.sendFile(file);
+        const elapsed = Date.now() - startedAt;
+
+        assert.deepStrictEqual(sent, { channel: '5', duration: 500 });
+        // Sent ahead of real time by at most WalkieTalkie.RECORDING_SEND_LEAD
+        assert.ok(elapsed >= 350, `took ${elapsed} ms`);
+
+        const messages = server.received.slice(from);
+        const frames = messages.filter(message => message.type === 'audio_data');
+        assert.strictEqual(messages[0].type, 'push_to_talk_start');
+        assert.strictEqual(frames.length, 25);
+        assert.strictEqual(frames[0].sampleRate, 16000);
+        assert.strictEqual(Buffer.from(frames[0].data, 'base64').length, 640);
+        assert.deepStrictEqual(messages.slice(-2).map(message => message.type), ['push_to_talk_end', 'history_request']);
+    });
+
+    await t.test('sendFile() rejects with the server\'s code when the transmission is blocked', async () => {
+        const file = path.join(directory, 'short.wav');
+        fs.writeFileSync(file, encodeWav(tone(0.5, 16000), 16000));
+        server.refuseNext('transmission_blocked', 'Please wait - Alice is currently speaking');
+
+        const from = server.received.length;
+        await assert.rejects(bot.sendFile(file), { code: 'transmission_blocked' });
+        // Answered in order, so the server has everything the bot sent before it
+        await bot.history();
+
+        const types = server.received.slice(from).map(message => message.type);
+        assert.ok(types.filter(type => type === 'audio_data').length < 25);
+        assert.strictEqual(types.lastIndexOf('audio_data'), types.indexOf('push_to_talk_end') - 1);
+        assert.strictEqual(bot.isSendingRecording, false);
+    });
+
+    await t.test('talk() rejects when a plugin refuses the transmission', async () => {
+        server.refuseNext('transmission_blocked', 'This transmission was not allowed');
+
+        await assert.rejects(
+            bot.talk(tone(0.1, 16000), { sampleRate: 16000 }),
+            { code: 'transmission_blocked', message: 'This transmission was not allowed' }
+        );
+        assert.strictEqual(bot.isSendingRecording, false);
+    });
+
+    await t.test('sendStream() paces a raw PCM stream', async () => {
+        // 0.4 s at 16 kHz in uneven pieces
+        const pcm = Buffer.alloc(16000 * 2 * 0.4);
+        const pieces = [];
+        for (let offset = 0; offset < pcm.length; offset += 777) {
+            pieces.push(pcm.subarray(offset, offset + 777));
+        }
+
+        const from = server.received.length;
+        const startedAt = Date.now();
+        const sent = await bot.sendStream(Readable.from(pieces), { format: 'pcm16', sampleRate: 16000 });
+
+        assert.deepStrictEqual(sent, { channel: '5', duration: 400 });
+        assert.ok(Date.now() - startedAt >= 250);
+        assert.strictEqual(server.received.slice(from).filter(message => message.type === 'audio_data').length, 20);
+        assert.strictEqual(bot.isStreaming, false);
+    });
+
+    await t.test('sendStream() rejects an empty stream', async () => {
+        await assert.rejects(bot.sendStream(Readable.from([])), { code: 'invalid_audio' });
+    });
+
+    await t.test('history() resolves with the channel\'s messages', async () => {
+        assert.deepStrictEqual(await bot.history(7), HISTORY);
+    });
+
+    await t.test('record() saves what it hears as WAV', async () => {
+        const recordings = path.join(directory, 'recordings');
+        const stop = bot.record(recordings);
+        const saved = bot.once('recording_saved');
+        server.playIn('5', 'Alice');
+
+        const recording = await saved;
+        await stop();
+
+        assert.strictEqual(recording.screen_name, 'Alice');
+        assert.strictEqual(recording.mime_type, 'audio/wav');
+        assert.strictEqual(path.dirname(recording.file), recordings);
+
+        const { samples, sampleRate } = parseWav(fs.readFileSync(recording.file));
+        assert.strictEqual(sampleRate, 16000);
+        assert.strictEqual(samples.length, 320);
+    });
+});
@@ -0,0 +1,85 @@
+<?php
+/**
+ * Walkie Talkie PWA - Database Migration: Add Audio Format Support
+ *
+ * Copyright (C) 2025 Matthew Asham
+ *
+ * This program is dual-licensed:
+ *
+ * 1. GNU Affero General Public License v3.0 or later (AGPL-3.0-or-later)
+ *    For open source use, you can redistribute it and/or modify it under
+ *    the terms of the GNU Affero General Public License as published by
+ *    the Free Software Foundation, either version 3 of the License, or
+ *    (at your option) any later version.
+ *
+ * 2. Commercial License
+ *    For commercial or proprietary use without AGPL-3.0 obligations,
+ *    contact Matthew Asham at https://www.asham.ca/
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * ---
+ *
+ * Adds a format column to message_history so recordings can be stored in
+ * the wire format they were transmitted with ("pcm16" or "opus").
+ *
+ * Usage:
+ *   php migrations/004_add_audio_format.php
+ */
+
+require_once __DIR__ . '/../vendor/autoload.php';
+
+// Load environment variables
+$dotenv = Dotenv\Dotenv::createImmutable(__DIR__ . '/..');
+$dotenv->safeLoad();
+
+echo "=== Audio Format Migration ===\n\n";
+
+try {
+    // Connect to database
+    $dbPath = __DIR__ . '/../data/walkie-talkie.db';
+
+    if (!file_exists($dbPath)) {
+        echo "Error: Database not found at {$dbPath}\n";
+        echo "Please run the server at least once to create the database.\n";
+        exit(1);
+    }
+
+    echo "Connecting to database: {$dbPath}\n";
+    $db = new PDO('sqlite:' . $dbPath);
+    $db->setAttribute(PDO::ATTR_ERRMODE, PDO::ERRMODE_EXCEPTION);
+
+    // Check if column already exists
+    $columns = $db->query("PRAGMA table_info(message_history)")->fetchAll(PDO::FETCH_ASSOC);
+    $columnNames = array_column($columns, 'name');
+
+    if (in_array('format', $columnNames)) {
+        echo "Column 'format' already exists.\n";
+        echo "Migration skipped.\n";
+        exit(0);
+    }
+
+    echo "Updating message_history table...\n";
+
+    // Existing recordings are all concatenated PCM16
+    $db->exec("ALTER TABLE message_history ADD COLUMN format TEXT NOT NULL DEFAULT 'pcm16'");
+    echo "  ✓ Added format column\n";
+
+    echo "\n=== Migration Completed Successfully ===\n";
+    echo "\nNext steps:\n";
+    echo "1. Restart the WebSocket server: php server.php restart\n";
+
+} catch (PDOException $e) {
+    echo "Error: Database error\n";
+    echo "  {$e->getMessage()}\n";
+    exit(1);
+} catch (Exception $e) {
+    echo "Error: {$e->getMessage()}\n";
+    exit(1);
+}
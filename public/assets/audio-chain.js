@@ -0,0 +1,202 @@
+/**
+ * Outgoing voice processing chain
+ *
+ * A series of Web Audio stages that sits between the microphone and the encoder.
+ * Each stage is registered with a factory that builds its nodes on an AudioContext
+ * and returns { input, output, update(settings), dispose() }. A chain builds every
+ * registered stage up front and only rewires them when one is switched on or off,
+ * so settings can change while audio is flowing.
+ *
+ * Stages run in registration order. Further stages can be added with
+ * AudioProcessingChain.registerStage() before a chain is created.
+ */
+class AudioProcessingChain {
+    constructor(context, settings = {}) {
+        this.context = context;
+        this.settings = { ...settings };
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        this.stages = AudioProcessingChain.stageOrder.map(id => ({
+            id,
+            ...AudioProcessingChain.stages[id].create(context, this.settings)
+        }));
+
+        this.connect();
+    }
+
+    static registerStage(id, stage) {
+        if (!AudioProcessingChain.stages[id]) {
+            AudioProcessingChain.stageOrder.push(id);
+        }
+        AudioProcessingChain.stages[id] = stage;
+    }
+
+    isEnabled(id) {
+        return this.settings[id] === true;
+    }
+
+    update(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.stages.forEach(stage => {
+            if (stage.update) stage.update(this.settings);
+        });
+        this.connect();
+    }
+
+    connect() {
+        // Disabled stages are left out of the signal path rather than set to neutral values
+        this.input.disconnect();
+        this.stages.forEach(stage => stage.output.disconnect());
+
+        let node = this.input;
+        this.stages.forEach(stage => {
+            if (!this.isEnabled(stage.id)) return;
+            node.connect(stage.input);
+            node = stage.output;
+        });
+        node.connect(this.output);
+    }
+
+    dispose() {
+        this.input.disconnect();
+        this.output.disconnect();
+        this.stages.forEach(stage => {
+            stage.output.disconnect();
+            if (stage.dispose) stage.dispose();
+        });
+    }
+}
+
+AudioProcessingChain.stages = {}; // Map: stage id => { label, create(context, settings) }
+AudioProcessingChain.stageOrder = [];
+
+// Removes handling noise, wind and mains hum below the voice band
+AudioProcessingChain.registerStage('highpass', {
+    label: 'High-pass filter',
+    create(context) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 100;
+        filter.Q.value = 0.707;
+
+        return { input: filter, output: filter };
+    }
+});
+
+// Silences the microphone between words; the level is polled like the VOX detector
+AudioProcessingChain.registerStage('noiseGate', {
+    label: 'Noise gate',
+    create(context, settings) {
+        const input = context.createGain();
+        const gate = context.createGain();
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 512;
+        input.connect(gate);
+        input.connect(analyser);
+
+        const samples = new Float32Array(analyser.fftSize);
+        let threshold = settings.gateThreshold ?? -50;
+        let open = true;
+        let lastAbove = 0;
+
+        const timer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            const rms = Math.sqrt(sum / samples.length);
+            const level = rms > 0 ? 20 * Math.log10(rms) : -100;
+
+            const now = context.currentTime;
+            if (level >= threshold) {
+                lastAbove = now;
+            }
+
+            // Open fast so first syllables survive, close slowly after a short hold
+            const shouldOpen = now - lastAbove < 0.2;
+            if (shouldOpen !== open) {
+                open = shouldOpen;
+                gate.gain.setTargetAtTime(open ? 1 : 0, now, open ? 0.003 : 0.05);
+            }
+        }, 20);
+
+        return {
+            input,
+            output: gate,
+            update(newSettings) {
+                threshold = newSettings.gateThreshold ?? threshold;
+            },
+            dispose() {
+                clearInterval(timer);
+                input.disconnect();
+            }
+        };
+    }
+});
+
+// Evens out loud and quiet talkers and keeps shouting from clipping
+AudioProcessingChain.registerStage('compressor', {
+    label: 'Compressor / limiter',
+    create(context) {
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -24;
+        compressor.knee.value = 12;
+        compressor.ratio.value = 8;
+        compressor.attack.value = 0.003;
+        compressor.release.value = 0.25;
+
+        // Make up for the gain the compressor takes away
+        const makeup = context.createGain();
+        makeup.gain.value = 1.6;
+        compressor.connect(makeup);
+
+        return {
+            input: compressor,
+            output: makeup,
+            dispose() {
+                compressor.disconnect();
+            }
+        };
+    }
+});
+
+// Narrow 300-3000 Hz band with a little saturation, like a two-way radio
+AudioProcessingChain.registerStage('radio', {
+    label: 'Radio effect',
+    create(context) {
+        const lowCut = context.createBiquadFilter();
+        lowCut.type = 'highpass';
+        lowCut.frequency.value = 300;
+
+        const highCut = context.createBiquadFilter();
+        highCut.type = 'lowpass';
+        highCut.frequency.value = 3000;
+
+        const curve = new Float32Array(1024);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            curve[i] = Math.tanh(2 * x) / Math.tanh(2);
+        }
+        const shaper = context.createWaveShaper();
+        shaper.curve = curve;
+        shaper.oversample = '2x';
+
+        lowCut.connect(highCut);
+        highCut.connect(shaper);
+
+        return {
+            input: lowCut,
+            output: shaper,
+            dispose() {
+                lowCut.disconnect();
+                highCut.disconnect();
+            }
+        };
+    }
+});
+
+globalThis.AudioProcessingChain = AudioProcessingChain;
@@ -1,22 +1,92 @@
+import './resampler.js';
+
 class AudioProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
         this.isRecording = false;
 
-        // Log the actual sample rate being used
-        console.log('AudioProcessor sample rate:', sampleRate);
+        // Emit fixed-size frames (20ms by default) rather than one message per render quantum
+        const processorOptions = (options && options.processorOptions) || {};
+        const frameDurationMs = processorOptions.frameDurationMs || 20;
+
+        // Resample to the wire rate before framing (the kernel also filters out aliasing)
+        this.outputRate = processorOptions.targetSampleRate || sampleRate;
+        this.resampler = new globalThis.SincResampler(sampleRate, this.outputRate);
+        this.frameSize = Math.round(this.outputRate * frameDurationMs / 1000);
+
+        // Ring buffer holding samples until a full frame is available
+        this.ringBuffer = new Float32Array(this.frameSize * 8);
+        this.readIndex = 0;
+        this.writeIndex = 0;
+        this.bufferedSamples = 0;
+
+        console.log('AudioProcessor sample rate:', sampleRate, '=>', this.outputRate, 'frame size:', this.frameSize);
 
         // Listen for messages from the main thread
         this.port.onmessage = (event) => {
             if (event.data.type === 'start') {
+                this.resetBuffer();
+                this.resampler.reset();
                 this.isRecording = true;
                 console.log('AudioProcessor recording started at', sampleRate, 'Hz');
             } else if (event.data.type === 'stop') {
                 this.isRecording = false;
+
+                // Send whatever is left as a final short frame, then confirm
+                this.writeSamples(this.resampler.flush());
+                while (this.bufferedSamples >= this.frameSize) {
+                    this.emitFrame(this.frameSize);
+                }
+                if (this.bufferedSamples > 0) {
+                    this.emitFrame(this.bufferedSamples);
+                }
+                this.resetBuffer();
+                this.port.postMessage({ type: 'stopped' });
             }
         };
     }
 
+    resetBuffer() {
+        this.readIndex = 0;
+        this.writeIndex = 0;
+        this.bufferedSamples = 0;
+    }
+
+    writeSamples(samples) {
+        const capacity = this.ringBuffer.length;
+
+        for (let i = 0; i < samples.length; i++) {
+            this.ringBuffer[this.writeIndex] = samples[i];
+            this.writeIndex = (this.writeIndex + 1) % capacity;
+        }
+
+        this.bufferedSamples += samples.length;
+
+        // Overrun: drop the oldest samples (frames are drained every quantum, so this is defensive)
+        if (this.bufferedSamples > capacity) {
+            this.readIndex = (this.readIndex + this.bufferedSamples - capacity) % capacity;
+            this.bufferedSamples = capacity;
+        }
+    }
+
+    emitFrame(length) {
+        const capacity = this.ringBuffer.length;
+        const frame = new Float32Array(length);
+
+        // Copy out in at most two pieces around the wrap point
+        const firstPart = Math.min(length, capacity - this.readIndex);
+        frame.set(this.ringBuffer.subarray(this.readIndex, this.readIndex + firstPart));
+        if (firstPart < length) {
+            frame.set(this.ringBuffer.subarray(0, length - firstPart), firstPart);
+        }
+
+        this.readIndex = (this.readIndex + length) % capacity;
+        this.bufferedSamples -= length;
+
+        // Transfer ownership of the frame's buffer instead of structured-cloning it
+        this.port.postMessage({ type: 'frame', samples: frame, sampleRate: this.outputRate }, [frame.buffer]);
+    }
+
     process(inputs, outputs, parameters) {
         if (!this.isRecording) {
             return true;
@@ -31,20 +101,10 @@ class AudioProcessor extends AudioWorkletProcessor {
                 return true;
             }
 
-            // Convert Float32Array to PCM16 directly - no processing
-            const pcm16 = new Int16Array(inputChannel.length);
-            for (let i = 0; i < inputChannel.length; i++) {
-                // Simple conversion without extra processing
-                const sample = Math.max(-1.0, Math.min(1.0, inputChannel[i]));
-                pcm16[i] = Math.round(sample * 32767);
-            }
+            this.writeSamples(this.resampler.process(inputChannel));
 
-            // Only send if we have valid data
-            if (pcm16.length > 0) {
-                this.port.postMessage({
-                    type: 'audioData',
-                    data: pcm16
-                });
+            while (this.bufferedSamples >= this.frameSize) {
+                this.emitFrame(this.frameSize);
             }
         }
 
@@ -53,4 +113,4 @@ class AudioProcessor extends AudioWorkletProcessor {
 
 }
 
-registerProcessor('audio-processor', AudioProcessor);
\ No newline at end of file
+registerProcessor('audio-processor', AudioProcessor);
@@ -0,0 +1,271 @@
+/**
+ * Embed control protocol
+ *
+ * Lets the page hosting embed.php in an iframe drive the player and follow what
+ * it does, through postMessage. Every message in either direction is an envelope:
+ *
+ *   { protocol: 'walkie-talkie', version: 1, kind: 'command' | 'response' | 'event', ... }
+ *
+ * Commands carry an `id` chosen by the parent, which the matching response echoes.
+ * Messages are only accepted from, and only sent to, origins on the allowlist
+ * (EMBED_ALLOWED_ORIGINS); the embed's own origin is always allowed.
+ *
+ * See docs/EMBED_API.md for the full protocol.
+ */
+class EmbedBridge {
+    constructor(app, options = {}) {
+        this.app = app;
+        this.target = options.target || window.parent;
+        this.allowedOrigins = (options.allowedOrigins || []).map(origin => origin.replace(/\/+$/, ''));
+        this.parentOrigin = this.detectParentOrigin();
+        this.legacyEvents = options.legacyEvents !== false;
+
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        this.forwardEvents();
+        this.sendEvent('ready', this.getReadyInfo());
+    }
+
+    detectParentOrigin() {
+        // Chrome and Safari report the embedding origin directly; elsewhere the referrer has to do
+        let origin = null;
+        if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+            origin = window.location.ancestorOrigins[0];
+        } else if (document.referrer) {
+            try {
+                origin = new URL(document.referrer).origin;
+            } catch (error) {
+                origin = null;
+            }
+        }
+
+        return origin && this.isAllowedOrigin(origin) ? origin : null;
+    }
+
+    isAllowedOrigin(origin) {
+        return origin === window.location.origin ||
+            this.allowedOrigins.includes('*') ||
+            this.allowedOrigins.includes(origin);
+    }
+
+    getTargetOrigin() {
+        if (this.parentOrigin) return this.parentOrigin;
+
+        // '*' in the allowlist restores the old behaviour of posting to anyone
+        return this.allowedOrigins.includes('*') ? '*' : null;
+    }
+
+    post(message, targetOrigin = this.getTargetOrigin()) {
+        // Nowhere allowed to send to yet; the parent's first command will tell us
+        if (!targetOrigin || !this.target || this.target === window) return;
+
+        this.target.postMessage({
+            protocol: EmbedBridge.PROTOCOL,
+            version: EmbedBridge.VERSION,
+            ...message
+        }, targetOrigin);
+    }
+
+    sendEvent(event, data = {}) {
+        this.post({ kind: 'event', event, data });
+    }
+
+    async handleMessage(event) {
+        if (event.source !== this.target) return;
+
+        const message = event.data;
+        if (!message || message.protocol !== EmbedBridge.PROTOCOL || message.kind !== 'command') return;
+
+        if (!this.isAllowedOrigin(event.origin)) {
+            console.warn('Ignoring embed command from an origin that is not allowed:', event.origin);
+            return;
+        }
+
+        // Remember who is talking to us, so events reach parents the referrer didn't reveal
+        if (!this.parentOrigin) {
+            this.parentOrigin = event.origin;
+            this.sendEvent('ready', this.getReadyInfo());
+        }
+
+        const respond = (response) => this.post({ kind: 'response', id: message.id ?? null, command: message.command, ...response }, event.origin);
+
+        if (message.version !== EmbedBridge.VERSION) {
+            respond({ ok: false, error: { code: 'unsupported_version', message: `This embed speaks protocol version ${EmbedBridge.VERSION}` } });
+            return;
+        }
+
+        const handler = EmbedBridge.COMMANDS[message.command];
+        if (!handler) {
+            respond({ ok: false, error: { code: 'unknown_command', message: `Unknown command: ${message.command}` } });
+            return;
+        }
+
+        try {
+            const result = await this[handler](message.params || {});
+            respond({ ok: true, result });
+        } catch (error) {
+            respond({ ok: false, error: { code: error.code || 'command_failed', message: error.message } });
+        }
+    }
+
+    forwardEvents() {
+        const app = this.app;
+
+        app.on('connected', () => {
+            this.sendEvent('connected', { channel: app.channel, name: app.getChannelName(app.channel) });
+            this.postLegacy({ type: 'walkie-talkie-connected', channel: app.channel });
+        });
+        app.on('disconnected', () => this.sendEvent('disconnected', {}));
+        app.on('channel_changed', (data) => {
+            this.sendEvent('channel_changed', data);
+            this.postLegacy({ type: 'walkie-talkie-channel-changed', channel: data.channel });
+        });
+        app.on('speaking', (data) => {
+            this.sendEvent('speaking', data);
+            this.postLegacy({ type: 'walkie-talkie-speaking', speaking: data.speaking });
+        });
+        app.on('talking', (data) => this.sendEvent('talking', data));
+        app.on('participants_changed', (data) => this.sendEvent('participants', {
+            ...data,
+            members: app.getRoster().map(member => this.describeMember(member))
+        }));
+        app.on('roster_changed', (data) => this.sendEvent('participants', {
+            channel: data.channel,
+            count: app.participants,
+            members: data.members.map(member => this.describeMember(member))
+        }));
+        app.on('history_updated', (data) => this.sendEvent('history', {
+            channel: data.channel,
+            messages: data.messages.map(message => this.describeHistoryMessage(message))
+        }));
+        app.on('error', (data) => this.sendEvent('error', data));
+    }
+
+    postLegacy(message) {
+        // Version 0 messages, for pages written against the original three events
+        if (!this.legacyEvents) return;
+
+        const targetOrigin = this.getTargetOrigin();
+        if (targetOrigin && this.target && this.target !== window) {
+            this.target.postMessage(message, targetOrigin);
+        }
+    }
+
+    describeMember(member) {
+        return {
+            id: member.id,
+            screen_name: member.screen_name,
+            speaking: !!member.speaking,
+            idle: !!member.idle,
+            self: !!member.self
+        };
+    }
+
+    describeHistoryMessage(message) {
+        // The recordings themselves stay in the embed
+        return {
+            id: message.id,
+            screen_name: message.screen_name,
+            timestamp: message.timestamp,
+            duration: message.duration ? parseInt(message.duration) : null
+        };
+    }
+
+    getReadyInfo() {
+        return {
+            version: EmbedBridge.VERSION,
+            commands: Object.keys(EmbedBridge.COMMANDS),
+            channel: this.app.channel
+        };
+    }
+
+    // Command handlers
+
+    async joinChannel(params) {
+        const app = this.app;
+        const channel = app.resolveChannel(params.channel);
+
+        if (!channel) {
+            throw EmbedBridge.error('invalid_channel', 'Unknown channel. Use a channel number between 1 and 999 or a channel from the directory.');
+        }
+        if (!app.isConnected) {
+            throw EmbedBridge.error('not_connected', 'Not connected to the server');
+        }
+
+        app.switchChannel(channel);
+        return { channel: app.channel, name: app.getChannelName(app.channel) };
+    }
+
+    async startTalk() {
+        const app = this.app;
+        if (!app.audioStream) {
+            throw EmbedBridge.error('microphone_unavailable', 'Microphone access has not been granted');
+        }
+
+        await app.startTalking();
+        if (!app.isRecording) {
+            throw EmbedBridge.error('talk_failed', 'Could not start transmitting');
+        }
+        return { talking: true };
+    }
+
+    async stopTalk() {
+        await this.app.stopTalking();
+        return { talking: this.app.isRecording };
+    }
+
+    async setVolume(params) {
+        const volume = Number(params.volume);
+        if (!Number.isFinite(volume) || volume < 0 || volume > 1) {
+            throw EmbedBridge.error('invalid_params', 'volume must be a number between 0 and 1');
+        }
+
+        this.app.setVolume(volume);
+        return { volume: this.app.getVolume() };
+    }
+
+    async setMuted(params) {
+        if (typeof params.muted !== 'boolean') {
+            throw EmbedBridge.error('invalid_params', 'muted must be true or false');
+        }
+
+        this.app.setMuted(params.muted);
+        return { muted: this.app.isMuted };
+    }
+
+    async getState() {
+        const app = this.app;
+        return {
+            version: EmbedBridge.VERSION,
+            connected: app.isConnected,
+            channel: app.channel,
+            name: app.getChannelName(app.channel),
+            participants: app.participants,
+            talking: app.isRecording,
+            muted: app.isMuted,
+            volume: app.getVolume(),
+            screen_name: app.screenName,
+            speakers: Array.from(app.activeSpeakers.values()).map(speaker => speaker.screen_name).filter(Boolean)
+        };
+    }
+
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+EmbedBridge.PROTOCOL = 'walkie-talkie';
+EmbedBridge.VERSION = 1;
+
+// Map: command name => handler method
+EmbedBridge.COMMANDS = {
+    join_channel: 'joinChannel',
+    start_talk: 'startTalk',
+    stop_talk: 'stopTalk',
+    set_volume: 'setVolume',
+    mute: 'setMuted',
+    get_state: 'getState'
+};
+
+globalThis.EmbedBridge = EmbedBridge;
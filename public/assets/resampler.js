@@ -0,0 +1,138 @@
+/**
+ * Streaming windowed-sinc resampler
+ *
+ * Converts a continuous stream of mono Float32 samples from one sample rate to
+ * another. When downsampling, the sinc kernel's cutoff is lowered to the output
+ * Nyquist frequency so it doubles as the anti-aliasing filter.
+ *
+ * Loaded both as a classic script (main thread fallback capture) and imported
+ * by the AudioWorklet module, so it only attaches itself to globalThis.
+ */
+class SincResampler {
+    constructor(inputRate, outputRate, zeroCrossings = 8) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.ratio = inputRate / outputRate; // Input samples advanced per output sample
+
+        // Keep a little headroom below Nyquist for the filter's transition band
+        this.cutoff = Math.min(1, outputRate / inputRate) * 0.95;
+
+        // Kernel half-width in input samples
+        this.halfWidth = Math.ceil(zeroCrossings / this.cutoff);
+
+        // Tabulate the kernel at a fine resolution; taps are linearly interpolated
+        this.tableResolution = 128;
+        this.kernel = this.buildKernel(zeroCrossings);
+
+        // Pending input, including the left-hand context for the next outputs
+        this.buffer = new Float32Array(4096);
+        this.position = this.halfWidth; // Fractional input index of the next output sample
+        this.buffered = this.halfWidth; // Start with silence as left context
+    }
+
+    buildKernel(zeroCrossings) {
+        const length = this.halfWidth * this.tableResolution + 2;
+        const kernel = new Float32Array(length);
+
+        for (let i = 0; i < length; i++) {
+            const x = i / this.tableResolution; // Distance in input samples
+            if (x > this.halfWidth) break;
+
+            const t = x * this.cutoff;
+            const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+
+            // Blackman window across the kernel's span
+            const w = 0.42 + 0.5 * Math.cos(Math.PI * x / this.halfWidth) +
+                0.08 * Math.cos(2 * Math.PI * x / this.halfWidth);
+
+            kernel[i] = this.cutoff * sinc * w;
+        }
+
+        return kernel;
+    }
+
+    isPassthrough() {
+        return this.inputRate === this.outputRate;
+    }
+
+    append(samples) {
+        const needed = this.buffered + samples.length;
+        if (needed > this.buffer.length) {
+            const grown = new Float32Array(Math.max(needed, this.buffer.length * 2));
+            grown.set(this.buffer.subarray(0, this.buffered));
+            this.buffer = grown;
+        }
+
+        this.buffer.set(samples, this.buffered);
+        this.buffered += samples.length;
+    }
+
+    tap(distance) {
+        const index = Math.abs(distance) * this.tableResolution;
+        const i = Math.floor(index);
+        if (i >= this.kernel.length - 1) return 0;
+
+        const frac = index - i;
+        return this.kernel[i] + (this.kernel[i + 1] - this.kernel[i]) * frac;
+    }
+
+    /**
+     * Feed input samples and return every output sample that can be computed so far
+     */
+    process(samples) {
+        if (this.isPassthrough()) {
+            return Float32Array.from(samples);
+        }
+
+        this.append(samples);
+        return this.render(this.buffered - this.halfWidth);
+    }
+
+    render(limit) {
+        const output = [];
+        while (this.position < limit) {
+            const center = Math.floor(this.position);
+            let sum = 0;
+
+            for (let k = center - this.halfWidth + 1; k <= center + this.halfWidth; k++) {
+                sum += this.buffer[k] * this.tap(this.position - k);
+            }
+
+            output.push(sum);
+            this.position += this.ratio;
+        }
+
+        // Drop input that no future output sample can reach
+        const consumed = Math.floor(this.position) - this.halfWidth;
+        if (consumed > 0) {
+            this.buffer.copyWithin(0, consumed, this.buffered);
+            this.buffered -= consumed;
+            this.position -= consumed;
+        }
+
+        return Float32Array.from(output);
+    }
+
+    /**
+     * Pad with silence so the samples still waiting on right-hand context come out
+     */
+    flush() {
+        if (this.isPassthrough()) {
+            return new Float32Array(0);
+        }
+
+        const end = this.buffered;
+        this.append(new Float32Array(this.halfWidth));
+        const output = this.render(end);
+        this.reset();
+        return output;
+    }
+
+    reset() {
+        this.buffer.fill(0);
+        this.position = this.halfWidth;
+        this.buffered = this.halfWidth;
+    }
+}
+
+globalThis.SincResampler = SincResampler;
@@ -0,0 +1,212 @@
+/**
+ * <walkie-talkie> custom element
+ *
+ * Puts a player on any page without an iframe. Each element runs its own
+ * WalkieTalkie instance, with a WalkieTalkieUI drawing the controls inside a
+ * shadow root, so several can share a page without their element IDs or
+ * styles clashing.
+ *
+ *   <script src="https://walkie.example.com/assets/resampler.js"></script>
+ *   <script src="https://walkie.example.com/assets/audio-chain.js"></script>
+ *   <script src="https://walkie.example.com/assets/walkie-talkie.js"></script>
+ *   <script src="https://walkie.example.com/assets/walkie-talkie-ui.js"></script>
+ *   <script src="https://walkie.example.com/assets/walkie-talkie-element.js"></script>
+ *   <walkie-talkie channel="logistics" theme="dark" compact></walkie-talkie>
+ *
+ * The instance's events are dispatched on the element as CustomEvents with the same
+ * names, carrying the event data in `detail`. See docs/WEB_COMPONENT.md.
+ */
+class WalkieTalkieElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['channel', 'theme', 'compact'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.app = null; // The WalkieTalkie instance while the element is on the page
+        this.ui = null; // Its WalkieTalkieUI
+    }
+
+    connectedCallback() {
+        if (this.app) return;
+
+        this.render();
+        this.app = new WalkieTalkie({
+            channel: this.getAttribute('channel') || '1',
+            serverUrl: this.getAttribute('server') || null,
+            configUrl: this.getAttribute('config-url') || new URL('../config.php', WalkieTalkieElement.assetsUrl).href,
+            directoryUrl: this.getAttribute('directory-url') || new URL('../channels.php', WalkieTalkieElement.assetsUrl).href,
+            assetsUrl: WalkieTalkieElement.assetsUrl,
+            listenOnly: this.hasAttribute('listen-only'),
+            screenName: this.getAttribute('screen-name') || null,
+            // Each player is its own participant, with its own settings and anonymous name
+            storage: WalkieTalkie.createBrowserStorage(this.getStoragePrefix())
+        });
+        this.ui = new WalkieTalkieUI(this.app, {
+            root: this.shadowRoot,
+            embedMode: true,
+            hotkeys: this.hasAttribute('hotkeys')
+        });
+
+        // The badge shows the directory name, which the attribute doesn't have
+        this.app.on('channel_changed', (data) => {
+            this.shadowRoot.querySelector('.channel-badge').textContent = data.name;
+        });
+
+        // Dispatched on the element only: a bubbling 'error' would reach window.onerror handlers
+        WalkieTalkieElement.EVENTS.forEach(event => {
+            this.app.on(event, (data) => this.dispatchEvent(new CustomEvent(event, { detail: data })));
+        });
+
+        this.app.init();
+    }
+
+    getStoragePrefix() {
+        // Stable across reloads: the element's id, or else its position among the page's players
+        const key = this.getAttribute('storage-key') || this.id
+            || String(Math.max(0, Array.from(document.querySelectorAll('walkie-talkie')).indexOf(this)));
+        return `walkie-talkie:${key}:`;
+    }
+
+    disconnectedCallback() {
+        // Moving the element around the page disconnects and reconnects it straight away
+        queueMicrotask(() => {
+            if (this.isConnected || !this.app) return;
+            this.ui.destroy();
+            this.app.destroy();
+            this.ui = null;
+            this.app = null;
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.app || oldValue === newValue) return;
+
+        if (name === 'channel') {
+            // Before the connection is up, the attribute is picked up when joining
+            if (this.app.isConnected) {
+                this.app.switchChannel(newValue || '1');
+            } else {
+                this.app.channel = this.app.normalizeChannel(newValue) || '1';
+            }
+        } else {
+            this.updateAppearance();
+        }
+    }
+
+    render() {
+        const assetsUrl = WalkieTalkieElement.assetsUrl;
+        const channel = this.getAttribute('channel') || '1';
+        const listenOnly = this.hasAttribute('listen-only');
+
+        this.shadowRoot.innerHTML = `
+            <link rel="stylesheet" href="${assetsUrl}style.css">
+            <link rel="stylesheet" href="${assetsUrl}embed.css">
+            <style>
+                :host { display: block; }
+                :host([hidden]) { display: none; }
+                .embed-mode { height: 100%; }
+            </style>
+            <div class="embed-mode">
+                <div id="notification-container" class="notification-container"></div>
+                <div id="embed-app">
+                    <div class="embed-header">
+                        <span class="channel-badge"></span>
+                        <div id="connection-status" class="status disconnected">
+                            <span class="status-dot"></span>
+                        </div>
+                        <span id="participants-count">0</span>
+                    </div>
+
+                    <div class="embed-main">
+                        <div class="embed-channel-selector">
+                            <input type="text" id="channel-input" class="embed-channel-input" placeholder="Channel">
+                            <button id="join-channel-btn" class="embed-join-btn">Join</button>
+                        </div>
+
+                        <div id="speaking-indicator" class="speaking-indicator">
+                            <span class="speaking-pulse"></span>
+                        </div>
+
+                        <button id="ptt-button" class="ptt-button" disabled ${listenOnly ? 'hidden' : ''}>
+                            <span class="ptt-icon">🎤</span>
+                            <span class="ptt-text">Hold to Talk</span>
+                        </button>
+
+                        <div class="level-meters">
+                            <div id="input-meter" class="level-meter" title="Microphone level" ${listenOnly ? 'hidden' : ''}>
+                                <div class="level-meter-track">
+                                    <div class="level-meter-bar"></div>
+                                    <div class="level-meter-peak" hidden></div>
+                                </div>
+                                <span class="level-meter-clip"></span>
+                            </div>
+                            <div id="output-meter" class="level-meter" title="Output level">
+                                <div class="level-meter-track">
+                                    <div class="level-meter-bar"></div>
+                                    <div class="level-meter-peak" hidden></div>
+                                </div>
+                                <span class="level-meter-clip"></span>
+                            </div>
+                        </div>
+
+                        <div class="volume-control">
+                            <input type="range" id="volume" min="0" max="100" value="50">
+                        </div>
+
+                        <div class="beep-control">
+                            <label for="courtesy-beep" class="checkbox-label">
+                                <input type="checkbox" id="courtesy-beep" checked>
+                                <span class="checkmark"></span>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Set as properties so attribute values never end up parsed as markup
+        this.shadowRoot.querySelector('.channel-badge').textContent = `Channel ${channel}`;
+        this.shadowRoot.getElementById('channel-input').value = channel;
+        this.updateAppearance();
+    }
+
+    updateAppearance() {
+        const wrapper = this.shadowRoot.querySelector('.embed-mode');
+        if (!wrapper) return;
+
+        const theme = (this.getAttribute('theme') || 'default').replace(/[^a-z0-9-]/gi, '');
+        wrapper.className = `embed-mode theme-${theme}`;
+
+        // The compact variants of the embed widgets, as used by embed.php
+        const compact = this.hasAttribute('compact');
+        this.shadowRoot.querySelectorAll(WalkieTalkieElement.COMPACT_SELECTORS).forEach(element => {
+            element.classList.toggle('compact', compact);
+        });
+    }
+}
+
+// Styles, config.php and the audio worklet are loaded relative to this script, not the page
+WalkieTalkieElement.assetsUrl = new URL('.', document.currentScript ? document.currentScript.src : window.location.href).href;
+
+// Instance events re-dispatched on the element
+WalkieTalkieElement.EVENTS = [
+    'connected', 'disconnected', 'reconnected', 'error', 'connection_status', 'notice',
+    'channel_changed', 'channel_joined', 'participants_changed', 'participant_joined', 'participant_left',
+    'roster_changed', 'scan_channel', 'scan_changed',
+    'speaking', 'talking', 'history_updated', 'outbox_changed',
+    'call_ringing', 'call_incoming', 'call_started', 'call_ended',
+    'devices_changed', 'processing_changed', 'speaker_volume_changed', 'volume_changed'
+];
+
+WalkieTalkieElement.COMPACT_SELECTORS = [
+    '.speaking-indicator', '.ptt-button', '.level-meters', '.level-meter',
+    '.volume-control', '.beep-control', '.checkbox-label', '.checkmark'
+].join(', ');
+
+globalThis.WalkieTalkieElement = WalkieTalkieElement;
+
+if (!customElements.get('walkie-talkie')) {
+    customElements.define('walkie-talkie', WalkieTalkieElement);
+}
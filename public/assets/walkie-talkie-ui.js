@@ -0,0 +1,1824 @@
+/**
+ * Walkie talkie page UI
+ *
+ * Renders a WalkieTalkie client into the page's markup and turns clicks, keys and
+ * form changes into client calls. The client holds all state and reports changes
+ * through its events; this class only draws them, so other front-ends (a kiosk, a
+ * React dashboard, a test harness) can drive the same client without it.
+ *
+ *   const client = new WalkieTalkie({ channel: '1' });
+ *   new WalkieTalkieUI(client, { root: document });
+ *   client.init();
+ *
+ * Every element is optional: pages without a panel simply don't get its features.
+ * See docs/HEADLESS.md.
+ */
+class WalkieTalkieUI {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        // Elements are looked up here; a <walkie-talkie> element passes its shadow root
+        this.root = options.root || document;
+        this.embedMode = options.embedMode || false;
+        this.hotkeysEnabled = options.hotkeys !== false; // Document-level shortcuts; one UI per page should have them
+
+        // Keyboard shortcuts (rebindable, saved per user)
+        this.hotkeys = { ...WalkieTalkieUI.DEFAULT_HOTKEYS };
+        this.hotkeyCapture = null; // Action waiting for a new key in the settings panel
+        this.hotkeyPttActive = false; // PTT is held down through a hotkey
+
+        // Level meters, redrawn on animation frames while there is something to show
+        this.levelMeters = {}; // Map: 'input' | 'output' => meter state
+        this.meterFrame = null;
+
+        this.pickerIndex = -1; // Highlighted entry in the channel picker
+        this.rosterTimer = null;
+        this.reconnectCountdownTimer = null;
+        this.globalListeners = []; // [target, type, handler] on document/window, removed by destroy()
+
+        // Background notifications through the service worker, rate limited (5 minutes)
+        this.isAppActive = true;
+        this.lastNotificationTime = 0;
+        this.notificationCooldown = 300000;
+
+        client.screenNameProvider = (suggested, error) => this.promptForScreenName(suggested, error);
+
+        this.setupUI();
+        this.bindClientEvents();
+        this.trackAppVisibility();
+        this.setupNotifications();
+    }
+
+    destroy() {
+        clearInterval(this.rosterTimer);
+        clearInterval(this.reconnectCountdownTimer);
+        if (this.meterFrame) {
+            cancelAnimationFrame(this.meterFrame);
+            this.meterFrame = null;
+        }
+
+        this.globalListeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.globalListeners = [];
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.globalListeners.push([target, type, handler]);
+    }
+
+    setupUI() {
+        const client = this.client;
+
+        this.pttButton = this.root.getElementById('ptt-button');
+        this.connectionStatus = this.root.getElementById('connection-status');
+        this.speakingIndicator = this.root.getElementById('speaking-indicator');
+        this.participantsCount = this.root.getElementById('participants-count');
+        this.volumeControl = this.root.getElementById('volume');
+        this.channelInput = this.root.getElementById('channel-input');
+        this.joinChannelBtn = this.root.getElementById('join-channel-btn');
+        this.channelDisplay = this.root.getElementById('channel-display');
+        this.courtesyBeepToggle = this.root.getElementById('courtesy-beep');
+        this.voxToggle = this.root.getElementById('vox-toggle');
+        this.voxSettingsPanel = this.root.getElementById('vox-settings');
+        this.voxLevel = this.root.getElementById('vox-level');
+        this.voxThresholdMarker = this.root.getElementById('vox-threshold-marker');
+        this.pttLatchToggle = this.root.getElementById('ptt-latch');
+        this.totSelect = this.root.getElementById('tot-select');
+        this.totCountdown = this.root.getElementById('tot-countdown');
+        this.scanToggle = this.root.getElementById('scan-toggle');
+        this.scanSettingsPanel = this.root.getElementById('scan-settings');
+        this.scanChannelsInput = this.root.getElementById('scan-channels');
+        this.scanPrioritySelect = this.root.getElementById('scan-priority');
+        this.scanList = this.root.getElementById('scan-list');
+        this.channelPicker = this.root.getElementById('channel-picker');
+
+        // Setup channel switching
+        if (this.channelInput && this.joinChannelBtn) {
+            this.channelInput.value = client.channel;
+
+            this.joinChannelBtn.addEventListener('click', () => {
+                this.switchChannel();
+            });
+
+            this.channelInput.addEventListener('keydown', (e) => this.handlePickerKey(e));
+
+            // Channels can be numbers or names, so just make sure something was entered
+            this.channelInput.addEventListener('input', (e) => {
+                this.joinChannelBtn.disabled = e.target.value.trim() === '';
+                this.pickerIndex = -1;
+                this.renderChannelPicker();
+            });
+
+            if (this.channelPicker) {
+                this.channelInput.addEventListener('focus', () => {
+                    this.channelInput.select();
+                    this.showChannelPicker(true);
+                });
+                // Delay so a click on a picker entry lands before it disappears
+                this.channelInput.addEventListener('blur', () => setTimeout(() => this.showChannelPicker(false), 150));
+            }
+        }
+
+        if (this.pttButton) {
+            this.pttButton.addEventListener('mousedown', () => client.pttPress());
+            this.pttButton.addEventListener('mouseup', () => client.pttRelease());
+            this.pttButton.addEventListener('mouseleave', () => client.pttRelease());
+            this.pttButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                client.pttPress();
+            });
+            this.pttButton.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                client.pttRelease();
+            });
+            this.pttButton.addEventListener('touchcancel', () => client.pttRelease());
+
+            // Keyboard support lives in setupHotkeys() so it works without focusing the button
+        }
+
+        if (this.connectionStatus) {
+            this.connectionStatus.addEventListener('click', () => {
+                if (!client.isConnected) client.retryNow();
+            });
+        }
+
+        this.setupPttModeUI();
+        this.setupHotkeys();
+        this.setupScanUI();
+        this.setupRosterUI();
+        this.setupCallUI();
+        this.setupMixerUI();
+
+        // Setup courtesy beep toggle
+        if (this.courtesyBeepToggle) {
+            this.courtesyBeepToggle.checked = client.courtesyBeepEnabled;
+            this.courtesyBeepToggle.addEventListener('change', (e) => {
+                client.setCourtesyBeep(e.target.checked);
+            });
+        }
+
+        this.setupVoxUI();
+        this.setupProcessingUI();
+        this.setupDevicesUI();
+        this.setupLevelMeters();
+        this.setupHistoryUI();
+    }
+
+    bindClientEvents() {
+        const client = this.client;
+
+        client.on('connection_status', (data) => this.renderConnectionStatus(data.status));
+        client.on('notice', (data) => this.showNotification(data.message, data.type, data.duration));
+        client.on('disconnected', () => {
+            this.hotkeyPttActive = false;
+        });
+
+        client.on('auth_required', () => {
+            window.location.href = '/login.html';
+        });
+        client.on('auth_changed', () => {
+            this.renderUserMenu();
+            this.loadHotkeys(); // Bindings are stored per user
+        });
+        client.on('config_loaded', () => {
+            this.updateTimeoutOptions();
+            this.updateVoxUI();
+        });
+
+        client.on('directory_changed', () => {
+            this.updateChannelDisplay();
+            this.renderScanList();
+            this.renderChannelPicker();
+        });
+        client.on('channel_changed', () => {
+            this.updateChannelDisplay();
+            this.renderScanList();
+        });
+        client.on('channel_joined', (data) => {
+            // Call channels can't be reopened from a notification later
+            if (!data.scanned && !client.isPrivateChannel(data.channel)) {
+                this.sendToServiceWorker('CHANNEL_CHANGED', { channel: data.channel });
+            }
+        });
+        client.on('participants_changed', () => this.updateParticipantsCount());
+        client.on('roster_changed', () => this.renderRoster());
+        client.on('scan_changed', () => this.renderScanList());
+
+        client.on('speakers_changed', () => this.renderSpeakingIndicator());
+        client.on('speaking', (data) => this.notifyTransmission(data));
+        client.on('talking', (data) => {
+            if (this.pttButton) {
+                this.pttButton.classList.toggle('recording', data.talking);
+            }
+            this.updatePttLabel();
+            if (data.talking) {
+                this.startLevelMeters();
+            }
+        });
+        client.on('microphone_changed', (data) => this.renderMicrophoneState(data));
+        client.on('ptt_changed', () => this.updatePttLabel());
+        client.on('transmit_timer', (data) => this.renderTransmitCountdown(data.remaining));
+
+        client.on('vox_changed', () => this.updateVoxUI());
+        client.on('vox_level', (data) => this.updateVoxMeter(data.level, data.suppressed));
+        client.on('audio_suspended', () => {
+            // Restored settings start audio without a user gesture; resume on the first interaction
+            document.addEventListener('pointerdown', () => client.resumeAudioContext(), { once: true });
+        });
+
+        client.on('processing_changed', () => this.updateProcessingUI());
+        client.on('preview_changed', () => this.updateProcessingUI());
+        client.on('devices_changed', () => this.renderDeviceLists());
+        client.on('mic_check', (data) => {
+            this.updateMicCheckUI();
+            if (data.enabled) {
+                this.startLevelMeters();
+            }
+        });
+        client.on('playback_started', () => this.startLevelMeters());
+
+        client.on('volume_changed', (data) => this.renderVolume(data));
+        client.on('speaker_volume_changed', (data) => {
+            // Keep every control for this speaker (roster row and speaking indicator) in step
+            this.root.querySelectorAll('.speaker-controls').forEach(controls => {
+                if (controls.dataset.speaker === data.screen_name) {
+                    this.syncSpeakerControls(controls);
+                }
+            });
+        });
+
+        client.on('history_updated', (data) => {
+            // The panel shows the talk channel; scanned channels' histories wait until they become it
+            if (data.channel === client.channel) {
+                this.updateHistoryPanel();
+            }
+        });
+        client.on('outbox_changed', () => this.updateHistoryPanel());
+        client.on('history_playback', () => this.renderHistoryPlayback());
+
+        ['call_ringing', 'call_incoming', 'call_started', 'call_ended'].forEach(event => {
+            client.on(event, () => {
+                this.renderCallPanel();
+                this.renderRoster();
+            });
+        });
+        client.on('call_incoming', (data) => {
+            // Ring in the background too; the service worker only shows it while the app is inactive
+            this.sendToServiceWorker('INCOMING_CALL', {
+                callId: data.call_id,
+                from: data.from.screen_name,
+                channel: client.channel
+            });
+        });
+        client.on('call_started', (data) => this.sendToServiceWorker('CALL_ENDED', { callId: data.call_id }));
+        client.on('call_ended', (data) => this.sendToServiceWorker('CALL_ENDED', { callId: data.call_id }));
+    }
+
+    promptForScreenName(suggested, error) {
+        if (error) {
+            alert(error);
+        }
+
+        return prompt('Choose a screen name (2-20 characters, letters/numbers/underscore/hyphen):', suggested);
+    }
+
+    // Connection Status Methods
+
+    renderConnectionStatus(status) {
+        // The client retries on its own; count down to it every second
+        if (status === 'reconnecting' && !this.reconnectCountdownTimer) {
+            this.reconnectCountdownTimer = setInterval(() => this.renderConnectionStatus('reconnecting'), 1000);
+        } else if (status !== 'reconnecting' && this.reconnectCountdownTimer) {
+            clearInterval(this.reconnectCountdownTimer);
+            this.reconnectCountdownTimer = null;
+        }
+
+        if (!this.connectionStatus) return;
+
+        this.connectionStatus.className = `status ${status}`;
+        const statusText = this.connectionStatus.querySelector('.status-text');
+
+        let text = '';
+        switch (status) {
+            case 'connected':
+                text = 'Connected';
+                break;
+            case 'connecting':
+                text = 'Connecting...';
+                break;
+            case 'reconnecting': {
+                const seconds = Math.max(0, Math.ceil((this.client.reconnectAt - Date.now()) / 1000));
+                text = `Reconnecting in ${seconds}s`;
+                break;
+            }
+            case 'offline':
+                text = 'Offline - waiting for network';
+                break;
+            case 'disconnected':
+                text = 'Disconnected';
+                break;
+            case 'error':
+                text = 'Connection Error';
+                break;
+        }
+
+        // The compact embed status has no text; the tooltip carries it instead
+        this.connectionStatus.title = status === 'connected' ? text : `${text} (click to retry now)`;
+
+        if (statusText) {
+            statusText.textContent = text;
+        }
+
+        // Offer a manual retry whenever we're waiting to reconnect
+        let retryButton = this.connectionStatus.querySelector('.retry-btn');
+        const showRetry = statusText && (status === 'reconnecting' || status === 'offline' || status === 'error');
+
+        if (showRetry && !retryButton) {
+            retryButton = document.createElement('button');
+            retryButton.className = 'retry-btn';
+            retryButton.textContent = 'Retry now';
+            this.connectionStatus.appendChild(retryButton);
+        } else if (!showRetry && retryButton) {
+            retryButton.remove();
+        }
+    }
+
+    showNotification(message, type = 'error', duration = 5000) {
+        const container = this.root.getElementById('notification-container');
+        if (!container) return;
+
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        // Choose icon based on type
+        let icon = '⚠️';
+        switch (type) {
+            case 'success':
+                icon = '✓';
+                break;
+            case 'warning':
+                icon = '⚠️';
+                break;
+            case 'info':
+                icon = 'ℹ️';
+                break;
+            case 'error':
+            default:
+                icon = '✕';
+                break;
+        }
+
+        notification.innerHTML = `
+            <span class="notification-icon">${icon}</span>
+            <span class="notification-message">${message}</span>
+            <button class="notification-close" aria-label="Close">×</button>
+        `;
+
+        // Add to container
+        container.appendChild(notification);
+
+        // Close button handler
+        const closeBtn = notification.querySelector('.notification-close');
+        closeBtn.addEventListener('click', () => {
+            this.removeNotification(notification);
+        });
+
+        // Auto-remove after duration
+        if (duration > 0) {
+            setTimeout(() => {
+                this.removeNotification(notification);
+            }, duration);
+        }
+    }
+
+    removeNotification(notification) {
+        notification.classList.add('hiding');
+        setTimeout(() => {
+            notification.remove();
+        }, 300); // Match animation duration
+    }
+
+    // Roster Methods
+
+    setupRosterUI() {
+        this.rosterPanel = this.root.getElementById('roster-panel');
+        this.rosterList = this.root.getElementById('roster-list');
+        const rosterToggle = this.root.getElementById('roster-toggle');
+
+        if (!this.rosterPanel || !this.rosterList) return;
+
+        if (rosterToggle) {
+            rosterToggle.addEventListener('click', () => {
+                this.rosterPanel.classList.toggle('collapsed');
+                rosterToggle.textContent = this.rosterPanel.classList.contains('collapsed') ? 'Show' : 'Hide';
+            });
+        }
+
+        // Join times and idle markers are relative to now, so refresh them periodically
+        this.rosterTimer = setInterval(() => this.renderRoster(), WalkieTalkieUI.ROSTER_REFRESH_INTERVAL);
+        this.renderRoster();
+    }
+
+    renderRoster() {
+        if (!this.rosterList) return;
+
+        // Don't yank a volume slider out from under the pointer; the next refresh catches up
+        const focused = document.activeElement;
+        if (focused && focused.type === 'range' && this.rosterList.contains(focused)) return;
+
+        const client = this.client;
+        const members = client.getRoster();
+        this.rosterList.innerHTML = '';
+
+        if (members.length === 0) {
+            this.rosterList.innerHTML = `<div class="history-empty">${client.isConnected ? 'Nobody here yet' : 'Not connected'}</div>`;
+            return;
+        }
+
+        members.forEach(member => {
+            const state = member.speaking ? 'speaking' : (member.idle ? 'idle' : 'active');
+            const row = document.createElement('div');
+            row.className = `roster-member ${state}`;
+            row.classList.toggle('self', member.self);
+
+            const idleFor = member.idle ? ` · idle ${this.formatTimestamp(member.last_active).replace(' ago', '')}` : '';
+            row.innerHTML = `
+                <span class="roster-status" title="${state.charAt(0).toUpperCase() + state.slice(1)}"></span>
+                <span class="roster-name">${this.escapeHtml(member.screen_name)}${member.self ? ' <span class="roster-you">(you)</span>' : ''}</span>
+                <span class="roster-badge ${member.authenticated ? 'authenticated' : 'anonymous'}">${member.authenticated ? '🔐 Member' : 'Guest'}</span>
+                <span class="roster-joined" title="Joined ${new Date(member.joined_at).toLocaleString()}">Joined ${this.formatTimestamp(member.joined_at)}${idleFor}</span>
+            `;
+
+            if (!member.self) {
+                row.appendChild(this.createSpeakerControls(member.screen_name, 'roster'));
+            }
+
+            // Pages with a call panel can pull someone aside into a private call
+            if (this.callPanel && !member.self) {
+                const callBtn = document.createElement('button');
+                callBtn.className = 'roster-call-btn';
+                callBtn.textContent = '📞';
+                callBtn.title = `Private call with ${member.screen_name}`;
+                callBtn.disabled = !!client.call;
+                callBtn.addEventListener('click', () => client.startCall(member.id));
+                row.appendChild(callBtn);
+            }
+
+            this.rosterList.appendChild(row);
+        });
+    }
+
+    // Private Call Methods
+
+    setupCallUI() {
+        this.callPanel = this.root.getElementById('call-panel');
+        this.callText = this.root.getElementById('call-text');
+        this.callAcceptBtn = this.root.getElementById('call-accept-btn');
+        this.callEndBtn = this.root.getElementById('call-end-btn');
+
+        // Without a call panel (e.g. the embed) there is no way to answer, so the client declines
+        if (!this.callPanel) return;
+        this.client.acceptsCalls = true;
+
+        if (this.callAcceptBtn) {
+            this.callAcceptBtn.addEventListener('click', () => this.client.acceptCall());
+        }
+        if (this.callEndBtn) {
+            this.callEndBtn.addEventListener('click', () => this.client.endCall());
+        }
+
+        this.renderCallPanel();
+    }
+
+    renderCallPanel() {
+        if (!this.callPanel) return;
+
+        const call = this.client.call;
+        this.callPanel.hidden = !call;
+        if (!call) return;
+
+        const name = this.escapeHtml(call.peer.screen_name);
+        const text = {
+            outgoing: `Calling <strong>${name}</strong>…`,
+            incoming: `<strong>${name}</strong> is calling you`,
+            active: `Private call with <strong>${name}</strong>`
+        };
+        const endLabel = { outgoing: 'Cancel', incoming: 'Decline', active: 'Hang Up' };
+
+        this.callPanel.className = `call-panel ${call.state}`;
+        if (this.callText) {
+            this.callText.innerHTML = text[call.state];
+        }
+        if (this.callAcceptBtn) {
+            this.callAcceptBtn.hidden = call.state !== 'incoming';
+        }
+        if (this.callEndBtn) {
+            this.callEndBtn.textContent = endLabel[call.state];
+        }
+    }
+
+    // Scan Methods
+
+    setupScanUI() {
+        // Pages without scan controls (e.g. the embed) never scan, whatever was saved
+        if (!this.scanToggle) return;
+
+        const client = this.client;
+        client.loadScanSettings();
+
+        this.scanToggle.checked = client.scanEnabled;
+        this.scanToggle.addEventListener('change', (e) => {
+            client.setScanEnabled(e.target.checked);
+            if (this.scanSettingsPanel) {
+                this.scanSettingsPanel.hidden = !client.scanEnabled;
+            }
+        });
+
+        if (this.scanChannelsInput) {
+            this.scanChannelsInput.value = client.scanChannels.join(', ');
+            this.scanChannelsInput.addEventListener('change', (e) => {
+                client.setScanChannels(e.target.value);
+                this.scanChannelsInput.value = client.scanChannels.join(', ');
+            });
+        }
+
+        if (this.scanPrioritySelect) {
+            this.scanPrioritySelect.addEventListener('change', (e) => client.setPriorityChannel(e.target.value || null));
+        }
+
+        if (this.scanSettingsPanel) {
+            this.scanSettingsPanel.hidden = !client.scanEnabled;
+        }
+
+        this.renderScanList();
+    }
+
+    renderScanList() {
+        if (!this.scanList) return;
+
+        const client = this.client;
+        this.renderScanPriorityOptions();
+        this.scanList.innerHTML = '';
+        this.scanList.hidden = !client.scanEnabled;
+        if (!client.scanEnabled) return;
+
+        client.getMonitoredChannels().forEach(channel => {
+            const chip = document.createElement('button');
+            chip.className = 'scan-channel';
+            chip.classList.toggle('talk', channel === client.channel);
+            chip.classList.toggle('priority', channel === client.priorityChannel);
+            chip.classList.toggle('active', channel === client.activeScanChannel);
+            chip.title = channel === client.channel ? 'Talk channel' : `Click to talk on ${client.getChannelName(channel)}`;
+
+            const participants = client.channelParticipants[channel];
+            chip.innerHTML = this.escapeHtml(this.getChannelLabel(channel)) +
+                (participants !== undefined ? ` <span class="scan-count">${participants}</span>` : '');
+
+            chip.addEventListener('click', () => {
+                if (channel === client.channel) return;
+                client.switchChannel(channel);
+            });
+
+            this.scanList.appendChild(chip);
+        });
+    }
+
+    getChannelLabel(channel) {
+        // Short label for chips and menus
+        const entry = this.client.getChannelEntry(channel);
+        return entry ? entry.name : `Ch ${channel}`;
+    }
+
+    renderScanPriorityOptions() {
+        if (!this.scanPrioritySelect) return;
+
+        const client = this.client;
+        const channels = client.getMonitoredChannels();
+        this.scanPrioritySelect.innerHTML = '<option value="">None</option>' +
+            channels.map(channel => `<option value="${this.escapeHtml(channel)}">${this.escapeHtml(this.getChannelLabel(channel))}</option>`).join('');
+        this.scanPrioritySelect.value = client.priorityChannel || '';
+    }
+
+    // Channel Selector Methods
+
+    switchChannel(channel = null) {
+        const client = this.client;
+        if (!client.isConnected) return;
+        if (channel === null && !this.channelInput) return;
+
+        const input = channel !== null ? channel : this.channelInput.value;
+        if (!client.resolveChannel(input)) {
+            alert('Unknown channel. Enter a channel number between 1 and 999 or pick a channel from the list');
+            return;
+        }
+
+        this.showChannelPicker(false);
+        client.switchChannel(input);
+
+        // Staying on the same channel still puts its name back in the input
+        this.updateChannelDisplay();
+    }
+
+    updateChannelDisplay() {
+        const client = this.client;
+        const entry = client.getChannelEntry(client.channel);
+        const label = client.isPrivateChannel(client.channel)
+            ? `📞 ${client.call ? client.call.peer.screen_name : 'Private call'}`
+            : (entry ? entry.name : client.channel);
+
+        if (this.channelDisplay) {
+            this.channelDisplay.textContent = label;
+        }
+        if (this.channelInput) {
+            this.channelInput.value = label;
+        }
+    }
+
+    showChannelPicker(visible) {
+        if (!this.channelPicker) return;
+
+        const directory = this.client.channelDirectory;
+        this.channelPicker.hidden = !visible || !directory || directory.length === 0;
+        if (visible) {
+            this.pickerIndex = -1;
+            this.renderChannelPicker(true);
+        }
+    }
+
+    renderChannelPicker(showAll = false) {
+        if (!this.channelPicker || this.channelPicker.hidden) return;
+
+        const client = this.client;
+
+        // Right after focusing, the input holds the current channel's name; list everything then
+        const matches = showAll ? client.searchChannelDirectory('') : client.searchChannelDirectory(this.channelInput.value);
+        this.channelPicker.innerHTML = '';
+
+        if (matches.length === 0) {
+            this.channelPicker.innerHTML = '<div class="channel-picker-empty">No matching channels - press Enter to join by number</div>';
+            return;
+        }
+
+        matches.forEach((channel, index) => {
+            const item = document.createElement('div');
+            item.className = 'channel-picker-item';
+            item.setAttribute('role', 'option');
+            item.classList.toggle('current', channel.slug === client.channel);
+            item.classList.toggle('highlighted', index === this.pickerIndex);
+
+            const count = client.channelCounts[channel.slug];
+            item.innerHTML = `
+                <span class="channel-picker-icon">${this.renderChannelIcon(channel.icon)}</span>
+                <span class="channel-picker-text">
+                    <span class="channel-picker-name">${this.escapeHtml(channel.name)}</span>
+                    ${channel.description ? `<span class="channel-picker-description">${this.escapeHtml(channel.description)}</span>` : ''}
+                </span>
+                ${count !== undefined ? `<span class="channel-picker-count" title="Participants">${count}</span>` : ''}
+            `;
+
+            // mousedown fires before the input's blur hides the picker
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.switchChannel(channel.slug);
+                this.channelInput.blur();
+            });
+
+            this.channelPicker.appendChild(item);
+        });
+    }
+
+    renderChannelIcon(icon) {
+        if (!icon) return '#';
+
+        // Icons are either an image URL or a short text/emoji
+        if (/^(https?:\/\/|\/)/.test(icon)) {
+            return `<img src="${this.escapeHtml(icon)}" alt="">`;
+        }
+        return this.escapeHtml(icon);
+    }
+
+    handlePickerKey(e) {
+        const matches = this.channelPicker && !this.channelPicker.hidden
+            ? this.client.searchChannelDirectory(this.channelInput.value)
+            : [];
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (matches.length === 0) return;
+                e.preventDefault();
+                this.pickerIndex = (this.pickerIndex + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+                this.renderChannelPicker();
+                break;
+
+            case 'Enter':
+                e.preventDefault();
+                this.switchChannel(this.pickerIndex >= 0 && matches[this.pickerIndex] ? matches[this.pickerIndex].slug : null);
+                this.channelInput.blur();
+                break;
+
+            case 'Escape':
+                this.updateChannelDisplay();
+                this.channelInput.blur();
+                break;
+        }
+    }
+
+    // Hotkey Methods
+    //
+    // Shortcuts are handled at document level so PTT works without focusing the
+    // button. Keys typed into form fields never trigger them. Bindings are stored
+    // as KeyboardEvent.code values with optional modifiers, e.g. "Ctrl+KeyM".
+
+    setupHotkeys() {
+        if (!this.hotkeysEnabled) return;
+
+        this.listen(document, 'keydown', (e) => this.handleHotkeyDown(e));
+        this.listen(document, 'keyup', (e) => this.handleHotkeyUp(e));
+
+        // Keyup never arrives if the window loses focus mid-transmission
+        this.listen(window, 'blur', () => {
+            if (this.hotkeyPttActive) {
+                this.hotkeyPttActive = false;
+                this.client.pttRelease();
+            }
+        });
+
+        this.hotkeysPanel = this.root.getElementById('hotkeys-panel');
+        this.hotkeysList = this.root.getElementById('hotkeys-list');
+        this.hotkeysMessage = this.root.getElementById('hotkeys-message');
+
+        const toggle = this.root.getElementById('hotkeys-toggle');
+        if (toggle && this.hotkeysPanel) {
+            toggle.addEventListener('click', () => {
+                this.hotkeysPanel.classList.toggle('collapsed');
+                const isCollapsed = this.hotkeysPanel.classList.contains('collapsed');
+                toggle.textContent = isCollapsed ? 'Show' : 'Hide';
+            });
+        }
+
+        const reset = this.root.getElementById('hotkeys-reset');
+        if (reset) {
+            reset.addEventListener('click', () => {
+                this.hotkeys = { ...WalkieTalkieUI.DEFAULT_HOTKEYS };
+                this.hotkeyCapture = null;
+                this.saveHotkeys();
+                this.renderHotkeys('Shortcuts reset to defaults');
+            });
+        }
+
+        this.renderHotkeys();
+    }
+
+    getHotkeyStorageKey() {
+        const user = this.client.currentUser;
+        return user && user.username ? `hotkeys:${user.username}` : 'hotkeys';
+    }
+
+    loadHotkeys() {
+        this.hotkeys = { ...WalkieTalkieUI.DEFAULT_HOTKEYS };
+
+        try {
+            const saved = JSON.parse(this.client.storage.local.getItem(this.getHotkeyStorageKey()) || 'null');
+            if (saved) {
+                Object.keys(this.hotkeys).forEach(action => {
+                    if (saved[action] !== undefined) this.hotkeys[action] = saved[action];
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load hotkeys:', error);
+        }
+
+        this.renderHotkeys();
+    }
+
+    saveHotkeys() {
+        this.client.storage.local.setItem(this.getHotkeyStorageKey(), JSON.stringify(this.hotkeys));
+    }
+
+    hotkeyFromEvent(e) {
+        const parts = [];
+        if (e.ctrlKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey) parts.push('Shift');
+        if (e.metaKey) parts.push('Meta');
+        parts.push(e.code);
+        return parts.join('+');
+    }
+
+    formatHotkey(binding) {
+        if (!binding) return 'Not set';
+
+        const names = { BracketLeft: '[', BracketRight: ']', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+        return binding.split('+').map(part => {
+            if (names[part]) return names[part];
+            return part.replace(/^Key/, '').replace(/^Digit/, '');
+        }).join(' + ');
+    }
+
+    getKeyTarget(e) {
+        // Keys typed inside a shadow root reach the document retargeted to its host element
+        return e.composedPath ? e.composedPath()[0] || e.target : e.target;
+    }
+
+    isTypingTarget(element) {
+        if (!element || !element.tagName) return false;
+        return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+    }
+
+    findHotkeyAction(e) {
+        // A focused PTT button keeps its Space/Enter behaviour regardless of bindings
+        const target = this.getKeyTarget(e);
+        if (target === this.pttButton && (e.code === 'Space' || e.code === 'Enter')) {
+            return 'ptt';
+        }
+
+        // Let other focused buttons and links handle their own activation keys
+        if (target && ['BUTTON', 'A'].includes(target.tagName) && (e.code === 'Space' || e.code === 'Enter')) {
+            return null;
+        }
+
+        const binding = this.hotkeyFromEvent(e);
+        return Object.keys(this.hotkeys).find(action => this.hotkeys[action] === binding) || null;
+    }
+
+    handleHotkeyDown(e) {
+        if (this.hotkeyCapture) {
+            this.captureHotkey(e);
+            return;
+        }
+
+        if (e.isComposing || this.isTypingTarget(this.getKeyTarget(e))) return;
+
+        const action = this.findHotkeyAction(e);
+        if (!action) return;
+
+        e.preventDefault();
+        if (e.repeat) return;
+
+        const client = this.client;
+        switch (action) {
+            case 'ptt':
+                this.hotkeyPttActive = true;
+                client.pttPress();
+                break;
+            case 'channelNext':
+                client.stepChannel(1);
+                break;
+            case 'channelPrev':
+                client.stepChannel(-1);
+                break;
+            case 'muteAll':
+                client.setMuted(!client.isMuted);
+                break;
+            case 'replayLast':
+                client.replayLastMessage();
+                break;
+        }
+    }
+
+    handleHotkeyUp(e) {
+        if (!this.hotkeyPttActive) return;
+
+        // Match on the key alone; modifiers may have been let go first
+        const pttCode = this.hotkeys.ptt ? this.hotkeys.ptt.split('+').pop() : null;
+        const onButton = this.getKeyTarget(e) === this.pttButton && (e.code === 'Space' || e.code === 'Enter');
+
+        if (e.code === pttCode || onButton) {
+            e.preventDefault();
+            this.hotkeyPttActive = false;
+            this.client.pttRelease();
+        }
+    }
+
+    captureHotkey(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Wait for the actual key when a modifier is pressed first
+        if (WalkieTalkieUI.MODIFIER_CODES.includes(e.code)) return;
+
+        const action = this.hotkeyCapture;
+        this.hotkeyCapture = null;
+
+        if (e.code === 'Escape') {
+            this.renderHotkeys();
+            return;
+        }
+
+        if (e.code === 'Backspace' || e.code === 'Delete') {
+            this.hotkeys[action] = null;
+            this.saveHotkeys();
+            this.renderHotkeys(`${WalkieTalkieUI.HOTKEY_LABELS[action]} shortcut cleared`);
+            return;
+        }
+
+        const binding = this.hotkeyFromEvent(e);
+
+        if (WalkieTalkieUI.RESERVED_HOTKEYS.includes(binding)) {
+            this.renderHotkeys(`${this.formatHotkey(binding)} is reserved for keyboard navigation`, true);
+            return;
+        }
+
+        const conflict = Object.keys(this.hotkeys).find(other => other !== action && this.hotkeys[other] === binding);
+        if (conflict) {
+            this.renderHotkeys(`${this.formatHotkey(binding)} is already used for ${WalkieTalkieUI.HOTKEY_LABELS[conflict]}`, true);
+            return;
+        }
+
+        this.hotkeys[action] = binding;
+        this.saveHotkeys();
+        this.renderHotkeys();
+    }
+
+    renderHotkeys(message = '', isError = false) {
+        if (!this.hotkeysList) return;
+
+        this.hotkeysList.innerHTML = '';
+
+        Object.keys(WalkieTalkieUI.HOTKEY_LABELS).forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'hotkey-row';
+
+            const label = document.createElement('span');
+            label.className = 'hotkey-label';
+            label.textContent = WalkieTalkieUI.HOTKEY_LABELS[action];
+
+            const button = document.createElement('button');
+            button.className = 'hotkey-binding';
+            if (this.hotkeyCapture === action) {
+                button.classList.add('capturing');
+                button.textContent = 'Press a key…';
+            } else {
+                button.textContent = this.formatHotkey(this.hotkeys[action]);
+            }
+
+            button.addEventListener('click', () => {
+                this.hotkeyCapture = action;
+                this.renderHotkeys('Press the new key, Esc to cancel, Backspace to clear');
+            });
+
+            row.appendChild(label);
+            row.appendChild(button);
+            this.hotkeysList.appendChild(row);
+        });
+
+        if (this.hotkeysMessage) {
+            this.hotkeysMessage.textContent = message;
+            this.hotkeysMessage.classList.toggle('error', isError);
+        }
+    }
+
+    // PTT Mode and Transmit Time-out Methods
+
+    setupPttModeUI() {
+        const client = this.client;
+
+        if (this.pttLatchToggle) {
+            this.pttLatchToggle.checked = client.pttLatching;
+            this.pttLatchToggle.addEventListener('change', (e) => client.setPttLatching(e.target.checked));
+        }
+
+        if (this.totSelect) {
+            this.totSelect.value = String(client.transmitTimeout);
+            this.totSelect.addEventListener('change', (e) => client.setTransmitTimeout(parseInt(e.target.value) || 0));
+        }
+    }
+
+    updateTimeoutOptions() {
+        // Called once config.php is loaded: choices longer than the server allows are unavailable
+        const serverMax = this.client.getServerTransmitLimit();
+        if (!this.totSelect || !serverMax) return;
+
+        Array.from(this.totSelect.options).forEach(option => {
+            const seconds = parseInt(option.value);
+            if (seconds === 0) {
+                option.textContent = `Server max (${serverMax} s)`;
+            } else {
+                option.disabled = seconds > serverMax;
+            }
+        });
+
+        this.totSelect.value = String(this.client.transmitTimeout);
+    }
+
+    renderMicrophoneState(data) {
+        if (!this.pttButton) return;
+
+        if (data.available) {
+            this.pttButton.disabled = false;
+            this.updatePttLabel();
+        } else {
+            this.pttButton.querySelector('.ptt-text').textContent = 'Mic Access Denied';
+        }
+    }
+
+    updatePttLabel() {
+        const client = this.client;
+        if (!this.pttButton || !client.audioStream) return;
+
+        const label = this.pttButton.querySelector('.ptt-text');
+        if (!label) return;
+
+        if (client.isRecording && client.pttLatching && !client.voxKeyed) {
+            label.textContent = 'Tap to Stop';
+        } else if (client.voxEnabled) {
+            label.textContent = 'VOX Armed';
+        } else {
+            label.textContent = client.pttLatching ? 'Tap to Talk' : 'Hold to Talk';
+        }
+    }
+
+    renderTransmitCountdown(remaining) {
+        if (!this.totCountdown) return;
+
+        if (remaining === null) {
+            this.totCountdown.hidden = true;
+            this.totCountdown.classList.remove('warning');
+            return;
+        }
+
+        this.totCountdown.hidden = false;
+        this.totCountdown.textContent = `Time-out in ${remaining}s`;
+        this.totCountdown.classList.toggle('warning', remaining <= WalkieTalkieUI.TOT_WARNING_SECONDS);
+    }
+
+    // VOX Methods
+
+    setupVoxUI() {
+        if (!this.voxToggle) return;
+
+        const client = this.client;
+        client.loadVoxSettings();
+
+        const sliders = [
+            { id: 'vox-threshold', key: 'threshold', unit: 'dB' },
+            { id: 'vox-attack', key: 'attackMs', unit: 'ms' },
+            { id: 'vox-hang', key: 'hangMs', unit: 'ms' }
+        ];
+
+        sliders.forEach(({ id, key, unit }) => {
+            const input = this.root.getElementById(id);
+            const label = this.root.getElementById(`${id}-value`);
+            if (!input) return;
+
+            input.value = client.voxSettings[key];
+            if (label) label.textContent = `${client.voxSettings[key]} ${unit}`;
+
+            input.addEventListener('input', (e) => {
+                client.setVoxSettings({ [key]: parseInt(e.target.value) });
+                if (label) label.textContent = `${client.voxSettings[key]} ${unit}`;
+            });
+        });
+
+        this.voxToggle.checked = client.voxEnabled;
+        this.voxToggle.addEventListener('change', (e) => {
+            client.setVoxEnabled(e.target.checked);
+        });
+
+        this.updateVoxUI();
+    }
+
+    updateVoxUI() {
+        const client = this.client;
+
+        // Switched off on the server; the saved preference is kept for when it comes back
+        const container = this.root.getElementById('vox-control');
+        if (container && !client.voxAvailable) {
+            container.style.display = 'none';
+        }
+
+        if (this.voxToggle) {
+            this.voxToggle.checked = client.voxEnabled;
+        }
+        if (this.voxSettingsPanel) {
+            this.voxSettingsPanel.hidden = !client.voxEnabled;
+        }
+
+        this.updatePttLabel();
+        this.updateVoxMeter(null);
+    }
+
+    updateVoxMeter(level, suppressed = false) {
+        const threshold = this.client.voxSettings.threshold;
+        const toPercent = (db) => Math.max(0, Math.min(100, (db + 80) / 80 * 100));
+
+        if (this.voxLevel) {
+            const value = level === null ? -100 : level;
+            this.voxLevel.style.width = `${toPercent(value)}%`;
+            this.voxLevel.classList.toggle('above', value >= threshold);
+            this.voxLevel.classList.toggle('suppressed', suppressed);
+        }
+
+        if (this.voxThresholdMarker) {
+            this.voxThresholdMarker.style.left = `${toPercent(threshold)}%`;
+        }
+    }
+
+    // Voice Processing Methods
+
+    setupProcessingUI() {
+        this.processingPanel = this.root.getElementById('processing-panel');
+        if (!this.processingPanel) return;
+
+        const client = this.client;
+        const toggle = this.root.getElementById('processing-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.processingPanel.classList.toggle('collapsed');
+                const isCollapsed = this.processingPanel.classList.contains('collapsed');
+                toggle.textContent = isCollapsed ? 'Show' : 'Hide';
+            });
+        }
+
+        // One toggle per registered stage, so stages added to audio-chain.js show up here
+        const stageList = this.root.getElementById('processing-stages');
+        if (stageList && typeof globalThis.AudioProcessingChain !== 'undefined') {
+            globalThis.AudioProcessingChain.stageOrder.forEach(id => {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label';
+                label.innerHTML = `
+                    <input type="checkbox" data-processing="${id}">
+                    <span class="checkmark"></span>
+                    ${this.escapeHtml(globalThis.AudioProcessingChain.stages[id].label || id)}
+                `;
+                stageList.appendChild(label);
+            });
+        }
+
+        const settings = client.getProcessingSettings();
+        this.processingPanel.querySelectorAll('input[data-processing]').forEach(input => {
+            const key = input.dataset.processing;
+            input.checked = settings[key] === true;
+            input.addEventListener('change', () => {
+                client.updateProcessingSettings({ [key]: input.checked });
+            });
+        });
+
+        const threshold = this.root.getElementById('gate-threshold');
+        const thresholdLabel = this.root.getElementById('gate-threshold-value');
+        if (threshold) {
+            threshold.value = settings.gateThreshold;
+            if (thresholdLabel) thresholdLabel.textContent = `${settings.gateThreshold} dB`;
+
+            threshold.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                if (thresholdLabel) thresholdLabel.textContent = `${value} dB`;
+                client.updateProcessingSettings({ gateThreshold: value });
+            });
+        }
+
+        this.processingPreviewButton = this.root.getElementById('processing-preview');
+        if (this.processingPreviewButton) {
+            this.processingPreviewButton.addEventListener('click', () => {
+                client.setProcessingPreview(!client.processingPreview);
+            });
+        }
+
+        this.updateProcessingUI();
+    }
+
+    updateProcessingUI() {
+        const client = this.client;
+
+        const gateSettings = this.root.getElementById('gate-settings');
+        if (gateSettings) {
+            gateSettings.hidden = !client.getProcessingSettings().noiseGate;
+        }
+
+        if (this.processingPreviewButton) {
+            this.processingPreviewButton.classList.toggle('active', !!client.processingPreview);
+            this.processingPreviewButton.textContent = client.processingPreview ? 'Stop Preview' : 'Preview';
+        }
+    }
+
+    // Audio Device Methods
+
+    setupDevicesUI() {
+        this.devicesPanel = this.root.getElementById('devices-panel');
+        this.inputDeviceSelect = this.root.getElementById('input-device');
+        this.outputDeviceSelect = this.root.getElementById('output-device');
+        this.devicesMessage = this.root.getElementById('devices-message');
+        if (!this.devicesPanel) return;
+
+        const toggle = this.root.getElementById('devices-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.devicesPanel.classList.toggle('collapsed');
+                const isCollapsed = this.devicesPanel.classList.contains('collapsed');
+                toggle.textContent = isCollapsed ? 'Show' : 'Hide';
+            });
+        }
+
+        if (this.inputDeviceSelect) {
+            this.inputDeviceSelect.addEventListener('change', (e) => {
+                this.client.setInputDevice(e.target.value || null);
+            });
+        }
+
+        if (this.outputDeviceSelect) {
+            this.outputDeviceSelect.addEventListener('change', (e) => {
+                this.client.setOutputDevice(e.target.value || null);
+            });
+        }
+
+        this.renderDeviceLists();
+    }
+
+    renderDeviceLists() {
+        const client = this.client;
+
+        const render = (select, kind, key, fallbackName) => {
+            if (!select) return;
+
+            const chosen = client.deviceSettings[key];
+            const devices = client.availableDevices[kind];
+            const options = [{ value: '', text: 'System default' }];
+
+            devices.forEach((device, index) => {
+                options.push({ value: device.deviceId, text: device.label || `${fallbackName} ${index + 1}` });
+            });
+
+            // Keep an unplugged choice visible so it isn't silently forgotten
+            if (chosen && !devices.some(device => device.deviceId === chosen.id)) {
+                options.push({ value: chosen.id, text: `${chosen.label || fallbackName} (unplugged)` });
+            }
+
+            select.replaceChildren(...options.map(option => new Option(option.text, option.value)));
+            select.value = chosen ? chosen.id : '';
+        };
+
+        render(this.inputDeviceSelect, 'audioinput', 'input', 'Microphone');
+
+        const canSelectOutput = client.canSelectOutputDevice();
+        render(canSelectOutput ? this.outputDeviceSelect : null, 'audiooutput', 'output', 'Speaker');
+        const outputControl = this.root.getElementById('output-device-control');
+        if (outputControl) {
+            outputControl.hidden = !canSelectOutput;
+        }
+
+        if (this.devicesMessage) {
+            const unplugged = ['input', 'output'].filter(key => {
+                const kind = key === 'input' ? 'audioinput' : 'audiooutput';
+                return client.deviceSettings[key] && client.availableDevices[kind].length > 0 && !client.getActiveDeviceId(kind);
+            });
+
+            if (unplugged.length > 0) {
+                this.devicesMessage.textContent = 'A selected device is unplugged. The system default is used until it is back.';
+            } else if (client.availableDevices.audioinput.length === 0) {
+                this.devicesMessage.textContent = 'Allow microphone access to see your devices.';
+            } else {
+                this.devicesMessage.textContent = '';
+            }
+        }
+    }
+
+    // Level Meter Methods
+    //
+    // The input meter shows the processed microphone signal (what is actually sent) while
+    // transmitting or during a mic check; the output meter shows the final mix after the
+    // master volume. Both are redrawn on animation frames only while there is something
+    // to show, then fall back to silence.
+
+    setupLevelMeters() {
+        const floor = WalkieTalkie.METER_FLOOR_DB;
+
+        ['input', 'output'].forEach(kind => {
+            const element = this.root.getElementById(`${kind}-meter`);
+            if (!element) return;
+
+            this.levelMeters[kind] = {
+                element,
+                bar: element.querySelector('.level-meter-bar'),
+                peak: element.querySelector('.level-meter-peak'),
+                clip: element.querySelector('.level-meter-clip'),
+                title: element.title,
+                level: floor,
+                peakDb: floor,
+                peakHeldAt: 0,
+                clippedAt: 0,
+                updatedAt: 0
+            };
+        });
+
+        this.micCheckButton = this.root.getElementById('mic-check-btn');
+        if (this.micCheckButton) {
+            this.micCheckButton.addEventListener('click', () => {
+                this.client.setMicCheck(!this.client.micCheck);
+            });
+        }
+    }
+
+    updateMicCheckUI() {
+        if (!this.micCheckButton) return;
+
+        const checking = !!this.client.micCheck;
+        this.micCheckButton.classList.toggle('active', checking);
+        this.micCheckButton.textContent = checking ? 'Stop Check' : 'Mic Check';
+    }
+
+    startLevelMeters() {
+        if (this.meterFrame || Object.keys(this.levelMeters).length === 0) return;
+
+        this.meterFrame = requestAnimationFrame(() => this.updateLevelMeters());
+    }
+
+    updateLevelMeters() {
+        this.meterFrame = null;
+        const now = performance.now();
+        const levels = this.client.getLevels();
+
+        const inputBusy = this.renderLevelMeter('input', levels.input, now);
+        const outputBusy = this.renderLevelMeter('output', levels.output, now);
+
+        if (inputBusy || outputBusy) {
+            this.meterFrame = requestAnimationFrame(() => this.updateLevelMeters());
+        }
+    }
+
+    renderLevelMeter(kind, measured, now) {
+        const meter = this.levelMeters[kind];
+        if (!meter) return false;
+
+        // null means there is nothing to measure right now
+        const active = measured !== null;
+        const floor = WalkieTalkie.METER_FLOOR_DB;
+        const reading = measured || { level: floor, peak: floor, clipping: false };
+
+        // Rise instantly, fall at a fixed rate so the bar doesn't flicker
+        const fall = WalkieTalkieUI.METER_FALL_DB_PER_SECOND * Math.min(0.1, (now - meter.updatedAt) / 1000);
+        meter.updatedAt = now;
+        meter.level = Math.max(reading.level, meter.level - fall);
+
+        if (reading.peak >= meter.peakDb) {
+            meter.peakDb = reading.peak;
+            meter.peakHeldAt = now;
+        } else if (now - meter.peakHeldAt > WalkieTalkieUI.METER_PEAK_HOLD_MS) {
+            meter.peakDb = Math.max(reading.peak, meter.peakDb - fall);
+        }
+
+        if (reading.clipping) {
+            meter.clippedAt = now;
+        }
+        const clipping = now - meter.clippedAt < WalkieTalkieUI.METER_CLIP_HOLD_MS;
+
+        const toPercent = db => `${Math.round((db - floor) / -floor * 100)}%`;
+        if (meter.bar) {
+            meter.bar.style.width = toPercent(meter.level);
+            meter.bar.classList.toggle('hot', meter.level > WalkieTalkieUI.METER_HOT_DB);
+        }
+        if (meter.peak) {
+            meter.peak.style.left = toPercent(meter.peakDb);
+            meter.peak.hidden = meter.peakDb <= floor;
+        }
+        if (meter.clip) {
+            meter.clip.classList.toggle('active', clipping);
+        }
+        meter.element.classList.toggle('active', active);
+
+        // Say what to do about it, not just that it happened
+        if (kind === 'input') {
+            meter.element.title = clipping ? 'Microphone is clipping: move back from the mic or turn on the compressor' : meter.title;
+        } else {
+            meter.element.title = clipping ? 'Output is clipping: turn the volume down' : meter.title;
+        }
+
+        return active || meter.level > floor || meter.peakDb > floor || clipping;
+    }
+
+    // Speaker and Mixer Methods
+
+    renderSpeakingIndicator() {
+        if (!this.speakingIndicator) return;
+
+        const client = this.client;
+        const speakers = Array.from(client.activeSpeakers.values());
+        this.speakingIndicator.classList.toggle('active', speakers.length > 0);
+        this.speakingIndicator.classList.toggle('multiple', speakers.length > 1);
+
+        // The compact embed indicator only pulses; names go in the tooltip
+        if (this.embedMode) {
+            this.speakingIndicator.title = speakers.map(speaker => speaker.screen_name || 'Someone').join(', ');
+            return;
+        }
+
+        this.speakingIndicator.innerHTML = '';
+        if (speakers.length === 0) return;
+
+        if (speakers.length > 1) {
+            const header = document.createElement('div');
+            header.className = 'speaking-header';
+            header.textContent = `${speakers.length} people speaking`;
+            this.speakingIndicator.appendChild(header);
+        }
+
+        speakers.forEach(speaker => {
+            // While scanning, say which channel the audio is coming from
+            const source = client.scanEnabled && speaker.channel ? ` on ${client.getChannelName(speaker.channel)}` : '';
+            const row = document.createElement('div');
+            row.className = 'speaking-speaker';
+
+            const label = document.createElement('span');
+            label.className = 'speaking-text';
+            const name = speaker.screen_name || 'Someone';
+            label.textContent = speakers.length === 1 ? `${name} is speaking${source}...` : `${name}${source}`;
+            row.appendChild(label);
+
+            // Mixer settings are keyed by screen name, so anonymous audio gets no controls
+            if (speaker.screen_name) {
+                row.appendChild(this.createSpeakerControls(speaker.screen_name, 'indicator'));
+            }
+            this.speakingIndicator.appendChild(row);
+        });
+    }
+
+    updateParticipantsCount() {
+        if (!this.participantsCount) return;
+
+        const participants = this.client.participants;
+        if (this.embedMode) {
+            this.participantsCount.textContent = participants;
+        } else {
+            this.participantsCount.textContent = `${participants} participants`;
+        }
+    }
+
+    setupMixerUI() {
+        if (!this.volumeControl) return;
+
+        this.volumeControl.value = Math.round(this.client.getVolume() * 100);
+        this.volumeControl.addEventListener('input', (e) => {
+            this.client.setVolume(e.target.value / 100);
+        });
+    }
+
+    renderVolume(data) {
+        if (!this.volumeControl) return;
+
+        if (parseInt(this.volumeControl.value) !== Math.round(data.volume * 100)) {
+            this.volumeControl.value = Math.round(data.volume * 100);
+        }
+
+        const volumeContainer = this.volumeControl.closest('.volume-control');
+        if (volumeContainer) {
+            volumeContainer.classList.toggle('muted', data.muted);
+        }
+    }
+
+    createSpeakerControls(screenName, variant) {
+        const client = this.client;
+        const controls = document.createElement('span');
+        controls.className = `speaker-controls ${variant}`;
+        controls.dataset.speaker = screenName;
+        controls.innerHTML = `
+            <button class="speaker-mute-btn" type="button"></button>
+            <input type="range" class="speaker-volume" min="0" max="${WalkieTalkie.SPEAKER_MAX_VOLUME * 100}" step="5">
+        `;
+
+        controls.querySelector('.speaker-mute-btn').addEventListener('click', () => {
+            client.setSpeakerMuted(screenName, !client.getSpeakerSettings(screenName).muted);
+        });
+        controls.querySelector('.speaker-volume').addEventListener('input', (e) => {
+            client.setSpeakerVolume(screenName, e.target.value / 100);
+        });
+
+        this.syncSpeakerControls(controls);
+        return controls;
+    }
+
+    syncSpeakerControls(controls) {
+        const screenName = controls.dataset.speaker;
+        const settings = this.client.getSpeakerSettings(screenName);
+        const muteBtn = controls.querySelector('.speaker-mute-btn');
+        const slider = controls.querySelector('.speaker-volume');
+
+        controls.classList.toggle('muted', settings.muted);
+        muteBtn.textContent = settings.muted ? '🔇' : '🔊';
+        muteBtn.title = `${settings.muted ? 'Unmute' : 'Mute'} ${screenName}`;
+        slider.value = Math.round(settings.volume * 100);
+        slider.title = `${screenName}: ${Math.round(settings.volume * 100)}%`;
+        slider.disabled = settings.muted;
+    }
+
+    // Message History Methods
+
+    setupHistoryUI() {
+        const historyToggle = this.root.getElementById('history-toggle');
+        const historyPanel = this.root.getElementById('history-panel');
+        this.playAllBtn = this.root.getElementById('play-all-btn');
+
+        if (historyToggle && historyPanel) {
+            historyToggle.addEventListener('click', () => {
+                historyPanel.classList.toggle('collapsed');
+                const isCollapsed = historyPanel.classList.contains('collapsed');
+                historyToggle.textContent = isCollapsed ? 'Show History' : 'Hide History';
+            });
+        }
+
+        if (this.playAllBtn) {
+            this.playAllBtn.addEventListener('click', () => {
+                // Doubles as a stop button while the sequence plays
+                if (this.client.isPlayingHistory) {
+                    this.client.stopHistoryPlayback();
+                } else {
+                    this.client.playAllHistory();
+                }
+            });
+        }
+    }
+
+    updateHistoryPanel() {
+        const historyList = this.root.getElementById('history-list');
+        if (!historyList) return;
+
+        const client = this.client;
+        historyList.innerHTML = '';
+
+        if (client.messageHistory.length === 0 && client.outbox.length === 0) {
+            historyList.innerHTML = '<div class="history-empty">No messages yet</div>';
+            return;
+        }
+
+        client.messageHistory.forEach((message, index) => {
+            const messageEl = document.createElement('div');
+            messageEl.className = 'history-message';
+            messageEl.dataset.index = index;
+
+            const timestamp = this.formatTimestamp(parseInt(message.timestamp));
+            const duration = this.formatDuration(parseInt(message.duration));
+            // Use screen_name if available, otherwise fall back to formatted client_id
+            const displayName = message.screen_name || this.formatUserId(message.client_id);
+            // Transmissions delivered from an outbox show when they were actually recorded
+            const recordedAt = message.recorded_at
+                ? `<span class="history-recorded">Recorded ${this.formatTimestamp(parseInt(message.recorded_at))}</span>`
+                : '';
+
+            messageEl.innerHTML = `
+                <div class="history-message-info">
+                    <span class="history-user">${this.escapeHtml(displayName)}</span>
+                    <span class="history-timestamp">${timestamp}</span>
+                    ${recordedAt}
+                    <span class="history-duration">${duration}</span>
+                </div>
+                <button class="history-play-btn" data-index="${index}">
+                    <svg width="12" height="12" viewBox="0 0 12 12">
+                        <path d="M2 1 L2 11 L10 6 Z" fill="currentColor"/>
+                    </svg>
+                </button>
+            `;
+
+            const playBtn = messageEl.querySelector('.history-play-btn');
+            playBtn.addEventListener('click', () => client.playHistoryMessage(index));
+
+            historyList.appendChild(messageEl);
+        });
+
+        // Our own transmissions still waiting in the outbox come last
+        client.outbox.forEach(item => {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'history-message pending';
+
+            const channel = item.channel !== client.channel ? ` on ${this.escapeHtml(client.getChannelName(item.channel))}` : '';
+
+            itemEl.innerHTML = `
+                <div class="history-message-info">
+                    <span class="history-user">Pending${channel}</span>
+                    <span class="history-recorded">Recorded ${this.formatTimestamp(item.recordedAt)}</span>
+                    <span class="history-duration">${this.formatDuration(item.duration)}</span>
+                </div>
+                <button class="history-discard-btn" title="Discard">
+                    <svg width="12" height="12" viewBox="0 0 12 12">
+                        <path d="M2 2 L10 10 M10 2 L2 10" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                </button>
+            `;
+
+            itemEl.querySelector('.history-discard-btn').addEventListener('click', () => client.removeFromOutbox(item.id));
+
+            historyList.appendChild(itemEl);
+        });
+    }
+
+    renderHistoryPlayback() {
+        const client = this.client;
+
+        this.root.querySelectorAll('.history-message.playing').forEach(el => el.classList.remove('playing'));
+        this.root.querySelectorAll('.history-play-btn.playing').forEach(button => this.setPlayButtonIcon(button, 'play'));
+
+        // Play All highlights the message it is on; a single message also gets a stop button
+        const index = client.isPlayingHistory ? client.currentHistoryIndex : client.currentPlayingHistoryIndex;
+        const messageEl = index >= 0 ? this.root.querySelector(`.history-message[data-index="${index}"]`) : null;
+        if (messageEl) {
+            messageEl.classList.add('playing');
+
+            const playBtn = messageEl.querySelector('.history-play-btn');
+            if (playBtn && !client.isPlayingHistory) {
+                this.setPlayButtonIcon(playBtn, 'pause');
+            }
+        }
+
+        if (this.playAllBtn) {
+            this.playAllBtn.textContent = client.isPlayingHistory ? 'Stop' : 'Play All';
+        }
+    }
+
+    setPlayButtonIcon(playBtn, state) {
+        if (state === 'pause') {
+            // Stop icon (square)
+            playBtn.innerHTML = `
+                <svg width="12" height="12" viewBox="0 0 12 12">
+                    <rect x="2" y="2" width="8" height="8" fill="currentColor"/>
+                </svg>
+            `;
+            playBtn.classList.add('playing');
+        } else {
+            // Play icon (triangle)
+            playBtn.innerHTML = `
+                <svg width="12" height="12" viewBox="0 0 12 12">
+                    <path d="M2 1 L2 11 L10 6 Z" fill="currentColor"/>
+                </svg>
+            `;
+            playBtn.classList.remove('playing');
+        }
+    }
+
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        const now = new Date();
+        const diffMs = now - date;
+        const diffMins = Math.floor(diffMs / 60000);
+
+        if (diffMins < 1) return 'Just now';
+        if (diffMins < 60) return `${diffMins}m ago`;
+        if (diffMins < 1440) return `${Math.floor(diffMins / 60)}h ago`;
+
+        // Show time for older messages
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatDuration(durationMs) {
+        const seconds = Math.round(durationMs / 1000 * 10) / 10;
+        return `${seconds}s`;
+    }
+
+    formatUserId(clientId) {
+        // Extract last 4 characters of client ID
+        const shortId = clientId.slice(-4);
+        return `User #${shortId}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Account Methods
+
+    renderUserMenu() {
+        const client = this.client;
+        const header = this.root.querySelector('.header');
+        if (!header || (!client.currentUser && !client.isAnonymous)) return;
+
+        let userMenu = this.root.getElementById('userMenu');
+        if (!userMenu) {
+            userMenu = document.createElement('div');
+            userMenu.id = 'userMenu';
+            userMenu.className = 'user-menu';
+            header.appendChild(userMenu);
+        }
+
+        if (client.currentUser) {
+            userMenu.innerHTML = `
+                <span class="user-menu-username">👤 ${this.escapeHtml(client.currentUser.username)}</span>
+                <button data-href="/passkeys.html" class="user-menu-btn">Passkeys</button>
+                <button data-action="logout" class="user-menu-btn">Logout</button>
+            `;
+        } else {
+            // Build menu HTML based on whether registration is enabled
+            let menuHTML = `<span class="user-menu-username">👤 ${this.escapeHtml(client.screenName || 'Anonymous')}</span>`;
+
+            if (client.config.registrationEnabled) {
+                menuHTML += `<button data-href="/login.html" class="user-menu-btn user-menu-btn-primary">Register / Login</button>`;
+            }
+
+            userMenu.innerHTML = menuHTML;
+        }
+
+        userMenu.querySelectorAll('[data-href]').forEach(button => {
+            button.addEventListener('click', () => {
+                window.location.href = button.dataset.href;
+            });
+        });
+        userMenu.querySelectorAll('[data-action="logout"]').forEach(button => {
+            button.addEventListener('click', async () => {
+                await client.logout();
+                window.location.href = '/';
+            });
+        });
+
+        // Hide the login/register link
+        const authLink = this.root.getElementById('auth-link');
+        if (authLink) {
+            authLink.style.display = 'none';
+        }
+    }
+
+    // Background Notification Methods
+
+    async setupNotifications() {
+        if (!('Notification' in window) || !('serviceWorker' in navigator)) {
+            console.log('Notifications not supported');
+            return;
+        }
+
+        try {
+            // Request notification permission
+            let permission = Notification.permission;
+
+            if (permission === 'default') {
+                permission = await Notification.requestPermission();
+            }
+
+            const granted = permission === 'granted';
+            console.log('Notification permission:', granted ? 'granted' : 'denied');
+
+            // Send permission status to service worker
+            this.sendToServiceWorker('NOTIFICATION_PERMISSION', { granted });
+
+        } catch (error) {
+            console.error('Failed to setup notifications:', error);
+        }
+    }
+
+    trackAppVisibility() {
+        // Track if app is visible/focused
+        const updateAppState = () => {
+            this.isAppActive = !document.hidden && document.hasFocus();
+            this.sendToServiceWorker('APP_STATE_CHANGED', { isActive: this.isAppActive });
+        };
+
+        // Listen for visibility changes
+        this.listen(document, 'visibilitychange', updateAppState);
+        this.listen(window, 'focus', updateAppState);
+        this.listen(window, 'blur', updateAppState);
+
+        // Initial state
+        updateAppState();
+    }
+
+    notifyTransmission(data) {
+        // Notify service worker when someone else starts speaking (not ourselves)
+        // Only send notifications when app is in background or not active
+        if (!data.speaking || this.client.isSpeaking || this.isAppActive) return;
+
+        // Rate limit notifications
+        const now = Date.now();
+        if (now - this.lastNotificationTime > this.notificationCooldown) {
+            this.sendToServiceWorker('TRANSMISSION_STARTED', {
+                channel: data.channel,
+                name: this.client.getChannelName(data.channel)
+            });
+            this.lastNotificationTime = now;
+        }
+    }
+
+    sendToServiceWorker(type, data) {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type, data });
+        }
+    }
+}
+
+// Channel roster
+WalkieTalkieUI.ROSTER_REFRESH_INTERVAL = 30000;
+
+// Keyboard shortcuts (KeyboardEvent.code, optionally prefixed with Ctrl+/Alt+/Shift+/Meta+)
+WalkieTalkieUI.DEFAULT_HOTKEYS = {
+    ptt: 'Space',
+    channelNext: 'BracketRight',
+    channelPrev: 'BracketLeft',
+    muteAll: 'KeyM',
+    replayLast: 'KeyR'
+};
+WalkieTalkieUI.HOTKEY_LABELS = {
+    ptt: 'Push to Talk',
+    channelNext: 'Next Channel',
+    channelPrev: 'Previous Channel',
+    muteAll: 'Mute All',
+    replayLast: 'Replay Last Message'
+};
+WalkieTalkieUI.RESERVED_HOTKEYS = ['Tab', 'Shift+Tab', 'Escape'];
+WalkieTalkieUI.MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight'];
+
+// Transmit time-out
+WalkieTalkieUI.TOT_WARNING_SECONDS = 10; // Countdown turns red this close to the time-out
+
+// Level meters
+WalkieTalkieUI.METER_HOT_DB = -6; // Bar turns amber above this
+WalkieTalkieUI.METER_FALL_DB_PER_SECOND = 30;
+WalkieTalkieUI.METER_PEAK_HOLD_MS = 1500;
+WalkieTalkieUI.METER_CLIP_HOLD_MS = 2000; // How long the clip indicator stays lit
+
+globalThis.WalkieTalkieUI = WalkieTalkieUI;
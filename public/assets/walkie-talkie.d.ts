@@ -0,0 +1,397 @@
+/**
+ * Type declarations for the walkie talkie client
+ *
+ * walkie-talkie.js and walkie-talkie-ui.js are classic scripts that define
+ * globals, so these declarations are global too:
+ *
+ *   /// <reference path="walkie-talkie.d.ts" />
+ *
+ * See docs/EVENTS.md for the events and docs/HEADLESS.md for the adapters.
+ */
+
+// Adapters
+
+interface WalkieTalkieSocket {
+    readyState: number;
+    binaryType: string;
+    send(data: string | ArrayBuffer | ArrayBufferView): void;
+    close(code?: number, reason?: string): void;
+    onopen: ((event?: unknown) => void) | null;
+    onmessage: ((event: { data: string | ArrayBuffer }) => void) | null;
+    onclose: ((event?: { code?: number; reason?: string }) => void) | null;
+    onerror: ((error?: unknown) => void) | null;
+}
+
+interface WalkieTalkieTransport {
+    connect(url: string): WalkieTalkieSocket;
+    fetch(url: string, options?: RequestInit): Promise<Response>;
+    isOnline(): boolean;
+    /** Returns an unsubscribe function */
+    onNetworkChange(callback: (online: boolean) => void): () => void;
+}
+
+interface WalkieTalkieKeyValueStore {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+}
+
+interface WalkieTalkieOutboxItem {
+    id?: number;
+    owner: string | null;
+    channel: string;
+    recordedAt: number;
+    sampleRate: number;
+    duration: number;
+    chunks: { bytes: Uint8Array; duration: number }[];
+}
+
+interface WalkieTalkieOutboxStore {
+    getAll(): Promise<WalkieTalkieOutboxItem[]>;
+    /** Resolves to the new item's ID */
+    add(item: WalkieTalkieOutboxItem): Promise<number>;
+    delete(id: number): Promise<void>;
+    /** Deletes the item; resolves to true for exactly one caller */
+    claim(id: number): Promise<boolean>;
+}
+
+interface WalkieTalkieStorage {
+    local: WalkieTalkieKeyValueStore;
+    session: WalkieTalkieKeyValueStore;
+    /** null turns the offline outbox off */
+    outbox: WalkieTalkieOutboxStore | null;
+}
+
+interface WalkieTalkieAudio {
+    createContext(): AudioContext;
+    getUserMedia(constraints: MediaStreamConstraints): Promise<MediaStream>;
+    enumerateDevices(): Promise<MediaDeviceInfo[]>;
+    /** Returns an unsubscribe function */
+    onDeviceChange(callback: () => void): () => void;
+    createMediaElement(): HTMLAudioElement;
+    canSelectOutput(): boolean;
+}
+
+interface WalkieTalkieOptions {
+    channel?: string;
+    serverUrl?: string | null;
+    configUrl?: string;
+    directoryUrl?: string;
+    assetsUrl?: string;
+    listenOnly?: boolean;
+    screenName?: string | null;
+    screenNameProvider?: ((suggested: string, error: string | null) => Promise<string | null> | string | null) | null;
+    acceptsCalls?: boolean;
+    wireSampleRate?: number | null;
+    /** With serverUrl, used instead of loading configUrl */
+    config?: Record<string, unknown> | null;
+    transport?: WalkieTalkieTransport;
+    storage?: WalkieTalkieStorage;
+    /** null runs without any audio */
+    audio?: WalkieTalkieAudio | null;
+}
+
+// State
+
+interface WalkieTalkieUser {
+    id: number;
+    username: string;
+    [key: string]: unknown;
+}
+
+interface WalkieTalkieChannelEntry {
+    slug: string;
+    name: string;
+    description: string;
+    icon: string | null;
+}
+
+interface WalkieTalkieMember {
+    id: number;
+    screen_name: string;
+    authenticated: boolean;
+    joined_at: number;
+    last_active: number;
+    speaking: boolean;
+    idle: boolean;
+    self: boolean;
+}
+
+interface WalkieTalkieSpeaker {
+    screen_name: string | null;
+    channel: string;
+}
+
+interface WalkieTalkieCallPeer {
+    id: number;
+    screen_name: string;
+    authenticated?: boolean;
+}
+
+interface WalkieTalkieHistoryMessage {
+    client_id: string;
+    screen_name: string | null;
+    audio_data: string;
+    format: string | null;
+    sample_rate: number | null;
+    duration: number;
+    timestamp: number;
+    recorded_at: number | null;
+}
+
+interface WalkieTalkieVoxSettings {
+    /** dBFS */
+    threshold: number;
+    attackMs: number;
+    hangMs: number;
+}
+
+interface WalkieTalkieProcessingSettings {
+    echoCancellation: boolean;
+    noiseSuppression: boolean;
+    autoGainControl: boolean;
+    highpass: boolean;
+    noiseGate: boolean;
+    compressor: boolean;
+    radio: boolean;
+    /** dBFS */
+    gateThreshold: number;
+}
+
+interface WalkieTalkieDeviceList {
+    devices: { id: string; label: string }[];
+    selected: string | null;
+    active: string | null;
+}
+
+interface WalkieTalkieDevices {
+    input: WalkieTalkieDeviceList;
+    output: WalkieTalkieDeviceList;
+}
+
+interface WalkieTalkieLevel {
+    /** dBFS */
+    level: number;
+    /** dBFS */
+    peak: number;
+    clipping: boolean;
+}
+
+// Events
+
+type WalkieTalkieConnectionStatus = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'offline' | 'error';
+
+interface WalkieTalkieEvents {
+    config_loaded: { config: Record<string, unknown> };
+    auth_changed: { user: WalkieTalkieUser | null; screen_name: string | null; anonymous: boolean };
+    auth_required: { reason: 'login_required' | 'session_expired' };
+    connection_status: { status: WalkieTalkieConnectionStatus; reconnectAt: number | null };
+    connected: { url: string; reconnect: boolean };
+    disconnected: { code: number | null; reason: string | null; reconnecting: boolean };
+    reconnected: { channel: string };
+    error: { code: string | null; message: string; channel: string | null };
+    notice: { message: string; type: 'error' | 'warning' | 'info' | 'success'; duration: number };
+
+    directory_changed: { channels: WalkieTalkieChannelEntry[] | null; counts: Record<string, number> };
+    channel_joined: { channel: string; name: string; participants: number; scanned: boolean };
+    channel_changed: { channel: string; name: string };
+    participants_changed: { channel: string; count: number };
+    participant_joined: { channel: string; screen_name: string | null; member: WalkieTalkieMember | null; participants: number };
+    participant_left: { channel: string; screen_name: string | null; member: WalkieTalkieMember | null; participants: number };
+    roster_changed: { channel: string; members: WalkieTalkieMember[] };
+    scan_changed: { enabled: boolean; channels: string[]; priority: string | null; active: string | null };
+    scan_channel: { channel: string | null };
+
+    speaking: { speaking: boolean; screen_name: string | null; speaker: string | null; channel: string; speakers: string[] };
+    speakers_changed: { speakers: WalkieTalkieSpeaker[] };
+    audio_received: {
+        channel: string;
+        screen_name: string | null;
+        /** Stable key for the sender, the same across one transmission */
+        speaker: string;
+        format: 'pcm16' | 'opus' | 'encoded';
+        sample_rate: number | null;
+        mime_type: string | null;
+        sequence: number | null;
+        data: Uint8Array;
+    };
+    playback_started: { until: number };
+
+    talking: { talking: boolean; channel: string; offline?: boolean };
+    microphone_changed: { available: boolean; error: string | null };
+    ptt_changed: { latching: boolean; timeout: number };
+    transmit_timer: { remaining: number | null };
+    vox_changed: { enabled: boolean; available: boolean; settings: WalkieTalkieVoxSettings };
+    vox_level: { level: number | null; suppressed: boolean };
+    audio_suspended: undefined;
+    processing_changed: WalkieTalkieProcessingSettings;
+    preview_changed: { enabled: boolean };
+    devices_changed: WalkieTalkieDevices;
+    mic_check: { enabled: boolean };
+    volume_changed: { volume: number; muted: boolean };
+    speaker_volume_changed: { screen_name: string; volume: number; muted: boolean };
+
+    history_updated: { channel: string; messages: WalkieTalkieHistoryMessage[] };
+    history_playback: { playingAll: boolean; index: number };
+    outbox_changed: { pending: number };
+
+    call_ringing: { call_id: string; to: WalkieTalkieCallPeer };
+    call_incoming: { call_id: string; from: WalkieTalkieCallPeer };
+    call_started: { call_id: string; peer: WalkieTalkieCallPeer };
+    call_ended: { call_id: string; reason: string | null; peer: WalkieTalkieCallPeer };
+}
+
+type WalkieTalkieEventName = keyof WalkieTalkieEvents;
+
+type WalkieTalkieWildcardListener = <E extends WalkieTalkieEventName>(event: E, data: WalkieTalkieEvents[E]) => void;
+
+/** Rejections from the promise commands */
+interface WalkieTalkieError extends Error {
+    code: 'not_connected' | 'invalid_channel' | 'unknown_channel' | 'timeout' | 'busy' | 'channel_busy'
+        | 'too_long' | 'invalid_audio' | 'audio_unavailable' | 'transmission_blocked' | 'transmit_timeout'
+        | 'call_failed' | string;
+}
+
+// Client
+
+declare class WalkieTalkie {
+    constructor(options?: WalkieTalkieOptions);
+
+    readonly clientId: string;
+    channel: string;
+    config: Record<string, unknown> | null;
+    readonly isConnected: boolean;
+    readonly connectionStatus: WalkieTalkieConnectionStatus;
+    readonly participants: number;
+    readonly screenName: string | null;
+    readonly currentUser: WalkieTalkieUser | null;
+    readonly isAnonymous: boolean;
+    readonly isRecording: boolean;
+    readonly activeSpeakers: Map<string, WalkieTalkieSpeaker>;
+    readonly messageHistory: WalkieTalkieHistoryMessage[];
+    readonly outbox: WalkieTalkieOutboxItem[];
+    readonly channelDirectory: WalkieTalkieChannelEntry[] | null;
+    readonly scanEnabled: boolean;
+    readonly scanChannels: string[];
+    readonly priorityChannel: string | null;
+    readonly call: { id: string; state: 'outgoing' | 'incoming' | 'active'; peer: WalkieTalkieCallPeer; channel: string | null } | null;
+    readonly outputVolume: number;
+    readonly isMuted: boolean;
+    readonly voxEnabled: boolean;
+    readonly pttLatching: boolean;
+    listenOnly: boolean;
+    acceptsCalls: boolean;
+
+    init(): Promise<void>;
+    destroy(): void;
+
+    // Events
+    on<E extends WalkieTalkieEventName>(event: E, callback: (data: WalkieTalkieEvents[E]) => void): () => void;
+    on(event: '*', callback: WalkieTalkieWildcardListener): () => void;
+    off<E extends WalkieTalkieEventName>(event: E, callback?: (data: WalkieTalkieEvents[E]) => void): void;
+    off(event: '*', callback?: WalkieTalkieWildcardListener): void;
+    once<E extends WalkieTalkieEventName>(event: E, callback: (data: WalkieTalkieEvents[E]) => void): () => void;
+    once(event: '*', callback: WalkieTalkieWildcardListener): () => void;
+    once<E extends WalkieTalkieEventName>(event: E): Promise<WalkieTalkieEvents[E]>;
+    once(event: '*'): Promise<{ event: WalkieTalkieEventName; data: unknown }>;
+
+    // Promise commands
+    join(channel: string | number): Promise<{ channel: string; name: string; participants: number }>;
+    talk(audio: Blob | ArrayBuffer | ArrayBufferView | AudioBuffer, options?: { sampleRate?: number }): Promise<{ channel: string; duration: number }>;
+    talk(audio: Float32Array | Int16Array, options: { sampleRate: number }): Promise<{ channel: string; duration: number }>;
+    placeCall(memberId: number): Promise<WalkieTalkieEvents['call_started']>;
+
+    // Connection
+    retryNow(): void;
+    logout(): Promise<void>;
+
+    // Channels
+    switchChannel(channel: string | number): boolean;
+    stepChannel(direction: 1 | -1): void;
+    resolveChannel(input: string | number): string | null;
+    normalizeChannel(value: string | number): string | null;
+    getChannelName(channel: string): string;
+    searchChannelDirectory(query: string): WalkieTalkieChannelEntry[];
+    isPrivateChannel(channel: string): boolean;
+    getRoster(): WalkieTalkieMember[];
+
+    // Scan
+    setScanEnabled(enabled: boolean): void;
+    setScanChannels(value: string | string[]): void;
+    setPriorityChannel(channel: string | null): void;
+    getMonitoredChannels(): string[];
+
+    // Calls
+    startCall(memberId: number): void;
+    acceptCall(): void;
+    endCall(reason?: string | null): void;
+    isInCall(): boolean;
+
+    // Transmitting
+    requestMicrophoneAccess(): Promise<void>;
+    startTalking(): Promise<void>;
+    stopTalking(): Promise<void>;
+    pttPress(): void;
+    pttRelease(): void;
+    setPttLatching(latching: boolean): void;
+    setTransmitTimeout(seconds: number): void;
+    setVoxEnabled(enabled: boolean): void;
+    setVoxSettings(settings: Partial<WalkieTalkieVoxSettings>): void;
+    getProcessingSettings(): WalkieTalkieProcessingSettings;
+    updateProcessingSettings(changes: Partial<WalkieTalkieProcessingSettings>): void;
+    setProcessingPreview(enabled: boolean): Promise<void>;
+
+    // Devices and meters
+    refreshDevices(): Promise<void>;
+    getDevices(): WalkieTalkieDevices;
+    setInputDevice(deviceId: string): void;
+    setOutputDevice(deviceId: string): void;
+    canSelectOutputDevice(): boolean;
+    getLevels(): { input: WalkieTalkieLevel | null; output: WalkieTalkieLevel | null };
+    setMicCheck(enabled: boolean): Promise<void>;
+    resumeAudioContext(): Promise<void>;
+
+    // Output
+    setVolume(volume: number): void;
+    getVolume(): number;
+    setMuted(muted: boolean): void;
+    setSpeakerVolume(screenName: string, volume: number): void;
+    setSpeakerMuted(screenName: string, muted: boolean): void;
+    getSpeakerSettings(screenName: string): { volume: number; muted: boolean };
+    setCourtesyBeep(enabled: boolean): void;
+
+    // History and outbox
+    requestHistory(channel?: string): void;
+    playHistoryMessage(index: number): void;
+    playAllHistory(): void;
+    stopHistoryPlayback(): void;
+    replayLastMessage(): void;
+    removeFromOutbox(id: number): Promise<void>;
+
+    static error(code: string, message: string): WalkieTalkieError;
+    static createBrowserTransport(): WalkieTalkieTransport;
+    /** prefix keeps several players' settings and anonymous names apart */
+    static createBrowserStorage(prefix?: string): WalkieTalkieStorage;
+    static createMemoryStorage(): WalkieTalkieStorage;
+    static createBrowserAudio(): WalkieTalkieAudio | null;
+
+    static COMMAND_TIMEOUT: number;
+    static SCAN_MAX_CHANNELS: number;
+    static PRIVATE_CHANNEL_PREFIX: string;
+    static METER_FLOOR_DB: number;
+    static SPEAKER_MAX_VOLUME: number;
+}
+
+interface WalkieTalkieUIOptions {
+    /** Document or shadow root holding the markup */
+    root?: Document | ShadowRoot;
+    embedMode?: boolean;
+    hotkeys?: boolean;
+}
+
+declare class WalkieTalkieUI {
+    constructor(client: WalkieTalkie, options?: WalkieTalkieUIOptions);
+
+    readonly client: WalkieTalkie;
+    destroy(): void;
+}
@@ -2,8 +2,21 @@ class WalkieTalkie {
     constructor(options = {}) {
         this.serverUrl = options.serverUrl || null; // Will be fetched from config if not provided
         this.channel = options.channel || '1';
-        this.embedMode = options.embedMode || false;
         this.configUrl = options.configUrl || 'config.php';
+        this.directoryUrl = options.directoryUrl || 'channels.php';
+        this.assetsUrl = options.assetsUrl || 'assets/'; // Where audio-processor.js is loaded from
+
+        // The client never touches the page; WalkieTalkieUI (walkie-talkie-ui.js) renders it.
+        // Network, storage and audio go through adapters so it can run outside a browser
+        // (see docs/HEADLESS.md). audio: null runs without any audio at all.
+        this.transport = options.transport || WalkieTalkie.createBrowserTransport();
+        this.storage = options.storage || WalkieTalkie.createBrowserStorage();
+        this.audio = options.audio !== undefined ? options.audio : WalkieTalkie.createBrowserAudio();
+        this.listenOnly = options.listenOnly || false; // Never asks for the microphone
+        this.acceptsCalls = options.acceptsCalls || false; // Incoming private calls are declined unless a front-end can answer them
+        this.screenNameProvider = options.screenNameProvider || null; // async (suggested, error) => name, or null for the suggestion
+        this.destroyed = false;
+        this.cleanups = []; // Unsubscribes adapter listeners on destroy()
 
         this.ws = null;
         this.audioContext = null;
@@ -20,25 +33,18 @@ class WalkieTalkie {
         this.accessToken = null;
         this.currentUser = null;
         this.isAnonymous = false;
-        this.screenName = null;
+        this.screenName = options.screenName || null; // Anonymous screen name; skips asking for one
         this.tokenRefreshTimer = null;
-        this.config = null;
-
-        // Track notification rate limiting (5 minutes = 300000ms)
-        this.lastNotificationTime = 0;
-        this.notificationCooldown = 300000; // 5 minutes
+        this.screenNameRetries = 0; // Attempts to reclaim our name after a reconnect
+        this.screenNameTimer = null;
+        this.config = options.config || null; // With serverUrl, skips loading config.php
+        this.connectionStatus = 'disconnected';
 
         // Track when we're speaking to prevent self-notifications
         this.isSpeaking = false;
 
-        // Track app visibility for notifications
-        this.isAppActive = true;
-        this.setupVisibilityTracking();
-
         this.eventListeners = {};
         this.audioChunks = [];
-        this.playbackQueue = [];
-        this.isPlaying = false;
         this.courtesyBeepEnabled = true;
 
         // Welcome message buffering
@@ -50,146 +56,369 @@ class WalkieTalkie {
         this.currentHistoryIndex = -1;
         this.currentPlayingHistoryIndex = -1;
         this.singlePlaybackTimeout = null;
-        this.currentAudioSource = null;
+        this.historyPlaybackTimer = null; // Advances Play All to the next message
+        this.clipSources = new Set(); // One-shot sources playing (history, welcome messages)
+        this.historySources = new Set(); // The subset started by history playback, so it can be stopped alone
+        this.activeSpeakers = new Map(); // Map: speaker key => { screen_name, channel }, everyone keyed up right now
+
+        // Microphone capture (AudioWorklet, ScriptProcessorNode fallback)
+        this.captureMode = null; // 'worklet' or 'script-processor'
+        this.audioProcessor = null;
+        this.audioWorkletFailed = false;
+        this.wireSampleRate = options.wireSampleRate || null; // Falls back to config, then default
+        this.captureSampleRate = null; // Rate of the audio we actually send
+        this.captureResampler = null; // Main-thread resampler for the ScriptProcessorNode fallback
+
+        // Outgoing voice processing (stages in audio-chain.js) and the browser's own microphone processing
+        this.processingSettings = { ...WalkieTalkie.DEFAULT_PROCESSING_SETTINGS };
+        this.processingChains = new Set(); // Live chains (capture, recorder, preview), updated together
+        this.captureChain = null;
+        this.recorderInput = null; // { source, chain, destination } feeding the MediaRecorder
+        this.processingPreview = null; // { source, chain } while the preview is playing
+        this.microphoneRestartPending = false; // Microphone has to be reopened once the transmission allows it
+
+        // Audio devices (chosen in the devices panel, remembered per browser)
+        this.deviceSettings = { input: null, output: null }; // { id, label } of the chosen devices; null = system default
+        this.availableDevices = { audioinput: [], audiooutput: [] };
+        this.outputElement = null; // <audio> playing the mix on browsers without AudioContext.setSinkId
+        this.outputStreamNode = null; // Feeds outputElement
+
+        // Level meters, fed by analysers on the capture graph and on the master gain
+        this.inputAnalyser = null;
+        this.outputAnalyser = null;
+        this.micCheck = null; // { source, chain, timer } while the mic check runs
+
+        // Wire codec negotiation (Opus via WebCodecs, pcm16 fallback)
+        this.supportedCodecs = ['pcm16'];
+        this.wireFormat = 'pcm16'; // Selected by the server per channel
+        this.opusEncoder = null;
+        this.opusTimestamp = 0;
+        this.opusDecoders = {}; // Per-speaker decoders, keyed by clientId
+
+        // Binary audio frames (enabled by config.php when the server supports them)
+        this.binaryFramesEnabled = false;
+        this.audioSequence = 0;
+        this.speakerHashes = {}; // Map: clientId hash => clientId, learned from user_speaking
+
+        // Receive pipeline: per-speaker jitter buffers scheduled on the AudioContext clock
+        this.jitterBufferMs = options.jitterBufferMs || null; // Falls back to config, then default
+        this.jitterBuffers = {}; // Map: speaker key => jitter buffer state
+        this.jitterTimer = null;
+        this.playbackBusyUntil = 0; // AudioContext time at which everything we scheduled has played
+
+        // Encoded (MediaRecorder) streams: appended to a MediaSource per speaker and transmission
+        this.transmitMode = options.transmitMode || null; // 'webaudio' or 'mediarecorder'; falls back to config
+        this.encodedStreams = {}; // Map: speaker key => stream still receiving chunks
+        this.encodedPlayback = new Set(); // Every encoded stream whose audio element is still playing
+        this.encodedSendQueue = Promise.resolve(); // Recorder chunks are read one after another to keep them in order
+
+        // Voice-operated transmit (VOX)
+        this.voxEnabled = false;
+        this.voxAvailable = true; // False when the server has VOX switched off
+        this.voxSettings = {
+            threshold: -45, // dBFS
+            attackMs: 60, // Speech must stay above the threshold this long before keying up
+            hangMs: 800 // Keep transmitting this long after speech drops below the threshold
+        };
+        this.voxKeyed = false; // True while a VOX-initiated transmission is on air
+        this.voxPending = false;
+        this.voxAnalyser = null;
+        this.voxSource = null;
+        this.voxTimer = null;
+        this.voxAboveSince = null;
+        this.voxBelowSince = null;
+        this.voxBlockedUntil = 0;
+        this.remoteSpeakers = new Map(); // Map: speaker key => last activity, for the PTT lockout
+
+        // PTT behaviour: hold-to-talk or latching, plus a transmit time-out timer (TOT)
+        this.pttLatching = false;
+        this.transmitTimeout = 0; // User-selected TOT in seconds (0 = server maximum only)
+        this.transmitTimer = null;
+        this.transmitDeadline = 0;
+        this.isStartingTalk = false;
+        this.stopRequested = false; // Release arrived while startTalking() was still setting up
+        this.pttHeld = false;
+
+        // Playback output
+        this.masterGain = null; // All playback is routed through this node
+        this.outputVolume = 0.5; // Master volume, applied by masterGain
+        this.speakerVolumes = {}; // Map: screen name => { volume, muted }, remembered across sessions
+        this.speakerNames = {}; // Map: speaker key => screen name
+        this.speakerGains = {}; // Map: speaker key => GainNode feeding masterGain
+        this.isMuted = false;
+
+        // Reconnection (exponential backoff with jitter)
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.reconnectAt = 0;
+        this.hasConnected = false; // Whether a connection was ever established (first connect vs. reconnect)
+        this.isReconnecting = false;
+
+        // Store-and-forward outbox for transmissions recorded while disconnected (IndexedDB)
+        this.outbox = []; // Pending items, oldest first: { id, owner, channel, recordedAt, sampleRate, duration, chunks }
+        this.outboxRecording = null; // Transmission currently being recorded into the outbox
+        this.isFlushingOutbox = false;
+        this.isSendingRecording = false; // A clip or outbox item is going out (sendRecording)
+
+        // Scan mode: stay joined to several channels and play whichever one is active.
+        // this.channel remains the talk channel that PTT transmits on.
+        this.scanEnabled = false;
+        this.scanChannels = []; // Channels monitored in addition to the talk channel
+        this.priorityChannel = null; // Pre-empts audio from every other channel
+        this.activeScanChannel = null; // Channel whose audio is currently playing
+        this.scanActivityAt = 0; // Last time audio arrived on the active channel
+        this.scanReleaseTimer = null;
+        this.joinedChannels = new Set();
+        this.channelParticipants = {}; // Map: channel => participant count
+        this.channelHistories = {}; // Map: channel => history messages
+        this.speakerChannels = {}; // Map: speaker key => channel they transmit on
+
+        // Channel directory (named channels from channels.php)
+        this.channelDirectory = null; // List of { slug, name, description, icon }; null until loaded
+        this.channelCounts = {}; // Map: slug => live participant count
+
+        // Roster of the talk channel
+        this.roster = new Map(); // Map: member id => { id, screen_name, authenticated, joined_at, last_active, speaking }
+        this.memberId = null; // Our own member id on the server
+
+        // Private one-to-one calls
+        this.call = null; // { id, state: 'outgoing'|'incoming'|'active', peer: { id, screen_name }, channel, returnChannel }
+        this.callRingTimer = null; // Gives up on an unanswered call
+        this.ringToneTimer = null;
+
+        // Settings every front-end uses; scan and VOX are loaded by front-ends that offer them
+        this.loadPttSettings();
+        this.loadMixerSettings();
+        this.loadProcessingSettings();
+        this.loadDeviceSettings();
     }
 
     async init() {
-        this.setupUI();
         await this.loadConfig();
+        await this.loadChannelDirectory();
         await this.checkAuthentication();
+        await this.loadOutbox(); // Pending transmissions are stored per user
+        await this.detectCodecSupport();
+        this.setupConnectivityListeners();
+        this.setupDeviceListeners();
         this.connectWebSocket();
         this.requestMicrophoneAccess();
-        this.setupNotifications();
-        this.trackAppVisibility();
+    }
+
+    destroy() {
+        // Disconnects for good and releases the microphone; the instance can't be used again
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.clearReconnectTimers();
+        clearTimeout(this.tokenRefreshTimer);
+        clearTimeout(this.scanReleaseTimer);
+        clearTimeout(this.screenNameTimer);
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('disconnected', { code: null, reason: 'destroyed', reconnecting: false });
+        }
+        this.teardownSession();
+
+        this.stopVoxMonitor();
+        this.setMicCheck(false);
+        clearInterval(this.jitterTimer);
+        this.jitterTimer = null;
+
+        if (this.audioStream) {
+            this.audioStream.getTracks().forEach(track => track.stop());
+            this.audioStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
     }
 
     async loadConfig() {
         if (this.serverUrl && this.config) {
             // Server URL and config were provided in constructor options
+            this.emit('config_loaded', { config: this.config });
             return;
         }
 
         try {
-            const response = await fetch(this.configUrl);
+            const response = await this.transport.fetch(this.configUrl);
             if (!response.ok) {
                 throw new Error(`Config fetch failed: ${response.status}`);
             }
 
             this.config = await response.json();
-            this.serverUrl = this.config.websocketUrl;
+            this.serverUrl = this.serverUrl || this.config.websocketUrl;
+            this.binaryFramesEnabled = this.config.binaryFramesEnabled === true;
+            this.jitterBufferMs = this.jitterBufferMs || this.config.jitterBufferMs || null;
+            this.transmitMode = this.transmitMode || this.config.transmitMode || null;
+            if (!this.wireSampleRate && this.config.wireSampleRate !== undefined) {
+                this.wireSampleRate = this.config.wireSampleRate;
+            }
+            if (this.config.voxEnabled === false) {
+                this.disableVox();
+            }
+
+            // A saved time-out longer than the server now allows falls back to the server maximum
+            const serverMax = this.getServerTransmitLimit();
+            if (serverMax && this.transmitTimeout > serverMax) {
+                this.transmitTimeout = 0;
+            }
 
             if (this.config.debug) {
                 console.log('Debug mode enabled, loaded config:', this.config);
             }
         } catch (error) {
             console.warn('Failed to load config, using defaults:', error);
-            this.serverUrl = 'ws://localhost:8080';
+            this.serverUrl = this.serverUrl || 'ws://localhost:8080';
             this.config = {
                 websocketUrl: this.serverUrl,
                 anonymousModeEnabled: true,
                 registrationEnabled: true
             };
         }
+
+        this.emit('config_loaded', { config: this.config });
     }
 
     async checkAuthentication() {
         // Check for existing access token
-        this.accessToken = localStorage.getItem('access_token');
+        this.accessToken = this.storage.local.getItem('access_token');
 
         if (this.accessToken) {
             // Validate and get user info
+            let response = null;
             try {
-                const response = await fetch('/auth/user-info.php', {
+                response = await this.transport.fetch('/auth/user-info.php', {
                     headers: {
                         'Authorization': `Bearer ${this.accessToken}`
                     }
                 });
+            } catch (error) {
+                // Couldn't ask (offline, or the web server is down); the WebSocket server checks it on connect
+                console.warn('Could not validate token:', error);
+            }
 
-                const result = await response.json();
-                if (result.success) {
-                    this.currentUser = result.user;
-                    this.screenName = result.user.username;
-                    this.showAuthenticatedUI();
-                    this.scheduleTokenRefresh();
-                    console.log('Authenticated as:', this.screenName);
-                } else {
-                    // Token invalid, clear it
-                    localStorage.removeItem('access_token');
+            if (response) {
+                try {
+                    const result = await response.json();
+                    if (result.success) {
+                        this.currentUser = result.user;
+                        this.screenName = result.user.username;
+                        this.scheduleTokenRefresh();
+                        console.log('Authenticated as:', this.screenName);
+                    } else {
+                        // Token invalid, clear it
+                        this.storage.local.removeItem('access_token');
+                        this.accessToken = null;
+                    }
+                } catch (error) {
+                    console.error('Failed to validate token:', error);
+                    this.storage.local.removeItem('access_token');
                     this.accessToken = null;
                 }
-            } catch (error) {
-                console.error('Failed to validate token:', error);
-                localStorage.removeItem('access_token');
-                this.accessToken = null;
             }
         }
 
         // Check if anonymous mode allowed
         if (!this.accessToken && !this.config.anonymousModeEnabled) {
-            // Redirect to login
-            window.location.href = '/login.html';
+            // The front-end sends the user to the login page
+            this.emit('auth_required', { reason: 'login_required' });
             return;
         }
 
         if (!this.accessToken && this.config.anonymousModeEnabled) {
+            this.currentUser = null;
+
             // Check if we already have a screen name from this session
-            const storedScreenName = sessionStorage.getItem('anonymous_screen_name');
+            const storedScreenName = this.screenName || this.storage.session.getItem('anonymous_screen_name');
             if (storedScreenName) {
                 this.screenName = storedScreenName;
-                this.isAnonymous = true;
                 console.log('Restored anonymous user:', this.screenName);
             } else {
-                // Prompt for screen name only if new session
-                this.promptForScreenName();
+                // Ask for a screen name only if new session
+                this.screenName = await this.chooseScreenName();
+                this.storage.session.setItem('anonymous_screen_name', this.screenName);
+                console.log('Anonymous user:', this.screenName);
             }
-
-            // Show login/register link for anonymous users if registration is enabled
-            this.showAnonymousUI();
+            this.isAnonymous = true;
         }
-    }
-
-    promptForScreenName() {
-        // Generate a random name to pre-populate the prompt
-        const suggestedName = this.generateRandomScreenName();
 
-        const screenName = prompt('Choose a screen name (2-20 characters, letters/numbers/underscore/hyphen):', suggestedName);
+        this.emitAuthChanged();
+    }
 
-        // If user cancels, use the suggested random screen name
-        if (screenName === null) {
-            this.screenName = suggestedName;
-            this.isAnonymous = true;
-            sessionStorage.setItem('anonymous_screen_name', suggestedName);
-            console.log('Generated random screen name:', this.screenName);
-            return;
-        }
+    emitAuthChanged() {
+        this.emit('auth_changed', {
+            user: this.currentUser,
+            screen_name: this.screenName,
+            anonymous: this.isAnonymous
+        });
+    }
 
-        // If user just accepts the default (empty or whitespace), use suggested name
-        if (!screenName || !screenName.trim()) {
-            this.screenName = suggestedName;
-            this.isAnonymous = true;
-            sessionStorage.setItem('anonymous_screen_name', suggestedName);
-            console.log('Using suggested screen name:', this.screenName);
-            return;
+    async chooseScreenName(error = null) {
+        // Generate a random name to suggest; it is used as-is when nobody can be asked
+        const suggestedName = this.generateRandomScreenName();
+        if (!this.screenNameProvider) {
+            return suggestedName;
         }
 
-        // Basic validation
         const pattern = new RegExp(this.config.screenNamePattern || '^[a-zA-Z0-9_-]+$');
         const minLength = this.config.screenNameMinLength || 2;
         const maxLength = this.config.screenNameMaxLength || 20;
 
-        if (screenName.length < minLength || screenName.length > maxLength || !pattern.test(screenName)) {
-            alert(`Invalid screen name. Use ${minLength}-${maxLength} characters (letters, numbers, underscore, hyphen only)`);
-            this.promptForScreenName();
-            return;
+        for (;;) {
+            const screenName = await this.screenNameProvider(suggestedName, error);
+
+            // Cancelling, or accepting an empty name, takes the suggestion
+            if (screenName === null || screenName === undefined || !String(screenName).trim()) {
+                return suggestedName;
+            }
+
+            // Basic validation
+            if (screenName.length >= minLength && screenName.length <= maxLength && pattern.test(screenName)) {
+                return screenName;
+            }
+
+            error = `Invalid screen name. Use ${minLength}-${maxLength} characters (letters, numbers, underscore, hyphen only)`;
         }
+    }
+
+    sendScreenName() {
+        if (!this.isSocketOpen()) return;
 
-        this.screenName = screenName;
-        this.isAnonymous = true;
+        this.ws.send(JSON.stringify({
+            type: 'set_screen_name',
+            screen_name: this.screenName
+        }));
+    }
 
-        // Store in sessionStorage so it persists across page refreshes in the same session
-        sessionStorage.setItem('anonymous_screen_name', screenName);
+    async handleScreenNameTaken() {
+        // Right after a reconnect the server may still hold our old connection, and with it our name
+        if (this.isReconnecting && this.screenNameRetries < WalkieTalkie.SCREEN_NAME_RETRIES) {
+            this.screenNameRetries++;
+            this.setConnectionStatus('connecting');
+            clearTimeout(this.screenNameTimer);
+            this.screenNameTimer = setTimeout(() => this.sendScreenName(), WalkieTalkie.SCREEN_NAME_RETRY_DELAY);
+            return;
+        }
 
-        console.log('Anonymous user:', this.screenName);
+        // Someone else has it, e.g. another player on the page that restored the same name
+        const takenName = this.screenName;
+        this.screenName = await this.chooseScreenName('That name is already in use. Choose another one.');
+        this.storage.session.setItem('anonymous_screen_name', this.screenName);
+        this.emitAuthChanged();
+        if (!this.screenNameProvider) {
+            this.notify(`${takenName} is already in use; you are ${this.screenName}`, 'info', 4000);
+        }
+        this.sendScreenName();
     }
 
     generateRandomScreenName() {
@@ -203,161 +432,235 @@ class WalkieTalkie {
         return `${adjective}${noun}${randomNum}`;
     }
 
+    // Event Methods
+    //
+    // Every event and its payload is listed in docs/EVENTS.md and walkie-talkie.d.ts.
+    // Listeners for '*' get every event as (event, data).
+
     on(event, callback) {
         if (!this.eventListeners[event]) {
             this.eventListeners[event] = [];
         }
         this.eventListeners[event].push(callback);
+        return () => this.off(event, callback);
     }
 
-    emit(event, data) {
-        if (this.eventListeners[event]) {
-            this.eventListeners[event].forEach(callback => callback(data));
+    off(event, callback = null) {
+        // Without a callback, every listener for the event is removed
+        if (!this.eventListeners[event]) return;
+
+        if (!callback) {
+            delete this.eventListeners[event];
+            return;
         }
+
+        this.eventListeners[event] = this.eventListeners[event].filter(listener => listener !== callback && listener.callback !== callback);
     }
 
-    setupVisibilityTracking() {
-        // Track when the app becomes visible/hidden
-        document.addEventListener('visibilitychange', () => {
-            this.isAppActive = !document.hidden;
+    once(event, callback = null) {
+        // Without a callback, returns a promise for the next occurrence
+        if (!callback) {
+            return new Promise(resolve => this.once(event, event === '*' ? (name, data) => resolve({ event: name, data }) : resolve));
+        }
 
-            // Notify service worker of app state change
-            this.sendToServiceWorker('APP_STATE_CHANGED', {
-                isActive: this.isAppActive
-            });
-        });
+        const listener = (...args) => {
+            this.off(event, listener);
+            callback(...args);
+        };
+        listener.callback = callback; // Lets off(event, callback) find it
+        return this.on(event, listener);
+    }
 
-        // Also track focus/blur events
-        window.addEventListener('focus', () => {
-            this.isAppActive = true;
-            this.sendToServiceWorker('APP_STATE_CHANGED', {
-                isActive: true
-            });
-        });
+    emit(event, data) {
+        // Listeners added or removed while emitting take effect from the next event
+        const listeners = (this.eventListeners[event] || []).map(callback => () => callback(data));
+        (this.eventListeners['*'] || []).forEach(callback => listeners.push(() => callback(event, data)));
 
-        window.addEventListener('blur', () => {
-            this.isAppActive = false;
-            this.sendToServiceWorker('APP_STATE_CHANGED', {
-                isActive: false
-            });
+        // One failing listener mustn't stop the others, or the client code that emitted
+        listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
         });
     }
 
-    setupUI() {
-        this.pttButton = document.getElementById('ptt-button');
-        this.connectionStatus = document.getElementById('connection-status');
-        this.speakingIndicator = document.getElementById('speaking-indicator');
-        this.participantsCount = document.getElementById('participants-count');
-        this.volumeControl = document.getElementById('volume');
-        this.channelInput = document.getElementById('channel-input');
-        this.joinChannelBtn = document.getElementById('join-channel-btn');
-        this.channelDisplay = document.getElementById('channel-display');
-        this.courtesyBeepToggle = document.getElementById('courtesy-beep');
+    notify(message, type = 'error', duration = 5000) {
+        // Messages meant for the user; the front-end decides how to show them
+        this.emit('notice', { message, type, duration });
+    }
 
-        // Setup channel switching
-        if (this.channelInput && this.joinChannelBtn) {
-            this.channelInput.value = this.channel;
+    // Adapter Methods
+    //
+    // Defaults for the transport, storage and audio options. Each one only touches the
+    // browser API it wraps when called, so the class itself loads anywhere.
+
+    static createBrowserTransport() {
+        return {
+            connect: (url) => new WebSocket(url),
+            fetch: (url, options) => fetch(url, options),
+            isOnline: () => navigator.onLine !== false,
+            onNetworkChange: (callback) => {
+                const online = () => callback(true);
+                const offline = () => callback(false);
+                window.addEventListener('online', online);
+                window.addEventListener('offline', offline);
+                return () => {
+                    window.removeEventListener('online', online);
+                    window.removeEventListener('offline', offline);
+                };
+            }
+        };
+    }
 
-            this.joinChannelBtn.addEventListener('click', () => {
-                this.switchChannel();
-            });
+    static createBrowserStorage(prefix = '') {
+        // A prefix keeps the settings and anonymous name of several players on one page apart
+        return {
+            local: prefix ? WalkieTalkie.createPrefixedStore(localStorage, prefix) : localStorage,
+            session: prefix ? WalkieTalkie.createPrefixedStore(sessionStorage, prefix) : sessionStorage,
+            outbox: typeof indexedDB !== 'undefined' ? WalkieTalkie.createIndexedDbOutbox() : null
+        };
+    }
 
-            this.channelInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.switchChannel();
-                }
-            });
+    static createPrefixedStore(store, prefix) {
+        // The login is the site's (auth.js keeps it), so every player shares it
+        const key = (name) => WalkieTalkie.SHARED_STORAGE_KEYS.includes(name) ? name : prefix + name;
+        return {
+            getItem: (name) => store.getItem(key(name)),
+            setItem: (name, value) => store.setItem(key(name), value),
+            removeItem: (name) => store.removeItem(key(name))
+        };
+    }
 
-            // Validate channel input
-            this.channelInput.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value);
-                if (value < 1 || value > 999 || isNaN(value)) {
-                    e.target.setCustomValidity('Channel must be between 1 and 999');
-                    this.joinChannelBtn.disabled = true;
-                } else {
-                    e.target.setCustomValidity('');
-                    this.joinChannelBtn.disabled = false;
-                }
-            });
-        }
+    static createIndexedDbOutbox() {
+        let outboxDb = null;
 
-        if (this.pttButton) {
-            this.pttButton.addEventListener('mousedown', () => this.startTalking());
-            this.pttButton.addEventListener('mouseup', () => this.stopTalking());
-            this.pttButton.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.startTalking();
-            });
-            this.pttButton.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.stopTalking();
-            });
+        const openOutboxDb = () => {
+            if (outboxDb) return Promise.resolve(outboxDb);
 
-            // Keyboard support
-            this.pttButton.addEventListener('keydown', (e) => {
-                if (e.code === 'Space' || e.code === 'Enter') {
-                    e.preventDefault();
-                    if (!this.isRecording) this.startTalking();
-                }
-            });
-            this.pttButton.addEventListener('keyup', (e) => {
-                if (e.code === 'Space' || e.code === 'Enter') {
-                    e.preventDefault();
-                    this.stopTalking();
-                }
-            });
-        }
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(WalkieTalkie.OUTBOX_DB_NAME, 1);
 
-        if (this.volumeControl) {
-            this.volumeControl.addEventListener('input', (e) => {
-                this.setVolume(e.target.value / 100);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => {
+                    outboxDb = request.result;
+                    resolve(outboxDb);
+                };
+                request.onerror = () => reject(request.error);
             });
-        }
+        };
 
-        // Setup courtesy beep toggle
-        if (this.courtesyBeepToggle) {
-            this.courtesyBeepToggle.checked = this.courtesyBeepEnabled;
-            this.courtesyBeepToggle.addEventListener('change', (e) => {
-                this.courtesyBeepEnabled = e.target.checked;
-                console.log('Courtesy beep', this.courtesyBeepEnabled ? 'enabled' : 'disabled');
+        const outboxTransaction = async (mode, operation) => {
+            const db = await openOutboxDb();
 
-                // Play test beep when enabled
-                if (this.courtesyBeepEnabled) {
-                    setTimeout(() => {
-                        this.generateCourtesyBeep();
-                    }, 100);
-                }
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction('outbox', mode);
+                const request = operation(transaction.objectStore('outbox'));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
             });
-        }
+        };
 
-        // Setup history panel
-        const historyToggle = document.getElementById('history-toggle');
-        const historyPanel = document.getElementById('history-panel');
-        const playAllBtn = document.getElementById('play-all-btn');
+        return {
+            getAll: () => outboxTransaction('readonly', store => store.getAll()),
+            add: (item) => outboxTransaction('readwrite', store => store.add(item)),
+            delete: (id) => outboxTransaction('readwrite', store => store.delete(id)),
+            // Reading and deleting in one transaction is atomic, so only one instance gets each item
+            claim: async (id) => {
+                const item = await outboxTransaction('readwrite', store => {
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        if (request.result) store.delete(id);
+                    };
+                    return request;
+                });
+                return !!item;
+            }
+        };
+    }
 
-        if (historyToggle && historyPanel) {
-            historyToggle.addEventListener('click', () => {
-                historyPanel.classList.toggle('collapsed');
-                const isCollapsed = historyPanel.classList.contains('collapsed');
-                historyToggle.textContent = isCollapsed ? 'Show History' : 'Hide History';
-            });
-        }
+    static createMemoryStorage() {
+        // For front-ends without browser storage; nothing survives the process
+        const createStore = () => {
+            const items = new Map();
+            return {
+                getItem: (key) => items.has(key) ? items.get(key) : null,
+                setItem: (key, value) => items.set(key, String(value)),
+                removeItem: (key) => items.delete(key)
+            };
+        };
 
-        if (playAllBtn) {
-            playAllBtn.addEventListener('click', () => {
-                this.playAllHistory();
-            });
+        const outbox = new Map();
+        let nextId = 1;
+
+        return {
+            local: createStore(),
+            session: createStore(),
+            outbox: {
+                getAll: async () => Array.from(outbox.values()),
+                add: async (item) => {
+                    const id = nextId++;
+                    outbox.set(id, { ...item, id });
+                    return id;
+                },
+                delete: async (id) => {
+                    outbox.delete(id);
+                },
+                claim: async (id) => outbox.delete(id)
+            }
+        };
+    }
+
+    static createBrowserAudio() {
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        return {
+            createContext: () => new AudioContextClass(),
+            getUserMedia: (constraints) => navigator.mediaDevices.getUserMedia(constraints),
+            enumerateDevices: () => navigator.mediaDevices && navigator.mediaDevices.enumerateDevices
+                ? navigator.mediaDevices.enumerateDevices()
+                : Promise.resolve([]),
+            onDeviceChange: (callback) => {
+                const mediaDevices = navigator.mediaDevices;
+                if (!mediaDevices || !mediaDevices.addEventListener) return () => {};
+                mediaDevices.addEventListener('devicechange', callback);
+                return () => mediaDevices.removeEventListener('devicechange', callback);
+            },
+            // <audio> elements, for encoded streams and for speakers on browsers without AudioContext.setSinkId
+            createMediaElement: () => new Audio(),
+            canSelectOutput: () => typeof AudioContextClass.prototype.setSinkId === 'function' ||
+                typeof HTMLMediaElement.prototype.setSinkId === 'function'
+        };
+    }
+
+    ensureAudioContext() {
+        if (!this.audioContext && this.audio) {
+            this.audioContext = this.audio.createContext();
         }
+        return this.audioContext;
+    }
+
+    isSocketOpen() {
+        return !!this.ws && this.ws.readyState === WalkieTalkie.SOCKET_STATES.OPEN;
     }
 
     connectWebSocket() {
         try {
-            this.ws = new WebSocket(this.serverUrl);
+            this.ws = this.transport.connect(this.serverUrl);
+            this.ws.binaryType = 'arraybuffer';
 
             this.ws.onopen = () => {
                 console.log('WebSocket connected');
                 this.isConnected = true;
-                this.updateConnectionStatus('connected');
+                this.isReconnecting = this.hasConnected;
+                this.hasConnected = true;
+                this.reconnectAttempts = 0;
+                this.clearReconnectTimers();
+                this.setConnectionStatus('connected');
 
                 // Send authentication or screen name
                 if (this.accessToken) {
@@ -366,18 +669,33 @@ class WalkieTalkie {
                         token: this.accessToken
                     }));
                 } else if (this.isAnonymous && this.screenName) {
-                    this.ws.send(JSON.stringify({
-                        type: 'set_screen_name',
-                        screen_name: this.screenName
-                    }));
+                    this.sendScreenName();
+                }
+
+                // Advertise codecs so the server can pick the channel's wire format
+                this.ws.send(JSON.stringify({
+                    type: 'codec_capabilities',
+                    codecs: this.supportedCodecs,
+                    binaryFrames: this.binaryFramesEnabled
+                }));
+
+                // Live participant counts for the channel picker
+                if (this.channelDirectory && this.channelDirectory.length > 0) {
+                    this.ws.send(JSON.stringify({ type: 'channel_directory_subscribe' }));
                 }
 
                 // Join channel after authentication (will be handled in message handler)
                 // this.joinChannel() will be called after authentication confirmation
-                this.emit('connected');
+                this.emit('connected', { url: this.serverUrl, reconnect: this.isReconnecting });
             };
 
             this.ws.onmessage = (event) => {
+                // Binary messages are always audio frames
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleAudioFrame(event.data);
+                    return;
+                }
+
                 const data = JSON.parse(event.data);
 
                 // Log all incoming messages for debugging
@@ -396,903 +714,4019 @@ class WalkieTalkie {
                 this.handleWebSocketMessage(data);
             };
 
-            this.ws.onclose = () => {
+            this.ws.onclose = (event) => {
                 console.log('WebSocket disconnected');
                 this.isConnected = false;
-                this.updateConnectionStatus('disconnected');
-                setTimeout(() => this.connectWebSocket(), 3000);
+                this.teardownSession();
+                this.scheduleReconnect();
+                this.emit('disconnected', {
+                    code: event && event.code !== undefined ? event.code : null,
+                    reason: (event && event.reason) || null,
+                    reconnecting: !this.destroyed
+                });
             };
 
             this.ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
-                this.updateConnectionStatus('error');
+                this.setConnectionStatus('error');
+                this.emit('error', { code: 'connection_failed', message: 'Could not reach the server', channel: null });
             };
         } catch (error) {
             console.error('Failed to connect WebSocket:', error);
-            this.updateConnectionStatus('error');
+            this.setConnectionStatus('error');
+            this.emit('error', { code: 'connection_failed', message: error.message || String(error), channel: null });
+            this.scheduleReconnect();
         }
     }
 
-    handleWebSocketMessage(data) {
-        switch (data.type) {
-            case 'authenticated':
-                console.log('Authenticated as:', data.user.username);
-                this.currentUser = data.user;
-                this.screenName = data.user.username;
-                this.joinChannel();
-                break;
+    // Reconnection Methods
 
-            case 'screen_name_set':
-                console.log('Screen name set to:', data.screen_name);
-                this.screenName = data.screen_name;
-                this.joinChannel();
-                break;
+    setupConnectivityListeners() {
+        if (!this.transport.onNetworkChange) return;
 
-            case 'authentication_required':
-                console.log('Authentication required');
-                if (!this.accessToken) {
-                    window.location.href = '/login.html';
+        this.cleanups.push(this.transport.onNetworkChange((online) => {
+            if (online) {
+                console.log('Network back online');
+                if (!this.isConnected) {
+                    this.retryNow();
                 }
-                break;
+                return;
+            }
 
-            case 'channel_joined':
-                this.participants = data.participants;
-                this.updateParticipantsCount();
-                console.log(`Joined channel ${data.channel}`);
-                break;
+            console.log('Network offline');
+            // A dead socket can take a long time to notice; close it so the session is torn down now
+            if (this.ws && this.ws.readyState <= WalkieTalkie.SOCKET_STATES.OPEN) {
+                this.ws.close();
+            }
+            this.clearReconnectTimers();
+            this.setConnectionStatus('offline');
+        }));
+    }
 
-            case 'participant_joined':
-                this.participants = data.participants;
-                this.updateParticipantsCount();
-                if (data.screen_name) {
-                    console.log(`${data.screen_name} joined the channel`);
-                }
-                break;
+    setConnectionStatus(status) {
+        this.connectionStatus = status;
+        this.emit('connection_status', { status, reconnectAt: status === 'reconnecting' ? this.reconnectAt : null });
+    }
 
-            case 'participant_left':
-                this.participants = data.participants;
-                this.updateParticipantsCount();
-                if (data.screen_name) {
-                    console.log(`${data.screen_name} left the channel`);
-                }
-                break;
+    getReconnectDelay() {
+        // Exponential backoff capped at the maximum, with "equal jitter" so clients don't reconnect in lockstep
+        const exponential = Math.min(
+            WalkieTalkie.RECONNECT_MAX_DELAY,
+            WalkieTalkie.RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts)
+        );
+        return exponential / 2 + Math.random() * exponential / 2;
+    }
 
-            case 'audio_start':
-                // Welcome message or incoming audio transmission starting
-                if (data.is_welcome) {
-                    console.log('Welcome message starting from:', data.screen_name);
-                    // Initialize buffer for welcome message chunks
-                    this.welcomeAudioBuffer = {
-                        chunks: [],
-                        sample_rate: data.sample_rate || 48000,
-                        screen_name: data.screen_name
-                    };
-                }
-                break;
+    scheduleReconnect() {
+        this.clearReconnectTimers();
+        if (this.destroyed) return;
 
-            case 'audio':
-                // Audio chunk - either welcome message or regular transmission
-                if (data.is_welcome && this.welcomeAudioBuffer) {
-                    // Buffer welcome message chunks
-                    this.welcomeAudioBuffer.chunks.push(data.audio);
-                }
-                break;
+        if (this.transport.isOnline && !this.transport.isOnline()) {
+            // The network listener reconnects once the network is back
+            this.setConnectionStatus('offline');
+            return;
+        }
 
-            case 'audio_end':
-                // End of audio transmission
-                if (data.is_welcome && this.welcomeAudioBuffer) {
-                    console.log('Welcome message complete, playing audio');
+        const delay = this.getReconnectDelay();
+        this.reconnectAttempts++;
+        this.reconnectAt = Date.now() + delay;
 
-                    // Decode each base64 chunk, concatenate binary data, then re-encode
-                    const binaryChunks = this.welcomeAudioBuffer.chunks.map(chunk => {
-                        try {
-                            return atob(chunk);
-                        } catch (e) {
-                            console.error('Failed to decode chunk:', e);
-                            return '';
-                        }
-                    });
+        console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
 
-                    const concatenatedBinary = binaryChunks.join('');
-                    const concatenatedAudio = btoa(concatenatedBinary);
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+        this.setConnectionStatus('reconnecting');
+    }
 
-                    this.playPCMAudio(
-                        concatenatedAudio,
-                        this.welcomeAudioBuffer.sample_rate,
-                        1 // mono
-                    );
-                    this.welcomeAudioBuffer = null;
-                }
-                break;
+    clearReconnectTimers() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
 
-            case 'audio_data':
-                // Don't play our own audio back to ourselves
-                if (data.clientId && data.clientId === this.clientId) {
-                    // console.log('Ignoring own audio message');
-                    break;
-                }
+    retryNow() {
+        if (this.destroyed || this.isConnected || (this.ws && this.ws.readyState === WalkieTalkie.SOCKET_STATES.CONNECTING)) return;
 
-                if (data.format === 'encoded') {
-                    this.playEncodedAudio(data.data, data.mimeType || 'audio/webm');
-                } else if (data.format === 'pcm16') {
-                    this.playPCMAudio(data.data, data.sampleRate || 44100, data.channels || 1);
-                } else {
-                    this.playEncodedAudio(data.data, data.mimeType || 'audio/webm');
-                }
-                break;
+        this.clearReconnectTimers();
+        this.reconnect();
+    }
 
-            case 'user_speaking':
-                this.updateSpeakingIndicator(data.speaking, data.screen_name);
-                this.emit('speaking', { speaking: data.speaking, screen_name: data.screen_name });
-
-                // Notify service worker when someone else starts speaking (not ourselves)
-                // Only send notifications when app is in background or not active
-                if (data.speaking && !this.isSpeaking && !this.isAppActive) {
-                    // Rate limit notifications to once per hour
-                    const now = Date.now();
-                    if (now - this.lastNotificationTime > this.notificationCooldown) {
-                        this.sendToServiceWorker('TRANSMISSION_STARTED', {
-                            channel: this.channel
-                        });
-                        this.lastNotificationTime = now;
-                    }
-                }
+    async reconnect() {
+        this.clearReconnectTimers();
+        this.setConnectionStatus('connecting');
 
-                // When ANYONE stops speaking, refresh the message history
-                // This creates a live log of all messages
-                if (!data.speaking) {
-                    // Small delay to allow server to save the message
-                    setTimeout(() => {
-                        this.requestHistory();
-                    }, 100);
-                }
-                break;
+        // The access token may have expired while we were away; get a fresh one before authenticating
+        if (this.accessToken && !this.isAnonymous) {
+            const refreshed = await this.refreshAccessToken({ redirectOnFailure: false });
+            if (!refreshed && !this.accessToken) {
+                // The session is gone for good; the user has to log in again
+                this.emit('auth_required', { reason: 'session_expired' });
+                return;
+            }
+        }
 
-            case 'history_response':
-                this.handleHistoryResponse(data.messages);
-                break;
+        this.connectWebSocket();
+    }
 
-            case 'error':
-                // Handle error messages from server (e.g., rate limiting, transmission blocked)
-                console.error('Server error:', data.message);
+    teardownSession() {
+        // A name retry belongs to the connection that was refused it
+        clearTimeout(this.screenNameTimer);
+        this.screenNameTimer = null;
 
-                // Special handling for transmission blocked
-                if (data.code === 'transmission_blocked') {
-                    this.showErrorNotification(data.message, 'warning', 3000);
+        // The server ends our calls when the connection drops; go back to where we were before the call
+        if (this.call) {
+            this.finishCall('connection_lost');
+        }
 
-                    // Stop any recording attempt that may have started
-                    if (this.isRecording) {
-                        this.stopTalking();
-                    }
-                } else {
-                    this.showErrorNotification(data.message);
-                }
-                break;
+        // Whatever was on air when the connection dropped can't be finished normally
+        // (a recording going into the outbox doesn't need the connection, so it carries on)
+        if ((this.isRecording || this.isStartingTalk) && !this.outboxRecording) {
+            this.voxKeyed = false;
+            this.stopTalking();
         }
-    }
+        this.pttHeld = false;
 
-    switchChannel() {
-        if (!this.channelInput || !this.isConnected) return;
+        // Play out what we already have from other speakers and forget who was talking
+        [...Object.keys(this.jitterBuffers), ...Object.keys(this.encodedStreams)].forEach(speakerKey => this.finishSpeakerStream(speakerKey));
+        this.remoteSpeakers.clear();
+        this.activeSpeakers.clear();
+        this.speakersChanged();
 
-        const newChannel = this.channelInput.value.trim();
-        const channelNum = parseInt(newChannel);
+        // Channel membership ends with the connection; syncScanChannels() restores it after rejoining
+        this.joinedChannels.clear();
+        this.channelParticipants = {};
+        this.setActiveScanChannel(null);
 
-        if (channelNum < 1 || channelNum > 999 || isNaN(channelNum)) {
-            alert('Please enter a valid channel number between 1 and 999');
-            return;
-        }
+        this.setParticipants(0);
 
-        if (newChannel === this.channel) {
-            console.log('Already on channel', newChannel);
+        // channel_joined delivers a fresh roster after reconnecting
+        this.clearRoster();
+    }
+
+    // Roster Methods
+
+    setRoster(members, serverTime) {
+        // Convert server timestamps to our clock so idle times survive clock skew
+        const offset = serverTime ? Date.now() - serverTime : 0;
+
+        this.roster.clear();
+        members.forEach(member => this.addRosterMember(member, offset));
+        this.rosterChanged();
+    }
+
+    addRosterMember(member, offset = 0) {
+        if (!member || member.id === undefined) return;
+
+        this.roster.set(member.id, {
+            id: member.id,
+            screen_name: member.screen_name,
+            authenticated: !!member.authenticated,
+            joined_at: member.joined_at + offset,
+            last_active: member.last_active + offset,
+            speaking: !!member.speaking
+        });
+    }
+
+    updateRosterMember(id, changes) {
+        const member = this.roster.get(id);
+        if (!member) return;
+
+        Object.assign(member, changes);
+        this.rosterChanged();
+    }
+
+    removeRosterMember(id) {
+        if (this.roster.delete(id)) {
+            this.rosterChanged();
+        }
+    }
+
+    clearRoster() {
+        this.roster.clear();
+        this.rosterChanged();
+    }
+
+    getRoster() {
+        return Array.from(this.roster.values()).map(member => ({
+            ...member,
+            idle: this.isMemberIdle(member),
+            self: member.id === this.memberId
+        }));
+    }
+
+    isMemberIdle(member) {
+        return !member.speaking && Date.now() - member.last_active > WalkieTalkie.ROSTER_IDLE_MS;
+    }
+
+    rosterChanged() {
+        this.emit('roster_changed', { channel: this.channel, members: this.getRoster() });
+    }
+
+    // Private Call Methods
+
+    isPrivateChannel(channel) {
+        return String(channel).startsWith(WalkieTalkie.PRIVATE_CHANNEL_PREFIX);
+    }
+
+    isInCall() {
+        return !!this.call && this.call.state === 'active';
+    }
+
+    startCall(memberId) {
+        if (!this.isSocketOpen() || this.call) return;
+
+        this.ws.send(JSON.stringify({ type: 'call_request', target: memberId }));
+    }
+
+    acceptCall() {
+        if (!this.call || this.call.state !== 'incoming') return;
+        if (!this.isSocketOpen()) return;
+
+        this.stopRinging();
+        this.ws.send(JSON.stringify({ type: 'call_accept', call_id: this.call.id }));
+    }
+
+    endCall(reason = null) {
+        if (!this.call) return;
+
+        if (this.isSocketOpen()) {
+            // The server answers with call_ended, which finishes the call on both sides
+            this.ws.send(JSON.stringify({ type: 'call_end', call_id: this.call.id, reason }));
+        } else {
+            this.finishCall('connection_lost');
+        }
+    }
+
+    handleCallRinging(data) {
+        this.call = { id: data.call_id, state: 'outgoing', peer: data.to, channel: null, returnChannel: null };
+        this.armCallTimeout();
+        this.startRinging(false);
+        this.emit('call_ringing', { call_id: data.call_id, to: data.to });
+    }
+
+    handleCallIncoming(data) {
+        // Nobody can answer without a front-end that offers it (e.g. the embed)
+        if (!this.acceptsCalls || this.call) {
+            this.ws.send(JSON.stringify({ type: 'call_end', call_id: data.call_id }));
             return;
         }
 
-        // Stop any current recording
+        this.call = { id: data.call_id, state: 'incoming', peer: data.from, channel: null, returnChannel: null };
+        this.armCallTimeout();
+        this.startRinging(true);
+        this.emit('call_incoming', { call_id: data.call_id, from: data.from });
+    }
+
+    handleCallAccepted(data) {
+        if (!this.call || this.call.id !== data.call_id) return;
+
+        this.clearCallTimeout();
+        this.stopRinging();
+
         if (this.isRecording) {
             this.stopTalking();
         }
 
-        // Leave current channel
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'leave_channel',
-                channel: this.channel
-            }));
+        // Step off our channels (scanned ones too) onto the private channel
+        this.call.state = 'active';
+        this.call.channel = data.channel;
+        this.call.returnChannel = this.channel;
+        this.enterChannel(data.channel);
+
+        console.log(`Private call with ${this.call.peer.screen_name} started`);
+        this.emit('call_started', { call_id: this.call.id, peer: this.call.peer });
+    }
+
+    finishCall(reason, byMe = false, returnToChannel = true) {
+        const call = this.call;
+        if (!call) return;
+
+        this.call = null;
+        this.clearCallTimeout();
+        this.stopRinging();
+
+        if (call.state === 'active') {
+            if (this.isRecording) {
+                this.stopTalking();
+            }
+            if (returnToChannel) {
+                this.enterChannel(call.returnChannel);
+                this.syncScanChannels();
+            }
         }
 
-        // Update channel
-        this.channel = newChannel;
-        this.updateChannelDisplay();
+        if (!byMe) {
+            const notice = this.getCallEndNotice(call, reason);
+            if (notice) {
+                this.notify(notice, 'info', 4000);
+            }
+        }
 
-        // Notify service worker of channel change
-        this.sendToServiceWorker('CHANNEL_CHANGED', { channel: newChannel });
+        console.log(`Call ${call.id} ended (${reason})`);
+        this.emit('call_ended', { call_id: call.id, reason, peer: call.peer });
+    }
 
-        // Join new channel
+    getCallEndNotice(call, reason) {
+        const name = call.peer.screen_name;
+        const outgoing = call.state === 'outgoing';
+
+        switch (reason) {
+            case 'declined':
+                return `${name} declined the call`;
+            case 'cancelled':
+                return `Missed call from ${name}`;
+            case 'timeout':
+                return outgoing ? `${name} didn't answer` : `Missed call from ${name}`;
+            case 'hangup':
+                return `${name} ended the call`;
+            case 'disconnected':
+                return `${name} disconnected`;
+            case 'connection_lost':
+                return 'Call dropped: connection lost';
+            default:
+                return null;
+        }
+    }
+
+    enterChannel(channel) {
+        // Like switchChannel(), but for call channels that aren't in the channel selector
+        this.channel = channel;
+        this.remoteSpeakers.clear();
+        this.clearActiveSpeakers();
+        this.clearRoster();
+        this.joinedChannels.clear();
+        this.channelParticipants = {};
+        this.setActiveScanChannel(null);
+        this.messageHistory = this.channelHistories[channel] || [];
         this.joinChannel();
+        this.emit('channel_changed', { channel, name: this.getChannelName(channel) });
+    }
 
-        console.log('Switched to channel', newChannel);
-        this.emit('channel_changed', { channel: newChannel });
+    armCallTimeout() {
+        this.clearCallTimeout();
+        this.callRingTimer = setTimeout(() => this.endCall('timeout'), WalkieTalkie.CALL_RING_TIMEOUT);
     }
 
-    joinChannel() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'join_channel',
-                channel: this.channel
-            }));
+    clearCallTimeout() {
+        if (this.callRingTimer) {
+            clearTimeout(this.callRingTimer);
+            this.callRingTimer = null;
+        }
+    }
 
-            // Request message history for this channel
-            this.requestHistory();
+    startRinging(incoming) {
+        this.stopRinging();
+        if (!this.audioContext) return;
 
-            // Also notify service worker of current channel
-            this.sendToServiceWorker('CHANNEL_CHANGED', { channel: this.channel });
-        }
+        // Callees hear a double ring; callers hear a softer ringback tone
+        const pattern = incoming ? WalkieTalkie.CALL_RING_PATTERN : WalkieTalkie.CALL_RINGBACK_PATTERN;
+        this.playCallTone(pattern);
+        this.ringToneTimer = setInterval(() => this.playCallTone(pattern), pattern.period);
     }
 
-    updateChannelDisplay() {
-        if (this.channelDisplay) {
-            this.channelDisplay.textContent = this.channel;
-        }
-        if (this.channelInput) {
-            this.channelInput.value = this.channel;
+    stopRinging() {
+        if (this.ringToneTimer) {
+            clearInterval(this.ringToneTimer);
+            this.ringToneTimer = null;
         }
     }
 
-    async requestMicrophoneAccess() {
+    playCallTone(pattern) {
         try {
-            this.audioStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                    // Let the browser choose the optimal sample rate
-                }
+            const ctx = this.audioContext;
+            const start = ctx.currentTime + 0.05;
+            const level = pattern.volume;
+            const gainNode = ctx.createGain();
+            let end = start;
+
+            // Shape each burst with short ramps to avoid clicks
+            gainNode.gain.setValueAtTime(0, start);
+            pattern.bursts.forEach(([offset, length]) => {
+                const on = start + offset;
+                const off = on + length;
+                gainNode.gain.setValueAtTime(0, on);
+                gainNode.gain.linearRampToValueAtTime(level, on + 0.01);
+                gainNode.gain.setValueAtTime(level, off - 0.01);
+                gainNode.gain.linearRampToValueAtTime(0, off);
+                end = Math.max(end, off);
+            });
+            gainNode.connect(this.getOutputNode());
+
+            pattern.frequencies.forEach(frequency => {
+                const oscillator = ctx.createOscillator();
+                oscillator.frequency.value = frequency;
+                oscillator.connect(gainNode);
+                oscillator.start(start);
+                oscillator.stop(end);
+                oscillator.onended = () => gainNode.disconnect();
             });
 
-            // Create audio context without forcing sample rate
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
+            this.markPlayback(end);
+        } catch (error) {
+            console.error('Failed to play call tone:', error);
+        }
+    }
 
-            console.log(`Audio context sample rate: ${this.audioContext.sampleRate}Hz`);
+    // Scan Methods
 
-            if (this.pttButton) {
-                this.pttButton.disabled = false;
-                this.pttButton.querySelector('.ptt-text').textContent = 'Hold to Talk';
+    loadScanSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('scan_settings') || 'null');
+            if (saved) {
+                this.scanEnabled = saved.enabled === true;
+                this.scanChannels = this.parseChannelList((saved.channels || []).join(','));
+                this.priorityChannel = saved.priority || null;
             }
-
-            console.log('Microphone access granted');
         } catch (error) {
-            console.error('Microphone access denied:', error);
-            if (this.pttButton) {
-                this.pttButton.querySelector('.ptt-text').textContent = 'Mic Access Denied';
-            }
+            console.warn('Failed to load scan settings:', error);
         }
     }
 
-    async startTalking() {
-        if (!this.audioStream || !this.isConnected || this.isRecording) return;
+    saveScanSettings() {
+        this.storage.local.setItem('scan_settings', JSON.stringify({
+            enabled: this.scanEnabled,
+            channels: this.scanChannels,
+            priority: this.priorityChannel
+        }));
+    }
 
-        try {
-            // Use simple PCM audio processing
-            await this.setupSimplePCMStreaming();
+    parseChannelList(value) {
+        const channels = [];
 
-            this.isRecording = true;
-            this.isSpeaking = true;
-            this.pttButton.classList.add('recording');
+        String(value).split(/[\s,]+/).forEach(part => {
+            const channel = this.normalizeChannel(part);
+            if (channel && !channels.includes(channel)) {
+                channels.push(channel);
+            }
+        });
 
-            this.ws.send(JSON.stringify({
-                type: 'push_to_talk_start',
-                channel: this.channel,
-                clientId: this.clientId
-            }));
+        return channels.slice(0, WalkieTalkie.SCAN_MAX_CHANNELS);
+    }
 
-            console.log('Started simple PCM audio streaming');
-        } catch (error) {
-            console.error('Failed to start streaming:', error);
+    setScanEnabled(enabled) {
+        this.scanEnabled = enabled;
+        if (!enabled) {
+            this.setActiveScanChannel(null);
         }
+
+        this.saveScanSettings();
+        this.syncScanChannels();
+        this.scanChanged();
+        console.log('Scan', enabled ? 'enabled' : 'disabled');
     }
 
-    async setupSimplePCMStreaming() {
-        // Create audio context with default settings
-        if (!this.audioContext) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
+    setScanChannels(value) {
+        // Accepts a list or a comma/space separated string
+        this.scanChannels = this.parseChannelList(Array.isArray(value) ? value.join(',') : value);
 
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
+        this.saveScanSettings();
+        this.syncScanChannels();
+        this.scanChanged();
+    }
+
+    setPriorityChannel(channel) {
+        this.priorityChannel = this.normalizeChannel(channel || '') || null;
+        this.saveScanSettings();
+        this.scanChanged();
+    }
+
+    scanChanged() {
+        // The priority channel has to be one of the monitored ones
+        if (this.priorityChannel && this.scanEnabled && !this.getMonitoredChannels().includes(this.priorityChannel)) {
+            this.priorityChannel = null;
+            this.saveScanSettings();
         }
 
-        // Create source from microphone stream
-        this.microphoneSource = this.audioContext.createMediaStreamSource(this.audioStream);
+        this.emit('scan_changed', {
+            enabled: this.scanEnabled,
+            channels: this.getMonitoredChannels(),
+            priority: this.priorityChannel,
+            active: this.activeScanChannel
+        });
+    }
 
-        // Create script processor with larger buffer to reduce overhead
-        this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+    getMonitoredChannels() {
+        // Scanning pauses for the length of a private call
+        if (!this.scanEnabled || this.isInCall()) {
+            return [this.channel];
+        }
 
-        this.scriptProcessor.onaudioprocess = (event) => {
-            if (!this.isRecording) return;
+        return [this.channel, ...this.scanChannels.filter(channel => channel !== this.channel)];
+    }
 
-            const inputBuffer = event.inputBuffer;
-            const audioData = inputBuffer.getChannelData(0);
+    isScannedChannel(channel) {
+        return this.scanEnabled && this.scanChannels.includes(channel);
+    }
 
-            if (!audioData || audioData.length === 0) return;
+    syncScanChannels() {
+        if (!this.isSocketOpen()) return;
+
+        const monitored = this.getMonitoredChannels();
 
-            // Simple, direct PCM16 conversion - no processing
-            const pcm16 = new Int16Array(audioData.length);
-            for (let i = 0; i < audioData.length; i++) {
-                const sample = Math.max(-1, Math.min(1, audioData[i]));
-                pcm16[i] = sample * 32767;
+        // Leave channels that are no longer scanned (the talk channel always stays)
+        this.joinedChannels.forEach(channel => {
+            if (!monitored.includes(channel)) {
+                this.ws.send(JSON.stringify({ type: 'leave_channel', channel }));
             }
+        });
 
-            // Send directly
-            this.sendSimplePCM(pcm16);
-        };
+        monitored.forEach(channel => {
+            if (channel === this.channel || this.joinedChannels.has(channel)) return;
 
-        // Connect audio nodes - ScriptProcessorNode needs to be connected to destination to work
-        this.microphoneSource.connect(this.scriptProcessor);
+            this.ws.send(JSON.stringify({ type: 'join_channel', channel, scan: true }));
+            this.requestHistory(channel);
+        });
+    }
 
-        // Create a gain node set to 0 to avoid feedback but keep the processing chain active
-        this.muteGain = this.audioContext.createGain();
-        this.muteGain.gain.value = 0; // Mute the output
+    acceptChannelAudio(channel, speakerKey) {
+        if (speakerKey) {
+            this.speakerChannels[speakerKey] = channel;
+        }
 
-        this.scriptProcessor.connect(this.muteGain);
-        this.muteGain.connect(this.audioContext.destination);
-    }
+        if (!this.scanEnabled) return true;
 
-    sendSimplePCM(pcm16Data) {
-        try {
-            const uint8Array = new Uint8Array(pcm16Data.buffer);
-            const base64Audio = btoa(String.fromCharCode.apply(null, uint8Array));
+        const now = Date.now();
+        const active = this.activeScanChannel;
 
-            const audioMessage = {
-                type: 'audio_data',
-                channel: this.channel,
-                data: base64Audio,
-                format: 'pcm16',
-                sampleRate: this.audioContext.sampleRate,
-                channels: 1,
-                clientId: this.clientId,
-                excludeSender: true // Hint for server to not echo back
-            };
+        if (channel === active) {
+            this.scanActivityAt = now;
+            return true;
+        }
 
-            // console.log('Sending audio_data:', {
-            //     format: audioMessage.format,
-            //     sampleRate: audioMessage.sampleRate,
-            //     dataLength: audioMessage.data.length,
-            //     channel: audioMessage.channel,
-            //     pcm16Length: pcm16Data.length
-            // });
+        // Stay on the active channel through pauses between overs, unless the priority channel wants in
+        const busy = active && now - this.scanActivityAt < WalkieTalkie.SCAN_HOLD_MS;
+        if (busy && channel !== this.priorityChannel) {
+            return false;
+        }
 
-            this.ws.send(JSON.stringify(audioMessage));
-        } catch (error) {
-            console.error('Failed to send simple PCM:', error);
+        if (busy) {
+            console.log(`Priority channel ${channel} pre-empting channel ${active}`);
+            this.silenceChannel(active);
         }
+
+        this.setActiveScanChannel(channel);
+        this.scanActivityAt = now;
+        return true;
     }
 
-    setupMediaRecorder() {
-        // Use MediaRecorder for clean, native audio encoding
-        const options = {
-            mimeType: 'audio/webm;codecs=opus',
-            audioBitsPerSecond: 128000
-        };
+    setActiveScanChannel(channel) {
+        if (this.activeScanChannel === channel) return;
 
-        // Fallback options if webm/opus not supported
-        if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-            if (MediaRecorder.isTypeSupported('audio/webm')) {
-                options.mimeType = 'audio/webm';
-            } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
-                options.mimeType = 'audio/mp4';
-            } else {
-                options.mimeType = ''; // Use default
-            }
+        this.activeScanChannel = channel;
+        this.emit('scan_channel', { channel });
+        this.scanChanged();
+    }
+
+    scheduleScanRelease() {
+        if (!this.scanEnabled) return;
+
+        if (this.scanReleaseTimer) {
+            clearTimeout(this.scanReleaseTimer);
         }
 
-        this.mediaRecorder = new MediaRecorder(this.audioStream, options);
-        this.recordedChunks = [];
+        this.scanActivityAt = Date.now();
+        this.scanReleaseTimer = setTimeout(() => {
+            this.scanReleaseTimer = null;
+            if (Date.now() - this.scanActivityAt >= WalkieTalkie.SCAN_HOLD_MS) {
+                this.setActiveScanChannel(null);
+            }
+        }, WalkieTalkie.SCAN_HOLD_MS);
+    }
 
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                this.sendAudio(event.data);
+    silenceChannel(channel) {
+        this.clearActiveSpeakers(speaker => speaker.channel === channel);
+
+        // Cut off everything playing or buffered from a channel that was pre-empted
+        Object.keys(this.speakerChannels).forEach(speakerKey => {
+            if (this.speakerChannels[speakerKey] !== channel) return;
+
+            const stream = this.jitterBuffers[speakerKey];
+            if (stream) {
+                stream.pending.clear();
+                stream.sources.forEach(source => {
+                    try {
+                        source.stop();
+                    } catch (e) {
+                        // Already stopped
+                    }
+                });
+                this.releaseJitterBuffer(stream);
             }
-        };
 
-        this.mediaRecorder.onerror = (event) => {
-            console.error('MediaRecorder error:', event.error);
-        };
+            this.closeOpusDecoder(speakerKey);
 
-        // Start recording with small chunks for real-time streaming
-        this.mediaRecorder.start(100); // 100ms chunks
-        console.log('MediaRecorder started with type:', options.mimeType);
+            delete this.encodedStreams[speakerKey];
+            this.encodedPlayback.forEach(encoded => {
+                if (encoded.speakerKey === speakerKey) {
+                    this.releaseEncodedStream(encoded);
+                }
+            });
+        });
     }
 
-    async setupWebAudioStreaming() {
-        // Create audio context with default sample rate (let browser decide)
-        if (!this.audioContext) {
-            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            this.audioContext = new AudioContextClass();
-            console.log('Audio context created with sample rate:', this.audioContext.sampleRate);
-        }
+    // Outbox Methods
+    //
+    // Transmissions recorded while disconnected are kept in the outbox store (IndexedDB
+    // in browsers) and sent, oldest first, once we have rejoined their channel. They are
+    // always stored as pcm16 since the channel's wire format can't be negotiated while offline.
 
-        // Resume audio context if suspended
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
-        }
+    isOutboxAvailable() {
+        return !!this.storage.outbox;
+    }
+
+    getOutboxOwner() {
+        return this.currentUser ? this.currentUser.username : null;
+    }
+
+    async loadOutbox() {
+        if (!this.isOutboxAvailable()) return;
 
         try {
-            // Load audio worklet if not already loaded
-            if (!this.audioWorkletLoaded) {
-                await this.audioContext.audioWorklet.addModule('assets/audio-processor.js');
-                this.audioWorkletLoaded = true;
-            }
+            const items = await this.storage.outbox.getAll();
+            const owner = this.getOutboxOwner();
+            this.outbox = items.filter(item => item.owner === owner).sort((a, b) => a.id - b.id);
+            this.emit('outbox_changed', { pending: this.outbox.length });
+        } catch (error) {
+            console.warn('Failed to load outbox:', error);
+        }
+    }
 
-            // Create source from microphone stream
-            this.microphoneSource = this.audioContext.createMediaStreamSource(this.audioStream);
+    canRecordToOutbox() {
+        if (!this.isOutboxAvailable()) return false;
 
-            // Create AudioWorkletNode for audio processing
-            this.audioProcessor = new AudioWorkletNode(this.audioContext, 'audio-processor');
+        if (this.outbox.length >= WalkieTalkie.OUTBOX_MAX_ITEMS) {
+            this.notify('Too many transmissions waiting to be sent; discard some first', 'warning', 3000);
+            return false;
+        }
 
-            // Listen for audio data from the worklet
-            this.audioProcessor.port.onmessage = (event) => {
-                if (event.data.type === 'audioData') {
-                    this.sendPCMAudio(event.data.data);
-                }
-            };
+        return true;
+    }
 
-            // Connect audio nodes
-            this.microphoneSource.connect(this.audioProcessor);
-            // Don't connect to destination to avoid feedback
-            // this.audioProcessor.connect(this.audioContext.destination);
+    async addToOutbox(recording) {
+        if (recording.chunks.length === 0) return;
 
-            // Start recording in the worklet
-            this.audioProcessor.port.postMessage({ type: 'start' });
+        const item = { ...recording, owner: this.getOutboxOwner() };
 
+        try {
+            item.id = await this.storage.outbox.add(item);
         } catch (error) {
-            console.warn('AudioWorklet not supported, falling back to ScriptProcessorNode:', error);
-            this.setupLegacyAudioStreaming();
+            console.error('Failed to save transmission to outbox:', error);
+            this.notify('Could not save the transmission to send later');
+            return;
         }
+
+        this.outbox.push(item);
+        this.notify('Offline - transmission will be sent when reconnected', 'info', 3000);
+        this.emit('outbox_changed', { pending: this.outbox.length });
     }
 
-    setupLegacyAudioStreaming() {
-        // Create source from microphone stream
-        this.microphoneSource = this.audioContext.createMediaStreamSource(this.audioStream);
+    async removeFromOutbox(id) {
+        this.outbox = this.outbox.filter(item => item.id !== id);
+        this.emit('outbox_changed', { pending: this.outbox.length });
 
-        // Create script processor for audio processing (legacy fallback)
-        // Use larger buffer to reduce processing overhead
-        this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+        try {
+            await this.storage.outbox.delete(id);
+        } catch (error) {
+            console.warn('Failed to remove transmission from outbox:', error);
+        }
+    }
 
-        this.scriptProcessor.onaudioprocess = (event) => {
-            if (!this.isRecording) return;
+    async claimOutboxItem(id) {
+        // Other instances sharing the store may be flushing the same item
+        try {
+            return await this.storage.outbox.claim(id);
+        } catch (error) {
+            console.warn('Failed to claim transmission from outbox:', error);
+            return false;
+        }
+    }
 
-            const inputBuffer = event.inputBuffer;
-            const audioData = inputBuffer.getChannelData(0);
+    canFlushOutbox() {
+        if (!this.isSocketOpen() || !this.isConnected) return false;
 
-            // Validate audio data
-            if (!audioData || audioData.length === 0) return;
+        // Don't interleave with a live transmission or, with the lockout on, talk over someone
+        return !this.isRecording && !this.isStartingTalk && !this.isSendingRecording && !this.isChannelBusy();
+    }
 
-            // Minimal processing - convert directly to PCM16
-            const pcm16 = new Int16Array(audioData.length);
-            for (let i = 0; i < audioData.length; i++) {
-                // Simple conversion without extra processing
-                const sample = Math.max(-1.0, Math.min(1.0, audioData[i]));
-                pcm16[i] = Math.round(sample * 32767);
-            }
+    async flushOutbox() {
+        if (this.isFlushingOutbox) return;
+        this.isFlushingOutbox = true;
 
-            // Send PCM data
-            this.sendPCMAudio(pcm16);
-        };
+        let sent = 0;
+        try {
+            // One at a time, each paced like live speech. Items recorded on another channel
+            // wait until we're back on it
+            let item;
+            while ((item = this.outbox.find(entry => entry.channel === this.channel)) && this.canFlushOutbox()) {
+                if (sent > 0) {
+                    // A pause so listeners hear separate transmissions, and others can get a word in
+                    await new Promise(resolve => setTimeout(resolve, WalkieTalkie.OUTBOX_SEND_GAP));
+                    if (!this.canFlushOutbox()) break;
+                }
 
-        // Connect audio nodes (don't connect to destination to avoid feedback)
-        this.microphoneSource.connect(this.scriptProcessor);
-        // this.scriptProcessor.connect(this.audioContext.destination);
-    }
+                // Another player on the page may have sent it already
+                if (!await this.claimOutboxItem(item.id)) {
+                    await this.removeFromOutbox(item.id);
+                    continue;
+                }
 
-    stopTalking() {
-        if (!this.isRecording) return;
+                // PTT or talk() may have started while the store was busy
+                if (!this.canFlushOutbox()) {
+                    await this.restoreOutboxItem(item);
+                    break;
+                }
 
-        this.isRecording = false;
-        this.isSpeaking = false;
-        this.pttButton.classList.remove('recording');
+                try {
+                    await this.sendOutboxItem(item);
+                } catch (error) {
+                    // The server keeps what it got before a time-out; anything else is tried again later
+                    if (error.code === 'transmit_timeout') {
+                        await this.removeFromOutbox(item.id);
+                    } else {
+                        await this.restoreOutboxItem(item);
+                    }
+                    break;
+                }
 
-        // Disconnect script processor
-        if (this.scriptProcessor) {
-            this.scriptProcessor.disconnect();
-            this.scriptProcessor = null;
+                await this.removeFromOutbox(item.id);
+                sent++;
+            }
+        } finally {
+            this.isFlushingOutbox = false;
         }
 
-        // Disconnect mute gain node
-        if (this.muteGain) {
-            this.muteGain.disconnect();
-            this.muteGain = null;
+        if (sent > 0) {
+            this.notify(`Sent ${sent} pending transmission${sent === 1 ? '' : 's'}`, 'success', 2000);
         }
+    }
 
-        // Disconnect microphone source
-        if (this.microphoneSource) {
-            this.microphoneSource.disconnect();
-            this.microphoneSource = null;
+    async restoreOutboxItem(item) {
+        // Claiming took it out of the store; IndexedDB keeps its ID, and with it its place in line
+        try {
+            item.id = await this.storage.outbox.add(item);
+        } catch (error) {
+            console.warn('Failed to return transmission to outbox:', error);
         }
+    }
+
+    sendOutboxItem(item) {
+        return this.sendRecording(item.channel, item.chunks, item.sampleRate, item.recordedAt);
+    }
+
+    async sendRecording(channel, chunks, sampleRate, recordedAt = null) {
+        // Paced like live speech: a burst would end the transmission, and release the
+        // PTT lockout, long before listeners have played it. The server never confirms a
+        // start, so a refusal is caught while sending or by confirmTransmission().
+        let refusal = null;
+        const unsubscribe = this.on('error', (data) => {
+            refusal = refusal || this.getTransmitRefusal(data, channel);
+        });
+
+        this.isSendingRecording = true;
+        try {
+            const start = {
+                type: 'push_to_talk_start',
+                channel: channel,
+                clientId: this.clientId
+            };
+            if (recordedAt) {
+                start.recordedAt = recordedAt;
+            }
+            this.ws.send(JSON.stringify(start));
+
+            this.audioSequence = 0;
+            const startedAt = Date.now();
+            let sent = 0;
+            for (const chunk of chunks) {
+                if (refusal) break;
+                if (!this.isSocketOpen()) {
+                    throw WalkieTalkie.error('not_connected', 'Disconnected from the server');
+                }
+
+                this.sendAudioPayload(chunk.bytes, 'pcm16', sampleRate, chunk.duration, channel);
+                sent += chunk.duration;
+
+                // Keep a little ahead of real time so listeners' jitter buffers don't run dry
+                const wait = startedAt + sent - WalkieTalkie.RECORDING_SEND_LEAD - Date.now();
+                if (wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+
+            if (!this.isSocketOpen()) {
+                throw WalkieTalkie.error('not_connected', 'Disconnected from the server');
+            }
+            this.ws.send(JSON.stringify({
+                type: 'push_to_talk_end',
+                channel: channel,
+                clientId: this.clientId
+            }));
+
+            if (!refusal) {
+                await this.confirmTransmission(channel);
+            }
+        } finally {
+            this.isSendingRecording = false;
+            unsubscribe();
+        }
+
+        if (refusal) throw refusal;
+    }
+
+    confirmTransmission(channel) {
+        // Resolves once a history request sent after push_to_talk_end is answered. The server
+        // answers in order, so by then any refusal of the transmission has arrived and rejected it
+        const answered = this.waitForEvent(
+            'history_updated',
+            data => data.channel === channel,
+            (event, data) => event === 'error' ? this.getTransmitRefusal(data, channel) : null
+        );
+        this.requestHistory(channel);
+        return answered;
+    }
+
+    getTransmitRefusal(data, channel) {
+        // The error to reject with when a server error refuses or cuts off our transmission
+        const refused = WalkieTalkie.TRANSMIT_REFUSALS.includes(data.code) && (!data.channel || data.channel === channel);
+        return refused ? WalkieTalkie.error(data.code, data.message) : null;
+    }
+
+    handleWebSocketMessage(data) {
+        switch (data.type) {
+            case 'authenticated':
+                console.log('Authenticated as:', data.user.username);
+                this.currentUser = data.user;
+                this.screenName = data.user.username;
+                this.emitAuthChanged();
+                this.joinChannel();
+                this.syncScanChannels();
+                break;
+
+            case 'screen_name_set':
+                console.log('Screen name set to:', data.screen_name);
+                this.screenName = data.screen_name;
+                this.screenNameRetries = 0;
+                if (this.connectionStatus !== 'connected') {
+                    this.setConnectionStatus('connected');
+                }
+                this.joinChannel();
+                this.syncScanChannels();
+                break;
+
+            case 'authentication_required':
+                console.log('Authentication required');
+                if (!this.accessToken) {
+                    this.emit('auth_required', { reason: 'login_required' });
+                }
+                break;
+
+            case 'channel_joined':
+                this.joinedChannels.add(data.channel);
+                this.channelParticipants[data.channel] = data.participants;
+                this.scanChanged();
+
+                if (data.channel !== this.channel) {
+                    console.log(`Scanning channel ${data.channel}`);
+                    this.emit('channel_joined', { channel: data.channel, name: this.getChannelName(data.channel), participants: data.participants, scanned: true });
+                    break;
+                }
+
+                this.setParticipants(data.participants);
+                this.memberId = data.member_id !== undefined ? data.member_id : this.memberId;
+                this.setRoster(data.members || [], data.server_time);
+                console.log(`Joined channel ${data.channel}`);
+                this.emit('channel_joined', { channel: data.channel, name: this.getChannelName(data.channel), participants: data.participants, scanned: false });
+
+                // joinChannel() has already re-requested history; let the user know we're back
+                if (this.isReconnecting) {
+                    this.isReconnecting = false;
+                    this.notify('Reconnected', 'success', 2000);
+                    this.emit('reconnected', { channel: this.channel });
+                }
+
+                // Deliver anything recorded for this channel while we were offline
+                this.flushOutbox();
+                break;
+
+            case 'call_ringing':
+                this.handleCallRinging(data);
+                break;
+
+            case 'call_incoming':
+                this.handleCallIncoming(data);
+                break;
+
+            case 'call_accepted':
+                this.handleCallAccepted(data);
+                break;
+
+            case 'call_ended':
+                if (this.call && this.call.id === data.call_id) {
+                    this.finishCall(data.reason, data.by_me);
+                }
+                break;
+
+            case 'channel_counts':
+                this.channelCounts = data.counts || {};
+                this.emit('directory_changed', { channels: this.channelDirectory, counts: this.channelCounts });
+                break;
+
+            case 'channel_left':
+                this.joinedChannels.delete(data.channel);
+                delete this.channelParticipants[data.channel];
+                this.scanChanged();
+                break;
+
+            case 'participant_joined':
+            case 'participant_left': {
+                const channel = data.channel || this.channel;
+                this.channelParticipants[channel] = data.participants;
+                this.scanChanged();
+
+                let member = null;
+                if (channel === this.channel) {
+                    this.setParticipants(data.participants);
+
+                    if (data.type === 'participant_joined' && data.member) {
+                        this.addRosterMember(data.member);
+                        this.rosterChanged();
+                        member = this.getRoster().find(entry => entry.id === data.member.id) || null;
+                    } else if (data.type === 'participant_left' && data.member_id !== undefined) {
+                        // A speaker who drops out mid-transmission never sends user_speaking false
+                        member = this.getRoster().find(entry => entry.id === data.member_id) || null;
+                        if (member) {
+                            this.clearActiveSpeakers(speaker => speaker.screen_name === member.screen_name && speaker.channel === channel);
+                        }
+                        this.removeRosterMember(data.member_id);
+                    }
+                }
+
+                this.emit(data.type, {
+                    channel,
+                    screen_name: data.screen_name || (member ? member.screen_name : null),
+                    member,
+                    participants: data.participants
+                });
+
+                if (data.screen_name) {
+                    console.log(`${data.screen_name} ${data.type === 'participant_joined' ? 'joined' : 'left'} channel ${channel}`);
+                }
+                break;
+            }
+
+            case 'audio_start':
+                // Welcome message or incoming audio transmission starting
+                if (data.is_welcome) {
+                    console.log('Welcome message starting from:', data.screen_name);
+                    // Initialize buffer for welcome message chunks
+                    this.welcomeAudioBuffer = {
+                        chunks: [],
+                        sample_rate: data.sample_rate || 48000,
+                        screen_name: data.screen_name
+                    };
+                }
+                break;
+
+            case 'audio':
+                // Audio chunk - either welcome message or regular transmission
+                if (data.is_welcome && this.welcomeAudioBuffer) {
+                    // Buffer welcome message chunks
+                    this.welcomeAudioBuffer.chunks.push(data.audio);
+                }
+                break;
+
+            case 'audio_end':
+                // End of audio transmission
+                if (data.is_welcome && this.welcomeAudioBuffer) {
+                    console.log('Welcome message complete, playing audio');
+
+                    // Decode each base64 chunk, concatenate binary data, then re-encode
+                    const binaryChunks = this.welcomeAudioBuffer.chunks.map(chunk => {
+                        try {
+                            return atob(chunk);
+                        } catch (e) {
+                            console.error('Failed to decode chunk:', e);
+                            return '';
+                        }
+                    });
+
+                    const concatenatedBinary = binaryChunks.join('');
+                    const concatenatedAudio = btoa(concatenatedBinary);
+
+                    this.playPCMAudio(
+                        concatenatedAudio,
+                        this.welcomeAudioBuffer.sample_rate,
+                        1 // mono
+                    );
+                    this.welcomeAudioBuffer = null;
+                }
+                break;
+
+            case 'codec_selected':
+                if (data.channel === this.channel) {
+                    this.wireFormat = data.format === 'opus' && this.supportedCodecs.includes('opus') ? 'opus' : 'pcm16';
+                    console.log(`Wire format for channel ${data.channel}: ${this.wireFormat}`);
+                }
+                break;
+
+            case 'audio_data': {
+                // Don't play our own audio back to ourselves
+                if (data.clientId && data.clientId === this.clientId) {
+                    // console.log('Ignoring own audio message');
+                    break;
+                }
+
+                // While scanning, only the active channel is heard
+                const speakerKey = data.clientId || data.screen_name || 'unknown';
+                if (!this.acceptChannelAudio(data.channel || this.channel, speakerKey)) {
+                    break;
+                }
+
+                if (data.screen_name) {
+                    this.registerSpeaker(speakerKey, data.screen_name);
+                }
+
+                this.emitAudioReceived({
+                    channel: data.channel || this.channel,
+                    speakerKey,
+                    format: data.format || 'encoded',
+                    sampleRate: data.sampleRate || null,
+                    mimeType: data.format === 'opus' || data.format === 'pcm16' ? null : (data.mimeType || 'audio/webm'),
+                    sequence: data.seq,
+                    data: data.data
+                });
+
+                // Without audio the transmission is still tracked, just not played
+                if (!this.audio) {
+                    break;
+                }
+
+                if (data.format === 'opus') {
+                    this.receiveOpusPacket(
+                        this.base64ToBytes(data.data),
+                        data.sampleRate || 48000,
+                        speakerKey,
+                        data.seq
+                    );
+                } else if (data.format === 'pcm16') {
+                    this.receivePCMBytes(
+                        this.base64ToBytes(data.data),
+                        data.sampleRate || 44100,
+                        speakerKey,
+                        data.seq
+                    );
+                } else {
+                    // MediaRecorder chunks ('encoded', or no format from older clients)
+                    this.receiveEncodedChunk(
+                        this.base64ToBytes(data.data),
+                        data.mimeType || 'audio/webm',
+                        speakerKey,
+                        data.seq
+                    );
+                }
+                break;
+            }
+
+            case 'user_speaking': {
+                const channel = data.channel || this.channel;
+                const speakerKey = data.clientId || data.screen_name;
+
+                // Binary frames only carry a hash of the sender's clientId
+                if (data.speaking && data.clientId) {
+                    this.speakerHashes[this.hashClientId(data.clientId)] = data.clientId;
+                }
+
+                if (speakerKey && data.screen_name) {
+                    this.registerSpeaker(speakerKey, data.screen_name);
+                }
+
+                if (data.speaking) {
+                    // Lock the scanner onto this channel now rather than on its first audio frame
+                    if (this.acceptChannelAudio(channel, speakerKey)) {
+                        this.setSpeakerActive(speakerKey, data.screen_name, channel, true);
+                    }
+                } else {
+                    this.setSpeakerActive(speakerKey, data.screen_name, channel, false);
+                    if (!this.scanEnabled || channel === this.activeScanChannel) {
+                        this.scheduleScanRelease();
+                    }
+                }
+
+                if (channel === this.channel && data.member_id !== undefined) {
+                    this.updateRosterMember(data.member_id, { speaking: !!data.speaking, last_active: Date.now() });
+                }
+
+                // VOX must not key up over someone else on the talk channel while the lockout is on
+                if (channel === this.channel && data.clientId !== this.clientId && speakerKey) {
+                    if (data.speaking) {
+                        this.remoteSpeakers.set(data.clientId || data.screen_name, Date.now());
+                    } else {
+                        this.remoteSpeakers.delete(data.clientId || data.screen_name);
+                    }
+                }
+
+                // Play out whatever is still buffered for this speaker, then release it
+                if (!data.speaking && (data.clientId || data.screen_name)) {
+                    this.finishSpeakerStream(data.clientId || data.screen_name);
+                }
+
+                // Pending outbox items may have been waiting for the channel to go quiet
+                if (!data.speaking && this.outbox.length > 0) {
+                    this.flushOutbox();
+                }
+                this.emit('speaking', {
+                    speaking: data.speaking,
+                    screen_name: data.screen_name,
+                    speaker: speakerKey || null,
+                    channel,
+                    speakers: Array.from(this.activeSpeakers.values()).map(speaker => speaker.screen_name).filter(Boolean)
+                });
+
+                // When ANYONE stops speaking, refresh the message history
+                // This creates a live log of all messages
+                if (!data.speaking) {
+                    // Small delay to allow server to save the message
+                    setTimeout(() => {
+                        this.requestHistory(channel);
+                    }, 100);
+                }
+                break;
+            }
+
+            case 'history_response':
+                this.handleHistoryResponse(data.messages, data.channel);
+                break;
+
+            case 'error':
+                // Handle error messages from server (e.g., rate limiting, transmission blocked)
+                console.error('Server error:', data.message);
+                this.emit('error', { code: data.code || null, message: data.message, channel: data.channel || null });
+
+                // Special handling for transmission blocked
+                if (data.code === 'transmission_blocked') {
+                    this.notify(data.message, 'warning', 3000);
+
+                    // Back off so VOX doesn't retry on every syllable while the channel is busy
+                    if (this.voxKeyed) {
+                        this.voxKeyed = false;
+                        this.voxBlockedUntil = Date.now() + WalkieTalkie.VOX_BLOCKED_BACKOFF;
+                    }
+
+                    // Stop any recording attempt that may have started
+                    if (this.isRecording) {
+                        this.stopTalking();
+                    }
+                } else if (data.code === 'transmit_timeout') {
+                    // The server cut us off; make sure we stop sending too
+                    this.notify(data.message, 'warning', 3000);
+                    if (this.voxKeyed) {
+                        this.releaseVox();
+                    } else if (this.isRecording) {
+                        this.stopTalking();
+                    }
+                } else if (data.code === 'screen_name_taken') {
+                    // Not joined anywhere until the server accepts a name
+                    this.handleScreenNameTaken();
+                } else if (data.code === 'unknown_channel') {
+                    // The channel isn't (or is no longer) in the directory; land somewhere valid
+                    this.notify(data.message, 'warning', 4000);
+                    if (data.channel === this.channel && this.channel !== '1') {
+                        this.channel = '1';
+                        this.joinChannel();
+                        this.emit('channel_changed', { channel: this.channel, name: this.getChannelName(this.channel) });
+                    }
+                } else {
+                    this.notify(data.message);
+                }
+                break;
+        }
+    }
+
+    resolveChannel(input) {
+        // Accept a number, a slug or a name, or fall back to the best match in the directory
+        const text = String(input ?? '').trim();
+        if (!text) return null;
+
+        const match = this.searchChannelDirectory(text)[0];
+        return this.normalizeChannel(text) || (match ? match.slug : null);
+    }
+
+    switchChannel(channel) {
+        // Returns false when the channel is unknown or we're offline
+        if (!this.isConnected) return false;
+
+        const newChannel = this.resolveChannel(channel);
+        if (!newChannel) {
+            return false;
+        }
+
+        if (newChannel === this.channel) {
+            console.log('Already on channel', newChannel);
+            return true;
+        }
+
+        // Picking another channel hangs up a private call instead of returning to the old channel
+        const wasInCall = this.isInCall();
+        if (this.call) {
+            this.endCall();
+            this.finishCall('hangup', true, false);
+        }
+
+        // Stop any current recording
+        if (this.isRecording) {
+            this.stopTalking();
+        }
+
+        // Leave current channel (unless we keep scanning it)
+        if (this.isSocketOpen() && !this.isScannedChannel(this.channel)) {
+            this.ws.send(JSON.stringify({
+                type: 'leave_channel',
+                channel: this.channel
+            }));
+        }
+
+        // Update channel
+        this.channel = newChannel;
+        this.remoteSpeakers.clear();
+        this.clearActiveSpeakers(speaker => speaker.channel !== newChannel && !this.isScannedChannel(speaker.channel));
+        this.clearRoster(); // Refilled by channel_joined
+        this.messageHistory = this.channelHistories[newChannel] || [];
+
+        // Join new channel
+        this.joinChannel();
+
+        // The call took us off our scanned channels
+        if (wasInCall) {
+            this.syncScanChannels();
+        }
+
+        console.log('Switched to channel', newChannel);
+        this.emit('channel_changed', { channel: newChannel, name: this.getChannelName(newChannel) });
+        return true;
+    }
+
+    joinChannel() {
+        if (this.isSocketOpen()) {
+            // Without the scan flag the server drops us from every other channel
+            this.ws.send(JSON.stringify({
+                type: 'join_channel',
+                channel: this.channel,
+                scan: this.scanEnabled && !this.isInCall()
+            }));
+
+            // Request message history for this channel
+            this.requestHistory();
+        }
+    }
+
+    // Channel Directory Methods
+
+    async loadChannelDirectory() {
+        try {
+            const response = await this.transport.fetch(this.directoryUrl);
+            if (!response.ok) {
+                throw new Error(`Channel directory fetch failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.channelDirectory = Array.isArray(result.channels) ? result.channels : [];
+        } catch (error) {
+            // Without a directory only numbered channels can be checked here; the server checks the rest
+            console.warn('Channel directory unavailable:', error);
+            this.channelDirectory = null;
+        }
+
+        // Deep links may use a slug or a display name (?channel=logistics)
+        this.channel = this.normalizeChannel(this.channel) || '1';
+        this.scanChannels = this.scanChannels.map(channel => this.normalizeChannel(channel)).filter(Boolean);
+        this.emit('directory_changed', { channels: this.channelDirectory, counts: this.channelCounts });
+    }
+
+    normalizeChannel(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+
+        if (/^\d+$/.test(text)) {
+            const number = parseInt(text, 10);
+            return number >= 1 && number <= 999 ? String(number) : null;
+        }
+
+        if (!this.channelDirectory) {
+            return WalkieTalkie.CHANNEL_SLUG_PATTERN.test(text) ? text : null;
+        }
+
+        const entry = this.channelDirectory.find(channel => channel.slug === text) ||
+            this.channelDirectory.find(channel => channel.name.toLowerCase() === text);
+        return entry ? entry.slug : null;
+    }
+
+    getChannelEntry(channel) {
+        return (this.channelDirectory || []).find(entry => entry.slug === channel) || null;
+    }
+
+    getChannelName(channel) {
+        if (this.call && channel === this.call.channel) {
+            return `Private call with ${this.call.peer.screen_name}`;
+        }
+
+        const entry = this.getChannelEntry(channel);
+        return entry ? entry.name : `Channel ${channel}`;
+    }
+
+    searchChannelDirectory(query) {
+        const text = String(query || '').trim().toLowerCase();
+        const channels = this.channelDirectory || [];
+        if (!text) return channels;
+
+        return channels.filter(channel =>
+            channel.slug.includes(text) ||
+            channel.name.toLowerCase().includes(text) ||
+            (channel.description || '').toLowerCase().includes(text)
+        );
+    }
+
+    async requestMicrophoneAccess() {
+        if (this.listenOnly || this.destroyed || !this.audio) return;
+
+        try {
+            this.audioStream = await this.openMicrophone();
+
+            // An unplugged headset ends the track; fall back to another microphone
+            this.audioStream.getAudioTracks().forEach(track => {
+                track.addEventListener('ended', () => this.handleDeviceChange());
+            });
+
+            // Device labels are only readable once microphone access is granted
+            this.refreshDevices();
+
+            // Create audio context without forcing sample rate
+            this.ensureAudioContext();
+
+            console.log(`Audio context sample rate: ${this.audioContext.sampleRate}Hz`);
+
+            this.emit('microphone_changed', { available: true, error: null });
+
+            if (this.voxEnabled) {
+                this.startVoxMonitor();
+            }
+
+            console.log('Microphone access granted');
+        } catch (error) {
+            console.error('Microphone access denied:', error);
+            this.emit('microphone_changed', { available: false, error: error.message || String(error) });
+        }
+    }
+
+    async startTalking() {
+        if (!this.audioStream || this.isRecording || this.isStartingTalk || this.isSendingRecording) return;
+
+        // While disconnected, record into the outbox and send it once we're back
+        const offline = !this.isConnected;
+        if (offline && !this.canRecordToOutbox()) return;
+
+        this.isStartingTalk = true;
+        this.stopRequested = false;
+
+        // The input meter follows the transmission from here
+        this.setMicCheck(false);
+
+        if (offline) {
+            this.outboxRecording = {
+                channel: this.channel,
+                recordedAt: Date.now(),
+                sampleRate: null,
+                duration: 0,
+                chunks: []
+            };
+        }
+
+        // The outbox stores PCM, so offline recordings always go through the capture graph
+        const useRecorder = !offline && this.usesMediaRecorder();
+
+        try {
+            if (useRecorder) {
+                await this.resumeAudioContext();
+                this.setupMediaRecorder();
+            } else {
+                await this.setupCapture();
+            }
+
+            if (offline) {
+                this.outboxRecording.sampleRate = this.captureSampleRate;
+            } else if (!useRecorder && this.wireFormat === 'opus') {
+                // Encode with Opus when the channel negotiated it; a failed setup leaves pcm16 in place
+                await this.setupOpusEncoder();
+            }
+
+            this.isRecording = true;
+            this.isSpeaking = true;
+            this.audioSequence = 0;
+
+            if (!offline) {
+                this.ws.send(JSON.stringify({
+                    type: 'push_to_talk_start',
+                    channel: this.channel,
+                    clientId: this.clientId
+                }));
+
+                // The server doesn't echo user_speaking back to us
+                this.updateRosterMember(this.memberId, { speaking: true, last_active: Date.now() });
+            }
+
+            // Worklet frames and recorder chunks only start flowing once the transmission has been announced
+            if (this.audioProcessor) {
+                this.audioProcessor.port.postMessage({ type: 'start' });
+            }
+            if (this.mediaRecorder) {
+                this.mediaRecorder.start(WalkieTalkie.MEDIA_RECORDER_TIMESLICE);
+            }
+
+            this.startTransmitTimer();
+            this.emit('talking', { talking: true, channel: this.channel, offline });
+
+            if (useRecorder) {
+                console.log(`Started audio streaming (encoded, ${this.mediaRecorder.mimeType || 'default type'}, mediarecorder)`);
+            } else {
+                console.log(`Started audio ${offline ? 'recording to outbox' : 'streaming'} (${this.opusEncoder ? 'opus' : 'pcm16'}, ${this.captureMode})`);
+            }
+        } catch (error) {
+            console.error('Failed to start streaming:', error);
+            this.outboxRecording = null;
+            this.mediaRecorder = null;
+            this.releaseRecorderInput();
+        } finally {
+            this.isStartingTalk = false;
+        }
+
+        // A device change arrived while the transmission was being set up
+        if (this.microphoneRestartPending && !this.stopRequested) {
+            this.restartMicrophone();
+        }
+
+        // The button was released before setup finished
+        if (this.stopRequested) {
+            this.stopRequested = false;
+            this.stopTalking();
+        }
+    }
+
+    async setupCapture() {
+        // Prefer the AudioWorklet; ScriptProcessorNode is only a fallback for browsers without it
+        if (!this.audioWorkletFailed && typeof globalThis.AudioWorkletNode !== 'undefined') {
+            try {
+                await this.setupWebAudioStreaming();
+                this.captureMode = 'worklet';
+                this.captureSampleRate = this.getWireSampleRate();
+                return;
+            } catch (error) {
+                console.warn('AudioWorklet capture unavailable, falling back to ScriptProcessorNode:', error);
+                this.audioWorkletFailed = true;
+                await this.teardownCapture();
+            }
+        }
+
+        await this.setupSimplePCMStreaming();
+        this.captureMode = 'script-processor';
+        this.captureSampleRate = this.captureResampler ? this.captureResampler.outputRate : this.audioContext.sampleRate;
+    }
+
+    getWireSampleRate() {
+        // 0 means "send at whatever rate the browser captures at"
+        const rate = this.wireSampleRate === null ? WalkieTalkie.DEFAULT_WIRE_SAMPLE_RATE : this.wireSampleRate;
+        return rate > 0 ? rate : this.audioContext.sampleRate;
+    }
+
+    handleCapturedSamples(samples) {
+        if (this.opusEncoder) {
+            this.encodeOpusAudio(samples);
+            return;
+        }
+
+        // Simple, direct PCM16 conversion - no processing
+        const pcm16 = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            pcm16[i] = sample * 32767;
+        }
+
+        this.sendSimplePCM(pcm16);
+    }
+
+    async setupSimplePCMStreaming() {
+        // Create audio context with default settings
+        this.ensureAudioContext();
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        // Create source from microphone stream
+        this.microphoneSource = this.audioContext.createMediaStreamSource(this.audioStream);
+
+        // Resample on the main thread here; the worklet path does this off-thread
+        const wireRate = this.getWireSampleRate();
+        this.captureResampler = null;
+        if (wireRate !== this.audioContext.sampleRate && typeof globalThis.SincResampler !== 'undefined') {
+            this.captureResampler = new globalThis.SincResampler(this.audioContext.sampleRate, wireRate);
+        }
+
+        // Create script processor with larger buffer to reduce overhead
+        this.scriptProcessor = this.audioContext.createScriptProcessor(4096, 1, 1);
+
+        this.scriptProcessor.onaudioprocess = (event) => {
+            if (!this.isRecording) return;
+
+            const inputBuffer = event.inputBuffer;
+            const audioData = inputBuffer.getChannelData(0);
+
+            if (!audioData || audioData.length === 0) return;
+
+            this.handleCapturedSamples(this.captureResampler ? this.captureResampler.process(audioData) : audioData);
+        };
+
+        // Connect audio nodes - ScriptProcessorNode needs to be connected to destination to work
+        this.captureChain = this.createProcessingChain(this.microphoneSource);
+        const captureOutput = this.captureChain ? this.captureChain.output : this.microphoneSource;
+        captureOutput.connect(this.scriptProcessor);
+        this.connectInputMeter(captureOutput);
+
+        // Create a gain node set to 0 to avoid feedback but keep the processing chain active
+        this.muteGain = this.audioContext.createGain();
+        this.muteGain.gain.value = 0; // Mute the output
+
+        this.scriptProcessor.connect(this.muteGain);
+        this.muteGain.connect(this.audioContext.destination);
+    }
+
+    sendSimplePCM(pcm16Data) {
+        try {
+            const sampleRate = this.captureSampleRate || this.audioContext.sampleRate;
+            this.sendAudioPayload(
+                new Uint8Array(pcm16Data.buffer),
+                'pcm16',
+                sampleRate,
+                pcm16Data.length / sampleRate * 1000
+            );
+        } catch (error) {
+            console.error('Failed to send simple PCM:', error);
+        }
+    }
+
+    sendAudioPayload(bytes, format, sampleRate, duration, channel = this.channel) {
+        // Offline recordings are kept until they can be sent
+        if (this.outboxRecording) {
+            this.outboxRecording.chunks.push({ bytes, duration });
+            this.outboxRecording.duration += duration;
+            return;
+        }
+
+        if (!this.isSocketOpen()) return;
+
+        const sequence = this.audioSequence++;
+
+        if (this.binaryFramesEnabled) {
+            this.ws.send(this.encodeAudioFrame({
+                format,
+                sampleRate,
+                sequence,
+                clientHash: this.hashClientId(this.clientId),
+                duration,
+                channel,
+                payload: bytes
+            }));
+            return;
+        }
+
+        this.ws.send(JSON.stringify({
+            type: 'audio_data',
+            channel: channel,
+            data: this.bytesToBase64(bytes),
+            format: format,
+            sampleRate: sampleRate,
+            channels: 1,
+            duration: duration, // ms
+            seq: sequence,
+            clientId: this.clientId,
+            excludeSender: true // Hint for server to not echo back
+        }));
+    }
+
+    // Binary Audio Frame Methods
+    //
+    // Layout (big-endian): magic "WT" (2), version (1), format (1), sample rate (4),
+    // sequence (4), clientId hash (4), duration in 0.1ms (2), channel length (1),
+    // channel name (UTF-8), payload. Must match src/AudioFrame.php.
+
+    encodeAudioFrame(frame) {
+        const channelBytes = new TextEncoder().encode(frame.channel).subarray(0, 255);
+        const headerSize = 19 + channelBytes.length;
+        const buffer = new ArrayBuffer(headerSize + frame.payload.length);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        bytes[0] = 0x57; // 'W'
+        bytes[1] = 0x54; // 'T'
+        view.setUint8(2, 1);
+        view.setUint8(3, WalkieTalkie.FRAME_FORMATS.indexOf(frame.format));
+        view.setUint32(4, frame.sampleRate);
+        view.setUint32(8, frame.sequence >>> 0);
+        view.setUint32(12, frame.clientHash >>> 0);
+        view.setUint16(16, Math.min(0xFFFF, Math.round(frame.duration * 10)));
+        view.setUint8(18, channelBytes.length);
+        bytes.set(channelBytes, 19);
+        bytes.set(frame.payload, headerSize);
+
+        return buffer;
+    }
+
+    decodeAudioFrame(buffer) {
+        if (buffer.byteLength < 19) return null;
+
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] !== 0x57 || bytes[1] !== 0x54 || view.getUint8(2) !== 1) return null;
+
+        const format = WalkieTalkie.FRAME_FORMATS[view.getUint8(3)];
+        const channelLength = view.getUint8(18);
+        if (!format || buffer.byteLength < 19 + channelLength) return null;
+
+        return {
+            format,
+            sampleRate: view.getUint32(4),
+            sequence: view.getUint32(8),
+            clientHash: view.getUint32(12),
+            duration: view.getUint16(16) / 10,
+            channel: new TextDecoder().decode(bytes.subarray(19, 19 + channelLength)),
+            payload: bytes.subarray(19 + channelLength)
+        };
+    }
+
+    handleAudioFrame(buffer) {
+        const frame = this.decodeAudioFrame(buffer);
+        if (!frame) {
+            console.warn('Ignoring malformed audio frame');
+            return;
+        }
+
+        const speakerKey = this.speakerHashes[frame.clientHash] || `client_${frame.clientHash}`;
+
+        if (!this.acceptChannelAudio(frame.channel || this.channel, speakerKey)) {
+            return;
+        }
+
+        this.emitAudioReceived({
+            channel: frame.channel || this.channel,
+            speakerKey,
+            format: frame.format,
+            sampleRate: frame.sampleRate,
+            mimeType: null,
+            sequence: frame.sequence,
+            payload: frame.payload
+        });
+
+        if (!this.audio) {
+            return;
+        }
+
+        if (frame.format === 'opus') {
+            this.receiveOpusPacket(frame.payload, frame.sampleRate, speakerKey, frame.sequence);
+        } else if (frame.format === 'pcm16') {
+            this.receivePCMBytes(frame.payload, frame.sampleRate, speakerKey, frame.sequence);
+        }
+    }
+
+    emitAudioReceived(audio) {
+        // Decoding base64 for every frame is wasted work when nobody listens
+        if (!this.eventListeners.audio_received && !this.eventListeners['*']) return;
+
+        this.emit('audio_received', {
+            channel: audio.channel,
+            screen_name: this.speakerNames[audio.speakerKey] || null,
+            speaker: audio.speakerKey,
+            format: audio.format,
+            sample_rate: audio.sampleRate,
+            mime_type: audio.mimeType,
+            sequence: audio.sequence !== undefined ? audio.sequence : null,
+            data: audio.payload || this.base64ToBytes(audio.data)
+        });
+    }
+
+    hashClientId(clientId) {
+        // 32-bit FNV-1a, matching hash('fnv1a32') on the server
+        const bytes = new TextEncoder().encode(clientId);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Quick Action Methods
+    //
+    // Shortcuts for front-ends: step through channels and replay the last message.
+
+    stepChannel(direction) {
+        if (!this.isConnected) return;
+
+        // Named channels step through the directory; numbered ones wrap around the 1-999 range
+        const named = (this.channelDirectory || []).map(channel => channel.slug);
+        const index = named.indexOf(this.channel);
+
+        if (index !== -1) {
+            this.switchChannel(named[(index + direction + named.length) % named.length]);
+            return;
+        }
+
+        const current = parseInt(this.channel);
+        if (isNaN(current)) return;
+
+        this.switchChannel(String(((current - 1 + direction + 999) % 999) + 1));
+    }
+
+    replayLastMessage() {
+        if (this.messageHistory.length === 0) {
+            this.notify('No messages to replay', 'info', 2000);
+            return;
+        }
+
+        // History is ordered oldest first
+        this.playHistoryMessage(this.messageHistory.length - 1);
+    }
+
+    // Command Methods
+    //
+    // Promise-based versions of the everyday actions, for scripts and bots. Each one
+    // settles once the server has answered, and rejects with an Error carrying a `code`.
+
+    static error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    waitForEvent(event, match, failure = null, timeout = WalkieTalkie.COMMAND_TIMEOUT) {
+        // failure(event, data) returns an Error to reject with, or null to keep waiting
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const unsubscribers = [];
+            const finish = (settle, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                settle(value);
+            };
+            const timer = setTimeout(() => {
+                finish(reject, WalkieTalkie.error('timeout', `The server didn't answer in time (waiting for ${event})`));
+            }, timeout);
+
+            unsubscribers.push(this.on(event, (data) => {
+                if (match(data)) finish(resolve, data);
+            }));
+            unsubscribers.push(this.on('*', (name, data) => {
+                const error = name === 'disconnected'
+                    ? WalkieTalkie.error('not_connected', 'Disconnected from the server')
+                    : failure && failure(name, data);
+                if (error) finish(reject, error);
+            }));
+        });
+    }
+
+    async join(channel) {
+        if (!this.isConnected) {
+            throw WalkieTalkie.error('not_connected', 'Not connected to the server');
+        }
+
+        const target = this.resolveChannel(channel);
+        if (!target) {
+            throw WalkieTalkie.error('invalid_channel', 'Unknown channel. Use a channel number between 1 and 999 or a channel from the directory.');
+        }
+
+        // Right after connecting, the talk channel is joined as soon as the server knows who we are
+        if (target !== this.channel || !this.joinedChannels.has(target)) {
+            const joined = this.waitForEvent(
+                'channel_joined',
+                data => data.channel === target && !data.scanned,
+                (event, data) => event === 'error' && data.code === 'unknown_channel' && data.channel === target
+                    ? WalkieTalkie.error('unknown_channel', data.message)
+                    : null
+            );
+            if (target !== this.channel) {
+                this.switchChannel(target);
+            }
+            await joined;
+        }
+
+        return { channel: this.channel, name: this.getChannelName(this.channel), participants: this.participants };
+    }
+
+    async talk(audio, options = {}) {
+        // Sends a finished clip as one transmission on the talk channel, like an outbox item
+        const { samples, sampleRate } = await this.decodeClip(audio, options);
+
+        // Checked after decoding, which takes a while for long clips
+        this.checkCanTalk();
+
+        const serverMax = this.getServerTransmitLimit();
+        if (serverMax && samples.length / sampleRate > serverMax) {
+            throw WalkieTalkie.error('too_long', `Transmissions are limited to ${serverMax} seconds`);
+        }
+
+        const { chunks, rate, duration } = this.createClipChunks(samples, sampleRate);
+        if (chunks.length === 0) {
+            throw WalkieTalkie.error('invalid_audio', 'The clip is empty');
+        }
+
+        const channel = this.channel;
+        this.emit('talking', { talking: true, channel, offline: false });
+        try {
+            await this.sendRecording(channel, chunks, rate);
+        } finally {
+            this.emit('talking', { talking: false, channel });
+
+            // Pending items may have waited for the clip
+            if (this.outbox.length > 0) {
+                this.flushOutbox();
+            }
+        }
+
+        return { channel, duration };
+    }
+
+    checkCanTalk() {
+        // Throws the reason a transmission can't start right now
+        if (!this.isConnected || !this.isSocketOpen()) {
+            throw WalkieTalkie.error('not_connected', 'Not connected to the server');
+        }
+        if (this.isRecording || this.isStartingTalk || this.isSendingRecording) {
+            throw WalkieTalkie.error('busy', 'Already transmitting');
+        }
+        if (this.isChannelBusy()) {
+            throw WalkieTalkie.error('channel_busy', 'Someone else is talking on this channel');
+        }
+    }
+
+    async decodeClip(audio, options) {
+        // Raw samples need their rate; anything else is an audio file for the AudioContext to decode
+        if (audio instanceof Float32Array || audio instanceof Int16Array) {
+            if (!options.sampleRate) {
+                throw WalkieTalkie.error('invalid_audio', 'sampleRate is required for raw samples');
+            }
+
+            const samples = audio instanceof Float32Array ? audio : Float32Array.from(audio, sample => sample / 32768);
+            return { samples, sampleRate: options.sampleRate };
+        }
+
+        let buffer = audio;
+        if (!audio || typeof audio.getChannelData !== 'function') {
+            if (!this.ensureAudioContext()) {
+                throw WalkieTalkie.error('audio_unavailable', 'Decoding audio files needs an audio adapter; pass raw samples instead');
+            }
+
+            let bytes;
+            if (audio && typeof audio.arrayBuffer === 'function') {
+                bytes = await audio.arrayBuffer();
+            } else if (audio instanceof ArrayBuffer) {
+                bytes = audio.slice(0); // decodeAudioData detaches the buffer it is given
+            } else if (ArrayBuffer.isView(audio)) {
+                bytes = audio.buffer.slice(audio.byteOffset, audio.byteOffset + audio.byteLength);
+            } else {
+                throw WalkieTalkie.error('invalid_audio', 'Pass a Blob, an ArrayBuffer, an AudioBuffer or raw samples');
+            }
+
+            try {
+                buffer = await this.audioContext.decodeAudioData(bytes);
+            } catch (error) {
+                throw WalkieTalkie.error('invalid_audio', `Could not decode the audio: ${error.message || error}`);
+            }
+        }
+
+        // Mix down to mono
+        const samples = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        return { samples, sampleRate: buffer.sampleRate };
+    }
+
+    getClipSampleRate(sampleRate) {
+        // The wire rate (0 sends at the clip's own rate), if the resampler is loaded to get there
+        const configured = this.wireSampleRate === null ? WalkieTalkie.DEFAULT_WIRE_SAMPLE_RATE : this.wireSampleRate;
+        if (configured <= 0 || typeof globalThis.SincResampler === 'undefined') {
+            return sampleRate;
+        }
+        return configured;
+    }
+
+    createClipChunks(samples, sampleRate) {
+        // Resample to the wire rate, then frame like live capture
+        const rate = this.getClipSampleRate(sampleRate);
+        let output = samples;
+
+        if (rate !== sampleRate) {
+            const resampler = new globalThis.SincResampler(sampleRate, rate);
+            const parts = [];
+            for (let i = 0; i < samples.length; i += 4096) {
+                parts.push(resampler.process(samples.subarray(i, i + 4096)));
+            }
+            parts.push(resampler.flush());
+
+            output = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+            let offset = 0;
+            parts.forEach(part => {
+                output.set(part, offset);
+                offset += part.length;
+            });
+        }
+
+        const frameSize = Math.round(rate * WalkieTalkie.CAPTURE_FRAME_MS / 1000);
+        const chunks = [];
+        for (let i = 0; i < output.length; i += frameSize) {
+            const frame = output.subarray(i, i + frameSize);
+            const pcm16 = new Int16Array(frame.length);
+            for (let j = 0; j < frame.length; j++) {
+                pcm16[j] = Math.max(-1, Math.min(1, frame[j])) * 32767;
+            }
+            chunks.push({ bytes: new Uint8Array(pcm16.buffer), duration: frame.length / rate * 1000 });
+        }
+
+        return { chunks, rate, duration: output.length / rate * 1000 };
+    }
+
+    async placeCall(memberId) {
+        // Resolves once the other side answers
+        if (!this.isConnected) {
+            throw WalkieTalkie.error('not_connected', 'Not connected to the server');
+        }
+        if (this.call) {
+            throw WalkieTalkie.error('busy', 'Already in a call');
+        }
+
+        const started = this.waitForEvent(
+            'call_started',
+            () => true,
+            (event, data) => {
+                if (event === 'call_ended') {
+                    return WalkieTalkie.error(data.reason || 'call_ended', 'The call was not answered');
+                }
+                if (event === 'error' && data.code === 'call_failed') {
+                    return WalkieTalkie.error('call_failed', data.message);
+                }
+                return null;
+            },
+            WalkieTalkie.CALL_RING_TIMEOUT + WalkieTalkie.COMMAND_TIMEOUT
+        );
+        this.startCall(memberId);
+        return started;
+    }
+
+    // PTT Mode and Transmit Time-out Methods
+
+    pttPress() {
+        if (this.isSendingRecording) {
+            this.notify('Wait until the transmission being sent has finished', 'info', 2000);
+            return;
+        }
+
+        if (this.pttLatching) {
+            // One tap keys up, the next one releases
+            if (this.isRecording || this.isStartingTalk) {
+                this.stopTalking();
+            } else {
+                this.startTalking();
+            }
+            return;
+        }
+
+        this.pttHeld = true;
+        this.startTalking();
+    }
+
+    pttRelease() {
+        // mouseleave fires even when the button was never pressed; only end what the button started
+        if (this.pttLatching || !this.pttHeld) return;
+
+        this.pttHeld = false;
+        this.stopTalking();
+    }
+
+    loadPttSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('ptt_settings') || 'null');
+            if (saved) {
+                this.pttLatching = saved.latching === true;
+                this.transmitTimeout = parseInt(saved.timeout) || 0;
+            }
+        } catch (error) {
+            console.warn('Failed to load PTT settings:', error);
+        }
+    }
+
+    savePttSettings() {
+        this.storage.local.setItem('ptt_settings', JSON.stringify({
+            latching: this.pttLatching,
+            timeout: this.transmitTimeout
+        }));
+    }
+
+    setPttLatching(latching) {
+        this.pttLatching = latching;
+        this.savePttSettings();
+        this.emit('ptt_changed', { latching: this.pttLatching, timeout: this.transmitTimeout });
+    }
+
+    setTransmitTimeout(seconds) {
+        // 0 leaves only the server's limit; longer than the server allows isn't possible
+        const serverMax = this.getServerTransmitLimit();
+        this.transmitTimeout = serverMax && seconds > serverMax ? 0 : seconds;
+        this.savePttSettings();
+        this.emit('ptt_changed', { latching: this.pttLatching, timeout: this.transmitTimeout });
+    }
+
+    getServerTransmitLimit() {
+        return (this.config && this.config.maxTransmitSeconds) || 0;
+    }
+
+    getTransmitTimeout() {
+        const serverMax = this.getServerTransmitLimit();
+        if (serverMax && this.transmitTimeout) {
+            return Math.min(serverMax, this.transmitTimeout);
+        }
+        return serverMax || this.transmitTimeout;
+    }
+
+    startTransmitTimer() {
+        this.clearTransmitTimer();
+
+        const timeout = this.getTransmitTimeout();
+        if (!timeout) return;
+
+        this.transmitDeadline = Date.now() + timeout * 1000;
+        this.updateTransmitCountdown();
+        this.transmitTimer = setInterval(() => this.updateTransmitCountdown(), 250);
+    }
+
+    updateTransmitCountdown() {
+        const remaining = Math.max(0, Math.ceil((this.transmitDeadline - Date.now()) / 1000));
+        this.emit('transmit_timer', { remaining });
+
+        if (remaining > 0) return;
+
+        console.log('Transmit time-out reached');
+        this.notify('Transmit time-out reached', 'warning', 3000);
+
+        if (this.voxKeyed) {
+            this.releaseVox();
+        } else {
+            this.stopTalking();
+        }
+    }
+
+    clearTransmitTimer() {
+        if (this.transmitTimer) {
+            clearInterval(this.transmitTimer);
+            this.transmitTimer = null;
+            this.emit('transmit_timer', { remaining: null });
+        }
+    }
+
+    // VOX (Voice-Operated Transmit) Methods
+    //
+    // A level monitor runs on the microphone while VOX is on. Speech above the
+    // threshold for the attack time keys up through startTalking(); silence for
+    // the hang time releases through stopTalking(). The monitor ignores the mic
+    // while our own speaker output is playing, so received audio can't key us up.
+
+    disableVox() {
+        // Server-side switch; the saved preference is kept for when it comes back
+        this.voxEnabled = false;
+        this.voxAvailable = false;
+        this.stopVoxMonitor();
+        this.voxChanged();
+    }
+
+    loadVoxSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('vox_settings') || 'null');
+            if (saved) {
+                this.voxEnabled = saved.enabled === true;
+                ['threshold', 'attackMs', 'hangMs'].forEach(key => {
+                    if (typeof saved[key] === 'number') this.voxSettings[key] = saved[key];
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load VOX settings:', error);
+        }
+    }
+
+    saveVoxSettings() {
+        this.storage.local.setItem('vox_settings', JSON.stringify({
+            enabled: this.voxEnabled,
+            ...this.voxSettings
+        }));
+    }
+
+    setVoxSettings(settings) {
+        // Any of threshold (dBFS), attackMs and hangMs
+        ['threshold', 'attackMs', 'hangMs'].forEach(key => {
+            if (typeof settings[key] === 'number' && !isNaN(settings[key])) this.voxSettings[key] = settings[key];
+        });
+        this.saveVoxSettings();
+        this.voxChanged();
+    }
+
+    voxChanged() {
+        this.emit('vox_changed', { enabled: this.voxEnabled, available: this.voxAvailable, settings: { ...this.voxSettings } });
+    }
+
+    setVoxEnabled(enabled) {
+        if (!this.voxAvailable) return;
+
+        this.voxEnabled = enabled;
+        this.saveVoxSettings();
+
+        if (enabled) {
+            this.startVoxMonitor();
+        } else {
+            this.stopVoxMonitor();
+
+            // Don't leave a VOX transmission hanging open
+            if (this.voxKeyed) {
+                this.releaseVox();
+            }
+        }
+
+        this.voxChanged();
+        console.log('VOX', enabled ? 'enabled' : 'disabled');
+    }
+
+    async startVoxMonitor() {
+        if (this.voxTimer || !this.audioStream) return;
+
+        this.ensureAudioContext();
+
+        // Restored settings arrive without a user gesture; resume on the first interaction
+        if (this.audioContext.state === 'suspended') {
+            try {
+                await this.audioContext.resume();
+            } catch (error) {
+                // Ignored; the front-end retries
+            }
+            if (this.audioContext.state === 'suspended') {
+                this.emit('audio_suspended');
+            }
+        }
+
+        this.voxSource = this.audioContext.createMediaStreamSource(this.audioStream);
+        this.voxAnalyser = this.audioContext.createAnalyser();
+        this.voxAnalyser.fftSize = 1024;
+        this.voxSource.connect(this.voxAnalyser);
+        this.voxSamples = new Float32Array(this.voxAnalyser.fftSize);
+
+        this.voxAboveSince = null;
+        this.voxBelowSince = null;
+        this.voxTimer = setInterval(() => this.updateVox(), WalkieTalkie.VOX_POLL_INTERVAL);
+    }
+
+    stopVoxMonitor() {
+        if (this.voxTimer) {
+            clearInterval(this.voxTimer);
+            this.voxTimer = null;
+        }
+
+        if (this.voxSource) {
+            this.voxSource.disconnect();
+            this.voxSource = null;
+        }
+
+        this.voxAnalyser = null;
+        this.emit('vox_level', { level: null, suppressed: false });
+    }
+
+    measureVoxLevel() {
+        this.voxAnalyser.getFloatTimeDomainData(this.voxSamples);
+
+        let sum = 0;
+        for (let i = 0; i < this.voxSamples.length; i++) {
+            sum += this.voxSamples[i] * this.voxSamples[i];
+        }
+
+        const rms = Math.sqrt(sum / this.voxSamples.length);
+        return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+    }
+
+    updateVox() {
+        if (!this.voxAnalyser) return;
+
+        const level = this.measureVoxLevel();
+        const suppressed = this.isVoxSuppressed();
+        this.emit('vox_level', { level, suppressed });
+
+        // Wait for a key-up in progress, and leave manual PTT transmissions alone
+        if (this.voxPending || (this.isRecording && !this.voxKeyed)) {
+            this.voxAboveSince = null;
+            this.voxBelowSince = null;
+            return;
+        }
+
+        const now = Date.now();
+        const above = level >= this.voxSettings.threshold;
+
+        if (!this.voxKeyed) {
+            if (!above || suppressed) {
+                this.voxAboveSince = null;
+                return;
+            }
+
+            if (this.voxAboveSince === null) {
+                this.voxAboveSince = now;
+            }
+
+            if (now - this.voxAboveSince >= this.voxSettings.attackMs && this.canVoxKey()) {
+                this.keyVox();
+            }
+            return;
+        }
+
+        if (above) {
+            this.voxBelowSince = null;
+            return;
+        }
+
+        if (this.voxBelowSince === null) {
+            this.voxBelowSince = now;
+        }
+
+        if (now - this.voxBelowSince >= this.voxSettings.hangMs) {
+            this.releaseVox();
+        }
+    }
+
+    isVoxSuppressed() {
+        // Anything we're playing (live audio, history, beeps) may leak into the mic
+        if (this.isPlayingHistory || this.clipSources.size > 0) {
+            return true;
+        }
+
+        return this.audioContext.currentTime < this.playbackBusyUntil + WalkieTalkie.VOX_PLAYBACK_GUARD;
+    }
+
+    canVoxKey() {
+        if (!this.isConnected || !this.audioStream || this.isRecording) {
+            return false;
+        }
+
+        if (Date.now() < this.voxBlockedUntil) {
+            return false;
+        }
+
+        return !this.isChannelBusy();
+    }
+
+    isChannelBusy() {
+        // Forget speakers that went quiet without an end message (e.g. they disconnected)
+        const now = Date.now();
+        this.remoteSpeakers.forEach((lastSeen, key) => {
+            if (now - lastSeen > WalkieTalkie.VOX_REMOTE_SPEAKER_TIMEOUT) {
+                this.remoteSpeakers.delete(key);
+            }
+        });
+
+        const lockout = !this.config || this.config.pttLockoutEnabled !== false;
+        return lockout && this.remoteSpeakers.size > 0;
+    }
+
+    async keyVox() {
+        this.voxPending = true;
+        this.voxKeyed = true;
+        this.voxBelowSince = null;
+
+        try {
+            await this.startTalking();
+        } finally {
+            this.voxPending = false;
+        }
+
+        if (!this.isRecording) {
+            this.voxKeyed = false;
+        }
+    }
+
+    releaseVox() {
+        this.voxKeyed = false;
+        this.voxAboveSince = null;
+        this.voxBelowSince = null;
+        this.stopTalking();
+    }
+
+    markPlayback(endTime) {
+        // Front-ends start their output meter when playback begins
+        const idle = this.playbackBusyUntil <= this.audioContext.currentTime;
+        this.playbackBusyUntil = Math.max(this.playbackBusyUntil, endTime);
+        if (idle) {
+            this.emit('playback_started', { until: this.playbackBusyUntil });
+        }
+    }
+
+    // Voice Processing Methods
+    //
+    // Outgoing audio runs through an AudioProcessingChain (audio-chain.js) before it is
+    // encoded. Each capture path, the MediaRecorder and the preview get a chain of their
+    // own; settings changes are applied to all of them while they run.
+
+    loadProcessingSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('processing_settings') || 'null');
+            if (saved) {
+                Object.keys(saved).forEach(key => {
+                    if (typeof saved[key] === 'boolean' || typeof saved[key] === 'number') {
+                        this.processingSettings[key] = saved[key];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load processing settings:', error);
+        }
+    }
+
+    saveProcessingSettings() {
+        this.storage.local.setItem('processing_settings', JSON.stringify(this.processingSettings));
+    }
+
+    getProcessingSettings() {
+        return { ...this.processingSettings };
+    }
+
+    updateProcessingSettings(changes) {
+        const constraintsChanged = WalkieTalkie.MICROPHONE_CONSTRAINTS.some(key =>
+            key in changes && changes[key] !== this.processingSettings[key]
+        );
+
+        Object.assign(this.processingSettings, changes);
+        this.saveProcessingSettings();
+        this.processingChains.forEach(chain => chain.update(this.processingSettings));
+
+        // The browser applies its own processing when the microphone is opened
+        if (constraintsChanged && this.audioStream) {
+            this.restartMicrophone();
+        }
+
+        this.emit('processing_changed', this.getProcessingSettings());
+    }
+
+    getMicrophoneConstraints() {
+        const constraints = {};
+        WalkieTalkie.MICROPHONE_CONSTRAINTS.forEach(key => {
+            constraints[key] = this.processingSettings[key] !== false;
+        });
+
+        const deviceId = this.getActiveDeviceId('audioinput');
+        if (deviceId) {
+            constraints.deviceId = { exact: deviceId };
+        }
+        return constraints;
+    }
+
+    async restartMicrophone() {
+        // Wait while a transmission is being set up, and when the recorder reads the stream directly
+        if (this.isStartingTalk || (this.mediaRecorder && !this.recorderInput)) {
+            this.microphoneRestartPending = true;
+            return;
+        }
+        this.microphoneRestartPending = false;
+
+        const oldStream = this.audioStream;
+        const previewing = !!this.processingPreview;
+        const checking = !!this.micCheck;
+        this.setProcessingPreview(false);
+        this.setMicCheck(false);
+        this.stopVoxMonitor();
+
+        await this.requestMicrophoneAccess();
+
+        if (oldStream && this.audioStream !== oldStream) {
+            // A transmission in progress carries on with the new microphone
+            this.reconnectCaptureSources();
+            oldStream.getTracks().forEach(track => track.stop());
+        }
+
+        if (previewing) {
+            this.setProcessingPreview(true);
+        }
+        if (checking) {
+            this.setMicCheck(true);
+        }
+    }
+
+    reconnectCaptureSources() {
+        if (this.microphoneSource) {
+            const source = this.audioContext.createMediaStreamSource(this.audioStream);
+            if (this.captureChain) {
+                source.connect(this.captureChain.input);
+            } else {
+                source.connect(this.audioProcessor || this.scriptProcessor);
+                this.connectInputMeter(source);
+            }
+            this.microphoneSource.disconnect();
+            this.microphoneSource = source;
+        }
+
+        if (this.recorderInput) {
+            const source = this.audioContext.createMediaStreamSource(this.audioStream);
+            source.connect(this.recorderInput.chain.input);
+            this.recorderInput.source.disconnect();
+            this.recorderInput.source = source;
+        }
+    }
+
+    createProcessingChain(source) {
+        // Without audio-chain.js (e.g. an outdated embed page) the microphone goes straight to the encoder
+        if (typeof globalThis.AudioProcessingChain === 'undefined') {
+            return null;
+        }
+
+        const chain = new globalThis.AudioProcessingChain(this.audioContext, this.processingSettings);
+        source.connect(chain.input);
+        this.processingChains.add(chain);
+        return chain;
+    }
+
+    releaseProcessingChain(chain) {
+        if (!chain) return;
+
+        this.processingChains.delete(chain);
+        chain.dispose();
+    }
+
+    async setProcessingPreview(enabled) {
+        if (!enabled) {
+            if (this.processingPreview) {
+                const { source, chain } = this.processingPreview;
+                this.processingPreview = null;
+                source.disconnect();
+                this.releaseProcessingChain(chain);
+                this.emit('preview_changed', { enabled: false });
+            }
+            return;
+        }
+
+        if (this.processingPreview || !this.audioStream) return;
+
+        try {
+            await this.resumeAudioContext();
+
+            // Played through the master volume so it can be turned down like everything else
+            const source = this.audioContext.createMediaStreamSource(this.audioStream);
+            const chain = this.createProcessingChain(source);
+            (chain ? chain.output : source).connect(this.getOutputNode());
+            this.processingPreview = { source, chain };
+        } catch (error) {
+            console.error('Failed to start processing preview:', error);
+        }
+
+        this.emit('preview_changed', { enabled: !!this.processingPreview });
+    }
+
+    // Audio Device Methods
+    //
+    // The chosen microphone and speaker are remembered per browser by deviceId. While a
+    // chosen device is unplugged the system default is used, and the choice is picked up
+    // again when it comes back (devicechange).
+
+    setupDeviceListeners() {
+        if (!this.audio || !this.audio.onDeviceChange) return;
+
+        this.cleanups.push(this.audio.onDeviceChange(() => this.handleDeviceChange()));
+    }
+
+    loadDeviceSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('audio_devices') || 'null');
+            if (saved) {
+                ['input', 'output'].forEach(key => {
+                    if (saved[key] && typeof saved[key].id === 'string') {
+                        this.deviceSettings[key] = { id: saved[key].id, label: saved[key].label || '' };
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load audio device settings:', error);
+        }
+    }
+
+    saveDeviceSettings() {
+        this.storage.local.setItem('audio_devices', JSON.stringify(this.deviceSettings));
+    }
+
+    canSelectOutputDevice() {
+        return !!this.audio && !!this.audio.canSelectOutput && this.audio.canSelectOutput();
+    }
+
+    async refreshDevices() {
+        if (!this.audio || !this.audio.enumerateDevices) return;
+
+        try {
+            const devices = await this.audio.enumerateDevices();
+            ['audioinput', 'audiooutput'].forEach(kind => {
+                // Without permission the browser lists one anonymous device per kind
+                this.availableDevices[kind] = devices.filter(device => device.kind === kind && device.deviceId);
+            });
+        } catch (error) {
+            console.warn('Failed to list audio devices:', error);
+            return;
+        }
+
+        this.emit('devices_changed', this.getDevices());
+    }
+
+    getDevices() {
+        const describe = (kind, key) => ({
+            devices: this.availableDevices[kind].map(device => ({ id: device.deviceId, label: device.label })),
+            selected: this.deviceSettings[key] ? this.deviceSettings[key].id : null,
+            active: this.getActiveDeviceId(kind) || null
+        });
+
+        return {
+            input: describe('audioinput', 'input'),
+            output: describe('audiooutput', 'output')
+        };
+    }
+
+    getActiveDeviceId(kind) {
+        // The chosen device, unless the browser has told us it's gone ('' means the system default)
+        const chosen = this.deviceSettings[kind === 'audioinput' ? 'input' : 'output'];
+        if (!chosen) return '';
+
+        const known = this.availableDevices[kind];
+        if (known.length > 0 && !known.some(device => device.deviceId === chosen.id)) {
+            return '';
+        }
+        return chosen.id;
+    }
+
+    async openMicrophone() {
+        const constraints = this.getMicrophoneConstraints();
+
+        try {
+            return await this.audio.getUserMedia({ audio: constraints });
+        } catch (error) {
+            // The chosen microphone went away before we noticed; use the default for now
+            if (!constraints.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+                throw error;
+            }
+
+            console.warn('Selected microphone unavailable, using the default:', error);
+            delete constraints.deviceId;
+            return this.audio.getUserMedia({ audio: constraints });
+        }
+    }
+
+    setInputDevice(deviceId) {
+        const device = this.availableDevices.audioinput.find(entry => entry.deviceId === deviceId);
+        this.deviceSettings.input = deviceId ? { id: deviceId, label: device ? device.label : '' } : null;
+        this.saveDeviceSettings();
+        this.emit('devices_changed', this.getDevices());
+
+        if (this.audioStream) {
+            this.restartMicrophone();
+        }
+    }
+
+    setOutputDevice(deviceId) {
+        const device = this.availableDevices.audiooutput.find(entry => entry.deviceId === deviceId);
+        this.deviceSettings.output = deviceId ? { id: deviceId, label: device ? device.label : '' } : null;
+        this.saveDeviceSettings();
+        this.emit('devices_changed', this.getDevices());
+
+        return this.applyOutputDevice();
+    }
+
+    async applyOutputDevice() {
+        if (!this.audioContext) return; // Applied when getOutputNode() creates the master gain
+
+        const sinkId = this.getActiveDeviceId('audiooutput');
+
+        try {
+            if (typeof this.audioContext.setSinkId === 'function') {
+                if (this.audioContext.sinkId !== sinkId) {
+                    await this.audioContext.setSinkId(sinkId);
+                }
+                return;
+            }
+
+            if (!this.canSelectOutputDevice()) return;
+
+            // Fallback: play the mix through an <audio> element, which can choose its device
+            if (!this.outputElement) {
+                if (!sinkId) return;
+
+                this.outputElement = this.audio.createMediaElement();
+                if (this.masterGain && this.masterGain.context === this.audioContext) {
+                    this.masterGain.disconnect(this.audioContext.destination);
+                    this.masterGain.connect(this.getOutputDestination());
+                }
+            }
+
+            if (this.outputElement.sinkId !== sinkId) {
+                await this.outputElement.setSinkId(sinkId);
+            }
+        } catch (error) {
+            console.warn('Failed to switch the output device:', error);
+            this.notify('Could not switch to the selected speaker', 'warning', 3000);
+        }
+    }
+
+    getOutputDestination() {
+        if (!this.outputElement) {
+            return this.audioContext.destination;
+        }
+
+        if (!this.outputStreamNode || this.outputStreamNode.context !== this.audioContext) {
+            this.outputStreamNode = this.audioContext.createMediaStreamDestination();
+            this.outputElement.srcObject = this.outputStreamNode.stream;
+            this.outputElement.play().catch(error => {
+                console.error('Failed to start the output element:', error);
+            });
+        }
+        return this.outputStreamNode;
+    }
+
+    async handleDeviceChange() {
+        await this.refreshDevices();
+
+        // Follow the chosen microphone when it is plugged in or out, and replace an ended track
+        if (this.audioStream) {
+            const track = this.audioStream.getAudioTracks()[0];
+            const current = track && track.readyState === 'live' ? track.getSettings().deviceId : null;
+            const wanted = this.getActiveDeviceId('audioinput');
+
+            if (!current || (wanted && current !== wanted)) {
+                console.log('Microphone changed, reopening:', wanted || 'default');
+                this.restartMicrophone();
+            }
+        }
+
+        this.applyOutputDevice();
+    }
+
+    // Level Meter Methods
+    //
+    // The input meter shows the processed microphone signal (what is actually sent) while
+    // transmitting or during a mic check; the output meter shows the final mix after the
+    // master volume. Front-ends poll getLevels() while there is something to show.
+
+    getInputAnalyser() {
+        if (!this.inputAnalyser || this.inputAnalyser.context !== this.audioContext) {
+            this.inputAnalyser = this.audioContext.createAnalyser();
+            this.inputAnalyser.fftSize = WalkieTalkie.METER_FFT_SIZE;
+        }
+        return this.inputAnalyser;
+    }
+
+    connectInputMeter(node) {
+        // Disconnecting the node (capture teardown, chain disposal) detaches the meter again
+        node.connect(this.getInputAnalyser());
+    }
+
+    async setMicCheck(enabled) {
+        if (!enabled) {
+            if (this.micCheck) {
+                const { source, chain, timer } = this.micCheck;
+                this.micCheck = null;
+                clearTimeout(timer);
+                source.disconnect();
+                this.releaseProcessingChain(chain);
+                this.emit('mic_check', { enabled: false });
+            }
+            return;
+        }
+
+        if (this.micCheck || !this.audioStream || this.isRecording) return;
+
+        try {
+            await this.resumeAudioContext();
+
+            // Same processing as a transmission, but only into the meter
+            const source = this.audioContext.createMediaStreamSource(this.audioStream);
+            const chain = this.createProcessingChain(source);
+            const timer = setTimeout(() => this.setMicCheck(false), WalkieTalkie.MIC_CHECK_DURATION);
+            this.micCheck = { source, chain, timer };
+            this.connectInputMeter(chain ? chain.output : source);
+        } catch (error) {
+            console.error('Failed to start the mic check:', error);
+        }
+
+        this.emit('mic_check', { enabled: !!this.micCheck });
+    }
+
+    getLevels() {
+        // { level, peak, clipping } in dBFS per side, or null while there is nothing to measure
+        const floor = WalkieTalkie.METER_FLOOR_DB;
+        const measure = (active, analyser) => {
+            if (!active || !analyser) return null;
+            if (analyser.context !== this.audioContext) return { level: floor, peak: floor, clipping: false };
+            return this.measureLevel(analyser);
+        };
+
+        const inputActive = this.isRecording || !!this.micCheck;
+        const outputActive = !!this.audioContext && (
+            this.audioContext.currentTime < this.playbackBusyUntil + WalkieTalkie.METER_TAIL ||
+            this.encodedPlayback.size > 0 ||
+            this.clipSources.size > 0
+        );
+
+        return {
+            input: measure(inputActive, this.inputAnalyser),
+            output: measure(outputActive, this.outputAnalyser)
+        };
+    }
+
+    measureLevel(analyser) {
+        if (!this.meterSamples || this.meterSamples.length !== analyser.fftSize) {
+            this.meterSamples = new Float32Array(analyser.fftSize);
+        }
+        analyser.getFloatTimeDomainData(this.meterSamples);
+
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < this.meterSamples.length; i++) {
+            const sample = this.meterSamples[i];
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+
+        const toDb = value => value > 0 ? Math.max(WalkieTalkie.METER_FLOOR_DB, 20 * Math.log10(value)) : WalkieTalkie.METER_FLOOR_DB;
+        return { level: toDb(Math.sqrt(sum / this.meterSamples.length)), peak: toDb(peak), clipping: peak >= WalkieTalkie.METER_CLIP_LEVEL };
+    }
+
+    // Opus Codec Methods
+
+    async detectCodecSupport() {
+        this.supportedCodecs = ['pcm16'];
+
+        if (this.config && this.config.opusEnabled === false) {
+            return;
+        }
+
+        if (typeof AudioEncoder === 'undefined' || typeof AudioDecoder === 'undefined') {
+            console.log('WebCodecs not available, using pcm16');
+            return;
+        }
+
+        try {
+            const sampleRate = 48000;
+            const [encoderSupport, decoderSupport] = await Promise.all([
+                AudioEncoder.isConfigSupported(this.getOpusEncoderConfig(sampleRate)),
+                AudioDecoder.isConfigSupported({ codec: 'opus', sampleRate, numberOfChannels: 1 })
+            ]);
+
+            if (encoderSupport.supported && decoderSupport.supported) {
+                this.supportedCodecs = ['opus', 'pcm16'];
+            }
+        } catch (error) {
+            console.warn('Failed to detect Opus support:', error);
+        }
+
+        console.log('Supported codecs:', this.supportedCodecs.join(', '));
+    }
+
+    getOpusEncoderConfig(sampleRate) {
+        return {
+            codec: 'opus',
+            sampleRate: sampleRate,
+            numberOfChannels: 1,
+            bitrate: (this.config && this.config.opusBitrate) || 24000,
+            opus: {
+                frameDuration: 20000 // 20ms packets, in microseconds
+            }
+        };
+    }
+
+    async setupOpusEncoder() {
+        const config = this.getOpusEncoderConfig(this.captureSampleRate || this.audioContext.sampleRate);
+
+        try {
+            const support = await AudioEncoder.isConfigSupported(config);
+            if (!support.supported) {
+                throw new Error(`Opus encoding at ${config.sampleRate}Hz is not supported`);
+            }
+
+            this.opusEncoder = new AudioEncoder({
+                output: (chunk) => this.sendOpusPacket(chunk),
+                error: (error) => console.error('Opus encoder error:', error)
+            });
+            this.opusEncoder.configure(config);
+            this.opusTimestamp = 0;
+        } catch (error) {
+            console.warn('Opus encoder unavailable, falling back to pcm16:', error);
+            this.opusEncoder = null;
+        }
+    }
+
+    encodeOpusAudio(samples) {
+        const sampleRate = this.captureSampleRate || this.audioContext.sampleRate;
+
+        try {
+            const audioData = new AudioData({
+                format: 'f32',
+                sampleRate: sampleRate,
+                numberOfFrames: samples.length,
+                numberOfChannels: 1,
+                timestamp: this.opusTimestamp,
+                data: samples
+            });
+
+            this.opusTimestamp += Math.round(samples.length / sampleRate * 1000000);
+            this.opusEncoder.encode(audioData);
+            audioData.close();
+        } catch (error) {
+            console.error('Failed to encode Opus audio:', error);
+        }
+    }
+
+    sendOpusPacket(chunk) {
+        try {
+            const packet = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(packet);
+
+            this.sendAudioPayload(
+                packet,
+                'opus',
+                this.captureSampleRate || this.audioContext.sampleRate,
+                chunk.duration ? chunk.duration / 1000 : 20 // ms
+            );
+        } catch (error) {
+            console.error('Failed to send Opus packet:', error);
+        }
+    }
+
+    async closeOpusEncoder() {
+        if (!this.opusEncoder) return;
+
+        const encoder = this.opusEncoder;
+        this.opusEncoder = null;
+
+        try {
+            await encoder.flush();
+        } catch (error) {
+            console.warn('Failed to flush Opus encoder:', error);
+        }
+
+        if (encoder.state !== 'closed') {
+            encoder.close();
+        }
+    }
+
+    getOpusDecoder(speakerKey, sampleRate) {
+        const existing = this.opusDecoders[speakerKey];
+        if (existing && existing.sampleRate === sampleRate && existing.decoder.state === 'configured') {
+            return existing;
+        }
+
+        this.closeOpusDecoder(speakerKey);
+
+        // Decoder output arrives in input order, so sequence numbers are queued alongside
+        const entry = { decoder: null, sampleRate, timestamp: 0, sequences: [] };
+
+        entry.decoder = new AudioDecoder({
+            output: (audioData) => {
+                const samples = this.audioDataToFloat32(audioData);
+                const rate = audioData.sampleRate;
+                audioData.close();
+                this.enqueueSpeakerAudio(speakerKey, entry.sequences.shift(), samples, rate);
+            },
+            error: (error) => {
+                console.error('Opus decoder error:', error);
+                delete this.opusDecoders[speakerKey];
+            }
+        });
+        entry.decoder.configure({ codec: 'opus', sampleRate: sampleRate, numberOfChannels: 1 });
+
+        this.opusDecoders[speakerKey] = entry;
+        return entry;
+    }
+
+    async closeOpusDecoder(speakerKey) {
+        const entry = this.opusDecoders[speakerKey];
+        if (!entry) return;
+
+        delete this.opusDecoders[speakerKey];
+
+        try {
+            // Emit any packets still inside the decoder before closing it
+            if (entry.decoder.state === 'configured') {
+                await entry.decoder.flush();
+            }
+        } catch (error) {
+            console.warn('Failed to flush Opus decoder:', error);
+        }
+
+        if (entry.decoder.state !== 'closed') {
+            entry.decoder.close();
+        }
+    }
+
+    async receiveOpusPacket(packet, sampleRate, speakerKey, sequence) {
+        if (!this.supportedCodecs.includes('opus')) {
+            console.warn('Received Opus audio but WebCodecs decoding is not available');
+            return;
+        }
+
+        try {
+            await this.resumeAudioContext();
+
+            const entry = this.getOpusDecoder(speakerKey, sampleRate);
+            entry.sequences.push(sequence);
+            entry.decoder.decode(new EncodedAudioChunk({
+                type: 'key',
+                timestamp: entry.timestamp,
+                data: packet
+            }));
+            entry.timestamp += 20000;
+        } catch (error) {
+            console.error('Failed to decode Opus audio:', error);
+        }
+    }
+
+    async decodeOpusPackets(packets, sampleRate) {
+        const decoded = [];
+        const decoder = new AudioDecoder({
+            output: (audioData) => {
+                decoded.push(this.audioDataToFloat32(audioData));
+                audioData.close();
+            },
+            error: (error) => console.error('Opus decoder error:', error)
+        });
+        decoder.configure({ codec: 'opus', sampleRate: sampleRate, numberOfChannels: 1 });
+
+        let timestamp = 0;
+        packets.forEach(packet => {
+            decoder.decode(new EncodedAudioChunk({
+                type: 'key',
+                timestamp: timestamp,
+                data: this.base64ToBytes(packet)
+            }));
+            timestamp += 20000;
+        });
+
+        await decoder.flush();
+        decoder.close();
+
+        const totalLength = decoded.reduce((sum, samples) => sum + samples.length, 0);
+        const output = new Float32Array(totalLength);
+        let offset = 0;
+        decoded.forEach(samples => {
+            output.set(samples, offset);
+            offset += samples.length;
+        });
+
+        return output;
+    }
+
+    audioDataToFloat32(audioData) {
+        const samples = new Float32Array(audioData.numberOfFrames);
+        audioData.copyTo(samples, { planeIndex: 0, format: 'f32-planar' });
+        return samples;
+    }
+
+    bytesToBase64(bytes) {
+        // Process in chunks to avoid call stack issues with large buffers
+        let binaryString = '';
+        const chunkSize = 8192;
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binaryString);
+    }
+
+    base64ToBytes(base64Data) {
+        const binaryString = atob(base64Data);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    usesMediaRecorder() {
+        return this.transmitMode === 'mediarecorder' && typeof globalThis.MediaRecorder !== 'undefined';
+    }
+
+    setupMediaRecorder() {
+        // Use MediaRecorder for clean, native audio encoding
+        const options = {
+            mimeType: 'audio/webm;codecs=opus',
+            audioBitsPerSecond: 128000
+        };
+
+        // Fallback options if webm/opus not supported
+        if (!MediaRecorder.isTypeSupported(options.mimeType)) {
+            if (MediaRecorder.isTypeSupported('audio/webm')) {
+                options.mimeType = 'audio/webm';
+            } else if (MediaRecorder.isTypeSupported('audio/mp4')) {
+                options.mimeType = 'audio/mp4';
+            } else {
+                options.mimeType = ''; // Use default
+            }
+        }
+
+        // Record the processed signal so the processing chain applies to this mode too
+        let stream = this.audioStream;
+        const source = this.audioContext.createMediaStreamSource(this.audioStream);
+        const chain = this.createProcessingChain(source);
+        if (chain) {
+            const destination = this.audioContext.createMediaStreamDestination();
+            chain.output.connect(destination);
+            this.connectInputMeter(chain.output);
+            this.recorderInput = { source, chain, destination };
+            stream = destination.stream;
+        } else {
+            source.disconnect();
+        }
+
+        this.mediaRecorder = new MediaRecorder(stream, options);
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.sendAudio(event.data);
+            }
+        };
+
+        this.mediaRecorder.onerror = (event) => {
+            console.error('MediaRecorder error:', event.error);
+        };
+
+        // startTalking() starts it once the transmission has been announced
+    }
+
+    async stopMediaRecorder() {
+        const recorder = this.mediaRecorder;
+        if (!recorder) return;
+        this.mediaRecorder = null;
+
+        // The last dataavailable event fires before stop
+        if (recorder.state !== 'inactive') {
+            await new Promise(resolve => {
+                recorder.addEventListener('stop', resolve, { once: true });
+                recorder.stop();
+            });
+        }
+
+        this.releaseRecorderInput();
+        await this.encodedSendQueue;
+    }
+
+    releaseRecorderInput() {
+        if (!this.recorderInput) return;
+
+        const { source, chain } = this.recorderInput;
+        this.recorderInput = null;
+        source.disconnect();
+        this.releaseProcessingChain(chain);
+    }
+
+    async setupWebAudioStreaming() {
+        // Create audio context with default sample rate (let browser decide)
+        if (!this.audioContext) {
+            this.ensureAudioContext();
+            console.log('Audio context created with sample rate:', this.audioContext.sampleRate);
+        }
+
+        // Resume audio context if suspended
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        // Load audio worklet if not already loaded
+        if (!this.audioWorkletLoaded) {
+            await this.audioContext.audioWorklet.addModule(this.assetsUrl + 'audio-processor.js');
+            this.audioWorkletLoaded = true;
+        }
+
+        // Create source from microphone stream
+        this.microphoneSource = this.audioContext.createMediaStreamSource(this.audioStream);
+
+        // The worklet buffers render quanta and posts fixed-size frames with transferred buffers
+        this.audioProcessor = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [1],
+            processorOptions: {
+                frameDurationMs: WalkieTalkie.CAPTURE_FRAME_MS,
+                targetSampleRate: this.getWireSampleRate()
+            }
+        });
+
+        this.audioProcessor.port.onmessage = (event) => {
+            if (event.data.type === 'frame') {
+                this.handleCapturedSamples(event.data.samples);
+            }
+        };
+
+        this.captureChain = this.createProcessingChain(this.microphoneSource);
+        const captureOutput = this.captureChain ? this.captureChain.output : this.microphoneSource;
+        captureOutput.connect(this.audioProcessor);
+        this.connectInputMeter(captureOutput);
+
+        // Keep the worklet pulled by the graph through a muted gain to avoid feedback
+        this.muteGain = this.audioContext.createGain();
+        this.muteGain.gain.value = 0;
+
+        this.audioProcessor.connect(this.muteGain);
+        this.muteGain.connect(this.audioContext.destination);
+    }
+
+    flushWorkletCapture(node) {
+        // Ask the worklet for its last partial frame; don't hang if it never answers
+        return new Promise((resolve) => {
+            const handleFrames = node.port.onmessage;
+            const timeout = setTimeout(resolve, WalkieTalkie.CAPTURE_FLUSH_TIMEOUT);
+
+            node.port.onmessage = (event) => {
+                if (handleFrames) handleFrames(event);
+                if (event.data.type === 'stopped') {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            };
+
+            node.port.postMessage({ type: 'stop' });
+        });
+    }
+
+    async teardownCapture() {
+        // Detach the nodes first so a new transmission can start while this one drains
+        const { scriptProcessor, audioProcessor, muteGain, microphoneSource, captureChain } = this;
+        this.scriptProcessor = null;
+        this.audioProcessor = null;
+        this.muteGain = null;
+        this.microphoneSource = null;
+        this.captureChain = null;
+
+        if (audioProcessor) {
+            await this.flushWorkletCapture(audioProcessor);
+            audioProcessor.port.onmessage = null;
+        }
+
+        // Send the resampler's tail so the fallback path doesn't clip the last few ms
+        if (this.captureResampler) {
+            const tail = this.captureResampler.flush();
+            this.captureResampler = null;
+            if (tail.length > 0) {
+                this.handleCapturedSamples(tail);
+            }
+        }
+
+        [scriptProcessor, audioProcessor, muteGain, microphoneSource].forEach(node => {
+            if (node) node.disconnect();
+        });
+        this.releaseProcessingChain(captureChain);
+    }
+
+    async stopTalking() {
+        if (this.isStartingTalk) {
+            this.stopRequested = true;
+            return;
+        }
+
+        if (!this.isRecording) return;
+
+        this.isRecording = false;
+        this.isSpeaking = false;
+        this.clearTransmitTimer();
+        this.emit('talking', { talking: false, channel: this.channel });
+
+        // Disconnect the capture graph (after the worklet hands over its last frame)
+        await this.teardownCapture();
+
+        // The recorder hands over its last chunk when it stops; it has to be sent before the end
+        await this.stopMediaRecorder();
+
+        // Flush the last Opus packets before announcing the end of the transmission
+        await this.closeOpusEncoder();
 
         // Play courtesy beep after a short delay
         setTimeout(() => {
             this.generateCourtesyBeep();
         }, 100);
 
-        this.ws.send(JSON.stringify({
-            type: 'push_to_talk_end',
-            channel: this.channel,
-            clientId: this.clientId
-        }));
+        if (this.outboxRecording) {
+            const recording = this.outboxRecording;
+            this.outboxRecording = null;
+            await this.addToOutbox(recording);
+            console.log('Stopped audio recording to outbox');
+        } else {
+            if (this.isSocketOpen()) {
+                this.ws.send(JSON.stringify({
+                    type: 'push_to_talk_end',
+                    channel: this.channel,
+                    clientId: this.clientId
+                }));
+            }
+            this.updateRosterMember(this.memberId, { speaking: false, last_active: Date.now() });
+
+            // Refresh history after our own transmission
+            // Delay slightly to allow server to save the message
+            setTimeout(() => {
+                this.requestHistory();
+            }, 200);
+
+            console.log('Stopped audio streaming');
+        }
+
+        // The connection may have come back, or pending items waited for us to finish
+        if (this.outbox.length > 0) {
+            this.flushOutbox();
+        }
+
+        if (this.microphoneRestartPending) {
+            this.restartMicrophone();
+        }
+    }
+
+    sendAudio(audioBlob) {
+        // Blobs are read asynchronously, so chain the chunks to keep the stream in order
+        this.encodedSendQueue = this.encodedSendQueue.then(async () => {
+            const bytes = new Uint8Array(await audioBlob.arrayBuffer());
+            if (!this.isSocketOpen()) return;
+
+            this.ws.send(JSON.stringify({
+                type: 'audio_data',
+                channel: this.channel,
+                data: this.bytesToBase64(bytes),
+                format: 'encoded', // Mark as pre-encoded audio
+                mimeType: audioBlob.type,
+                size: audioBlob.size,
+                seq: this.audioSequence++,
+                clientId: this.clientId,
+                excludeSender: true
+            }));
+        }).catch(error => {
+            console.error('Failed to send audio:', error);
+        });
+
+        return this.encodedSendQueue;
+    }
+
+    // Encoded Stream Methods
+    //
+    // MediaRecorder chunks are slices of one file: only the first carries the container
+    // header, so they can't be decoded one at a time. Each speaker's transmission is
+    // appended to a SourceBuffer and played by an <audio> element routed into the mixer.
+    // Without MediaSource support the chunks are collected and played when the speaker stops.
+
+    canStreamEncoded(mimeType) {
+        return typeof globalThis.MediaSource !== 'undefined' && !!this.audio.createMediaElement && MediaSource.isTypeSupported(mimeType);
+    }
+
+    receiveEncodedChunk(bytes, mimeType, speakerKey, sequence) {
+        if (!bytes || bytes.length === 0) return;
+
+        if (this.remoteSpeakers.has(speakerKey)) {
+            this.remoteSpeakers.set(speakerKey, Date.now());
+        }
+
+        // Sequence 0 is the header of a new recording; the previous one can't continue past it
+        let stream = this.encodedStreams[speakerKey];
+        if (stream && (sequence === 0 || stream.mimeType !== mimeType)) {
+            this.finishEncodedStream(speakerKey);
+            stream = null;
+        }
+
+        if (!stream) {
+            stream = this.createEncodedStream(speakerKey, mimeType);
+        }
+
+        stream.received++;
+        if (stream.mediaSource) {
+            stream.queue.push(bytes);
+            this.serviceEncodedStream(stream);
+        } else {
+            stream.chunks.push(bytes);
+        }
+    }
+
+    createEncodedStream(speakerKey, mimeType) {
+        const stream = {
+            speakerKey,
+            mimeType,
+            received: 0,
+            queue: [], // Chunks waiting for the SourceBuffer
+            chunks: [], // Whole recording, when there is no MediaSource
+            mediaSource: null,
+            sourceBuffer: null,
+            audio: null,
+            node: null,
+            url: null,
+            ending: false
+        };
+        this.encodedStreams[speakerKey] = stream;
+
+        if (!this.canStreamEncoded(mimeType)) {
+            return stream;
+        }
+
+        stream.mediaSource = new MediaSource();
+        stream.url = URL.createObjectURL(stream.mediaSource);
+        stream.audio = this.audio.createMediaElement();
+        stream.audio.src = stream.url;
+
+        stream.mediaSource.addEventListener('sourceopen', () => {
+            try {
+                stream.sourceBuffer = stream.mediaSource.addSourceBuffer(mimeType);
+                // Chunks are played in the order they arrive, whatever their timestamps say
+                stream.sourceBuffer.mode = 'sequence';
+                stream.sourceBuffer.addEventListener('updateend', () => this.serviceEncodedStream(stream));
+                this.serviceEncodedStream(stream);
+            } catch (error) {
+                console.error('Failed to open encoded stream:', error);
+                this.releaseEncodedStream(stream);
+            }
+        }, { once: true });
+
+        // Route the element through the speaker's mixer channel like every other stream
+        this.resumeAudioContext();
+        stream.node = this.audioContext.createMediaElementSource(stream.audio);
+        stream.node.connect(this.getOutputNode(speakerKey));
+
+        stream.audio.addEventListener('ended', () => this.releaseEncodedStream(stream));
+        stream.audio.addEventListener('error', () => this.releaseEncodedStream(stream));
+        stream.audio.play().catch(error => {
+            console.error('Failed to play encoded stream:', error);
+            this.releaseEncodedStream(stream);
+        });
+
+        this.encodedPlayback.add(stream);
+        return stream;
+    }
+
+    serviceEncodedStream(stream) {
+        const { mediaSource, sourceBuffer, audio } = stream;
+        if (!sourceBuffer || sourceBuffer.updating || mediaSource.readyState !== 'open') return;
+
+        if (stream.queue.length > 0) {
+            try {
+                sourceBuffer.appendBuffer(stream.queue.shift());
+            } catch (error) {
+                console.error('Failed to append encoded audio:', error);
+                this.releaseEncodedStream(stream);
+            }
+            return;
+        }
+
+        const buffered = sourceBuffer.buffered;
+        if (buffered.length > 0) {
+            const bufferedEnd = buffered.end(buffered.length - 1);
+
+            // Don't let a slow start or a stall turn into ever-growing latency
+            if (bufferedEnd - audio.currentTime > WalkieTalkie.ENCODED_MAX_LAG) {
+                audio.currentTime = Math.max(0, bufferedEnd - this.getJitterBufferDelay());
+            }
+
+            if (this.audioContext) {
+                this.markPlayback(this.audioContext.currentTime + Math.max(0, bufferedEnd - audio.currentTime));
+            }
+
+            // Drop what has been played so long transmissions don't fill the buffer
+            const playedUntil = audio.currentTime - WalkieTalkie.ENCODED_BUFFER_KEEP;
+            if (playedUntil - buffered.start(0) > WalkieTalkie.ENCODED_BUFFER_KEEP) {
+                sourceBuffer.remove(buffered.start(0), playedUntil);
+                return;
+            }
+        }
+
+        if (stream.ending) {
+            mediaSource.endOfStream();
+        }
+    }
+
+    finishEncodedStream(speakerKey) {
+        const stream = this.encodedStreams[speakerKey];
+        if (!stream) return;
+
+        delete this.encodedStreams[speakerKey];
+        stream.ending = true;
+
+        if (stream.mediaSource) {
+            // The element plays out what is buffered, then fires 'ended'
+            if (stream.received === 0) {
+                this.releaseEncodedStream(stream);
+            } else {
+                this.serviceEncodedStream(stream);
+            }
+            return;
+        }
+
+        if (stream.chunks.length > 0) {
+            const total = stream.chunks.reduce((length, chunk) => length + chunk.length, 0);
+            const bytes = new Uint8Array(total);
+            let offset = 0;
+            stream.chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+            this.playEncodedAudio(bytes, stream.mimeType, speakerKey);
+        }
+    }
+
+    releaseEncodedStream(stream) {
+        if (this.encodedStreams[stream.speakerKey] === stream) {
+            delete this.encodedStreams[stream.speakerKey];
+        }
+        if (!this.encodedPlayback.delete(stream)) return;
+
+        stream.queue = [];
+        stream.audio.pause();
+        stream.audio.removeAttribute('src');
+        stream.audio.load();
+        if (stream.node) {
+            stream.node.disconnect();
+        }
+        URL.revokeObjectURL(stream.url);
+    }
+
+    async playEncodedAudio(bytes, mimeType, speakerKey = null) {
+        // A complete recording (history, or a stream collected without MediaSource) decodes in one go
+        try {
+            await this.resumeAudioContext();
+
+            const audioBuffer = await this.audioContext.decodeAudioData(bytes.slice().buffer);
+            console.log('Playing encoded audio via Web Audio API:', mimeType);
+
+            return this.playAudioSamples(audioBuffer.getChannelData(0), audioBuffer.sampleRate, speakerKey);
+        } catch (error) {
+            console.error('Failed to play encoded audio:', error);
+            console.log('Falling back to HTML audio element');
+
+            // Fallback to HTML audio element
+            if (!this.audio.createMediaElement) return null;
+
+            try {
+                const audioBlob = new Blob([bytes], { type: mimeType });
+                const audioUrl = URL.createObjectURL(audioBlob);
+
+                // Audio elements bypass the mixer, so apply both levels here
+                const audio = this.audio.createMediaElement();
+                audio.src = audioUrl;
+                audio.volume = this.isMuted ? 0 : Math.min(1, this.getVolume() * this.getSpeakerGain(this.getSpeakerName(speakerKey)));
+                const sinkId = this.getActiveDeviceId('audiooutput');
+                if (sinkId && typeof audio.setSinkId === 'function') {
+                    await audio.setSinkId(sinkId);
+                }
+
+                await audio.play();
+
+                audio.addEventListener('ended', () => {
+                    URL.revokeObjectURL(audioUrl);
+                });
+            } catch (fallbackError) {
+                console.error('Fallback audio playback also failed:', fallbackError);
+            }
+            return null;
+        }
+    }
+
+    playPCMAudio(base64Data, sampleRate, channels, speakerKey = null) {
+        if (!base64Data || base64Data.length === 0) return Promise.resolve(null);
+
+        return this.playPCMBytes(this.base64ToBytes(base64Data), sampleRate, speakerKey);
+    }
+
+    async playPCMBytes(bytes, sampleRate, speakerKey = null) {
+        try {
+            if (!bytes || bytes.length === 0 || !this.audio) return null;
+
+            this.ensureAudioContext();
+
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+
+            return this.playAudioSamples(this.pcmBytesToFloat32(bytes), sampleRate || 44100, speakerKey);
+
+        } catch (error) {
+            console.error('Failed to play PCM audio:', error);
+            return null;
+        }
+    }
+
+    async receivePCMBytes(bytes, sampleRate, speakerKey, sequence) {
+        try {
+            if (!bytes || bytes.length === 0) return;
+
+            await this.resumeAudioContext();
+            this.enqueueSpeakerAudio(speakerKey, sequence, this.pcmBytesToFloat32(bytes), sampleRate);
+        } catch (error) {
+            console.error('Failed to receive PCM audio:', error);
+        }
+    }
+
+    pcmBytesToFloat32(bytes) {
+        // Copy into an aligned buffer (frame payloads may start at an odd offset)
+        const pcm16 = new Int16Array(bytes.slice().buffer, 0, Math.floor(bytes.length / 2));
+
+        // Convert to float32 for Web Audio
+        const float32Array = new Float32Array(pcm16.length);
+        for (let i = 0; i < pcm16.length; i++) {
+            float32Array[i] = pcm16[i] / 32768.0;
+        }
+
+        return float32Array;
+    }
+
+    async resumeAudioContext() {
+        this.ensureAudioContext();
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+
+    // Jitter Buffer Methods
+    //
+    // Incoming chunks are held per speaker until the target delay is buffered, then
+    // scheduled back to back on the AudioContext clock. Missing sequence numbers are
+    // waited for until playback is about to run dry, then concealed.
+
+    getJitterBufferDelay() {
+        return (this.jitterBufferMs || WalkieTalkie.DEFAULT_JITTER_BUFFER_MS) / 1000;
+    }
+
+    enqueueSpeakerAudio(speakerKey, sequence, samples, sampleRate) {
+        if (!samples || samples.length === 0 || !this.audioContext) return;
+
+        // Decoder output still in flight for a channel the scanner has moved away from
+        if (this.scanEnabled && this.speakerChannels[speakerKey] && this.speakerChannels[speakerKey] !== this.activeScanChannel) {
+            return;
+        }
+
+        if (this.remoteSpeakers.has(speakerKey)) {
+            this.remoteSpeakers.set(speakerKey, Date.now());
+        }
+
+        let stream = this.jitterBuffers[speakerKey];
+        if (!stream) {
+            stream = this.createJitterBuffer(speakerKey);
+        }
+
+        // Senders without sequence numbers (older clients) are numbered in arrival order
+        if (sequence === null || sequence === undefined) {
+            sequence = stream.autoSequence;
+        }
+        stream.autoSequence = sequence + 1;
+
+        if (stream.nextSequence === null) {
+            stream.nextSequence = sequence;
+        }
+
+        // A much lower sequence number means the sender started a new transmission
+        if (sequence + WalkieTalkie.JITTER_RESET_DISTANCE < stream.nextSequence) {
+            stream.pending.clear();
+            stream.nextSequence = sequence;
+        }
+
+        if (sequence < stream.nextSequence) {
+            // Its slot was already concealed or skipped
+            stream.lateChunks++;
+            return;
+        }
 
-        // Refresh history after our own transmission
-        // Delay slightly to allow server to save the message
-        setTimeout(() => {
-            this.requestHistory();
-        }, 200);
+        stream.pending.set(sequence, { samples, sampleRate });
+        this.serviceJitterBuffer(stream);
+        this.startJitterScheduler();
+    }
+
+    createJitterBuffer(speakerKey) {
+        // Volume comes from the speaker's mixer channel; this node lets the stream be cut off on its own
+        const gainNode = this.audioContext.createGain();
+        gainNode.connect(this.getOutputNode(speakerKey));
+
+        const stream = {
+            speakerKey,
+            pending: new Map(), // Map: sequence => { samples, sampleRate }
+            nextSequence: null,
+            autoSequence: 0,
+            primed: false,
+            bufferingSince: this.audioContext.currentTime,
+            playhead: 0,
+            lastChunk: null,
+            consecutiveConcealed: 0,
+            lateChunks: 0,
+            concealedChunks: 0,
+            ending: false,
+            finished: false,
+            gainNode,
+            sources: new Set()
+        };
 
-        console.log('Stopped simple PCM streaming');
+        this.jitterBuffers[speakerKey] = stream;
+        return stream;
     }
 
-    processAudioQuality(audioData) {
-        // Minimal processing - just return the data as-is to test
-        return audioData;
+    getBufferedDuration(stream) {
+        let duration = 0;
+        stream.pending.forEach(chunk => {
+            duration += chunk.samples.length / chunk.sampleRate;
+        });
+        return duration;
     }
 
-    sendPCMAudio(pcmData) {
-        try {
-            // Validate PCM data before sending
-            if (!pcmData || pcmData.length === 0) {
-                console.warn('Empty PCM data, skipping send');
+    serviceJitterBuffer(stream) {
+        const now = this.audioContext.currentTime;
+        const targetDelay = this.getJitterBufferDelay();
+
+        // Underrun: everything scheduled has played, so build up the target delay again
+        if (stream.primed && stream.playhead < now && stream.pending.size === 0) {
+            stream.primed = false;
+            stream.bufferingSince = now;
+        }
+
+        if (!stream.primed) {
+            const buffered = this.getBufferedDuration(stream);
+            if (!stream.ending && buffered < targetDelay && now - stream.bufferingSince < targetDelay) {
                 return;
             }
 
-            // Convert PCM16 to base64 with proper chunking to avoid call stack issues
-            const uint8Array = new Uint8Array(pcmData.buffer);
-            let binaryString = '';
-            const chunkSize = 8192; // Process in chunks to avoid stack overflow
+            stream.primed = true;
+            stream.playhead = now + WalkieTalkie.JITTER_SCHEDULE_LEAD;
+        }
+
+        // Never schedule in the past; that would play the start of a chunk truncated
+        if (stream.playhead < now) {
+            stream.playhead = now + WalkieTalkie.JITTER_SCHEDULE_LEAD;
+        }
+
+        while (stream.pending.size > 0) {
+            const chunk = stream.pending.get(stream.nextSequence);
 
-            for (let i = 0; i < uint8Array.length; i += chunkSize) {
-                const chunk = uint8Array.subarray(i, i + chunkSize);
-                binaryString += String.fromCharCode.apply(null, chunk);
+            if (chunk) {
+                stream.pending.delete(stream.nextSequence);
+                this.scheduleJitterChunk(stream, chunk.samples, chunk.sampleRate);
+                stream.lastChunk = chunk;
+                stream.consecutiveConcealed = 0;
+                stream.nextSequence++;
+                continue;
             }
 
-            const base64Audio = btoa(binaryString);
+            // A gap: keep waiting for the missing chunk while there is still audio queued
+            if (!stream.ending && stream.playhead - now > WalkieTalkie.JITTER_LOW_WATER) {
+                break;
+            }
 
-            // Use actual sample rate from audio context
-            const actualSampleRate = this.audioContext ? this.audioContext.sampleRate : 44100;
+            if (stream.ending || stream.consecutiveConcealed >= WalkieTalkie.JITTER_MAX_CONCEALED) {
+                // Skip straight to the next chunk we have rather than inventing more audio
+                stream.nextSequence = Math.min(...stream.pending.keys());
+                continue;
+            }
 
-            this.ws.send(JSON.stringify({
-                type: 'audio_data',
-                channel: this.channel,
-                data: base64Audio,
-                format: 'pcm16',
-                sampleRate: actualSampleRate,
-                channels: 1
-            }));
-        } catch (error) {
-            console.error('Failed to send PCM audio:', error);
+            this.concealMissingChunk(stream);
+            stream.nextSequence++;
         }
-    }
-
-    async sendAudio(audioBlob) {
-        try {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const base64Audio = btoa(reader.result);
-                this.ws.send(JSON.stringify({
-                    type: 'audio_data',
-                    channel: this.channel,
-                    data: base64Audio,
-                    format: 'encoded', // Mark as pre-encoded audio
-                    mimeType: audioBlob.type,
-                    size: audioBlob.size,
-                    clientId: this.clientId,
-                    excludeSender: true
-                }));
 
-                console.log('Sent encoded audio chunk:', audioBlob.type, audioBlob.size, 'bytes');
-            };
-            reader.readAsBinaryString(audioBlob);
-        } catch (error) {
-            console.error('Failed to send audio:', error);
+        if (stream.ending && stream.pending.size === 0) {
+            this.releaseJitterBuffer(stream);
         }
     }
 
-    async playEncodedAudio(base64Data, mimeType) {
-        try {
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
+    scheduleJitterChunk(stream, samples, sampleRate) {
+        const audioBuffer = this.audioContext.createBuffer(1, samples.length, sampleRate);
+        audioBuffer.getChannelData(0).set(samples);
 
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(stream.gainNode);
+        source.start(stream.playhead);
 
-            // Decode base64 to binary data
-            const binaryString = atob(base64Data);
-            const uint8Array = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                uint8Array[i] = binaryString.charCodeAt(i);
-            }
+        stream.playhead += audioBuffer.duration;
+        stream.sources.add(source);
+        this.markPlayback(stream.playhead);
 
-            // Use Web Audio API to decode and play
-            const audioBuffer = await this.audioContext.decodeAudioData(uint8Array.buffer.slice());
+        source.onended = () => {
+            stream.sources.delete(source);
+            if (stream.finished && stream.sources.size === 0) {
+                stream.gainNode.disconnect();
+            }
+        };
+    }
 
-            // Create buffer source
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
+    concealMissingChunk(stream) {
+        if (!stream.lastChunk) return;
 
-            // Apply volume
-            const gainNode = this.audioContext.createGain();
-            const volume = this.volumeControl ? this.volumeControl.value / 100 : 0.5;
-            gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        // Repeat the previous chunk, attenuated and faded out, to mask the gap
+        const { samples, sampleRate } = stream.lastChunk;
+        const attenuation = stream.consecutiveConcealed === 0 ? 0.5 : 0.25;
+        const concealed = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            concealed[i] = samples[i] * attenuation * (1 - i / samples.length);
+        }
 
-            // Connect and play
-            source.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            source.start();
+        this.scheduleJitterChunk(stream, concealed, sampleRate);
+        stream.consecutiveConcealed++;
+        stream.concealedChunks++;
+    }
 
-            console.log('Playing encoded audio via Web Audio API:', mimeType);
+    async finishSpeakerStream(speakerKey) {
+        this.finishEncodedStream(speakerKey);
 
-        } catch (error) {
-            console.error('Failed to play encoded audio:', error);
-            console.log('Falling back to HTML audio element');
+        // Flush the decoder first so its last packets reach the jitter buffer
+        await this.closeOpusDecoder(speakerKey);
+        this.drainJitterBuffer(speakerKey);
+    }
 
-            // Fallback to HTML audio element
-            try {
-                const binaryString = atob(base64Data);
-                const uint8Array = new Uint8Array(binaryString.length);
-                for (let i = 0; i < binaryString.length; i++) {
-                    uint8Array[i] = binaryString.charCodeAt(i);
-                }
+    drainJitterBuffer(speakerKey) {
+        const stream = this.jitterBuffers[speakerKey];
+        if (!stream) return;
 
-                const audioBlob = new Blob([uint8Array], { type: mimeType });
-                const audioUrl = URL.createObjectURL(audioBlob);
+        stream.ending = true;
+        this.serviceJitterBuffer(stream);
+    }
 
-                const audio = new Audio(audioUrl);
-                const volume = this.volumeControl ? this.volumeControl.value / 100 : 0.5;
-                audio.volume = volume;
+    releaseJitterBuffer(stream) {
+        if (this.jitterBuffers[stream.speakerKey] === stream) {
+            delete this.jitterBuffers[stream.speakerKey];
+        }
 
-                await audio.play();
+        stream.finished = true;
+        if (stream.sources.size === 0) {
+            stream.gainNode.disconnect();
+        }
 
-                audio.addEventListener('ended', () => {
-                    URL.revokeObjectURL(audioUrl);
-                });
-            } catch (fallbackError) {
-                console.error('Fallback audio playback also failed:', fallbackError);
-            }
+        if (this.config && this.config.debug && (stream.lateChunks || stream.concealedChunks)) {
+            console.log(`Jitter buffer for ${stream.speakerKey}: ${stream.lateChunks} late, ${stream.concealedChunks} concealed`);
         }
     }
 
-    async playPCMAudio(base64Data, sampleRate, channels) {
-        try {
-            if (!base64Data || base64Data.length === 0) return;
-
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
-
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
+    startJitterScheduler() {
+        if (this.jitterTimer) return;
 
-            // Decode base64 to PCM data
-            const binaryString = atob(base64Data);
-            const uint8Array = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                uint8Array[i] = binaryString.charCodeAt(i);
+        // Chunks may be waiting on the target delay or on a gap, so re-check them regularly
+        this.jitterTimer = setInterval(() => {
+            const streams = Object.values(this.jitterBuffers);
+            if (streams.length === 0) {
+                clearInterval(this.jitterTimer);
+                this.jitterTimer = null;
+                return;
             }
 
-            const pcm16 = new Int16Array(uint8Array.buffer);
+            streams.forEach(stream => this.serviceJitterBuffer(stream));
+        }, WalkieTalkie.JITTER_SERVICE_INTERVAL);
+    }
 
-            // Convert to float32 for Web Audio
-            const float32Array = new Float32Array(pcm16.length);
-            for (let i = 0; i < pcm16.length; i++) {
-                float32Array[i] = pcm16[i] / 32768.0;
-            }
+    playAudioSamples(float32Array, sampleRate, speakerKey = null) {
+        try {
+            if (!float32Array || float32Array.length === 0) return;
 
             // Create audio buffer
-            const audioBuffer = this.audioContext.createBuffer(1, float32Array.length, sampleRate || 44100);
+            const audioBuffer = this.audioContext.createBuffer(1, float32Array.length, sampleRate);
             audioBuffer.getChannelData(0).set(float32Array);
 
             // Play it
             const source = this.audioContext.createBufferSource();
             source.buffer = audioBuffer;
 
-            const gainNode = this.audioContext.createGain();
-            const volume = this.volumeControl ? this.volumeControl.value / 100 : 0.5;
-            gainNode.gain.value = volume;
-
-            source.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            source.connect(this.getOutputNode(speakerKey));
             source.start();
+            this.markPlayback(this.audioContext.currentTime + audioBuffer.duration);
 
-            // Store the source so we can stop it later
-            this.currentAudioSource = source;
-
-            // Clear the reference when it ends naturally
+            // Clips play side by side with live streams and each other, so each is tracked on its own
+            this.clipSources.add(source);
             source.onended = () => {
-                if (this.currentAudioSource === source) {
-                    this.currentAudioSource = null;
-                }
+                this.clipSources.delete(source);
+                this.historySources.delete(source);
             };
 
-            console.log('Playing simple PCM audio');
-
+            return source;
         } catch (error) {
-            console.error('Failed to play PCM audio:', error);
+            console.error('Failed to play audio samples:', error);
+            return null;
         }
     }
 
-    async playAudio(base64Data, mimeType = 'audio/webm') {
-        try {
-            // Decode base64 to binary data
-            const binaryString = atob(base64Data);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
+    async playHistoryAudio(message) {
+        const source = await this.startHistoryAudio(message);
+
+        if (source) {
+            this.historySources.add(source);
+        }
+        return source;
+    }
+
+    async startHistoryAudio(message) {
+        if (!this.audio) return null;
+
+        const sampleRate = parseInt(message.sample_rate);
 
-            // Create audio blob with the correct MIME type
-            const audioBlob = new Blob([bytes], { type: mimeType });
-            console.log('Received audio chunk:', audioBlob.size, 'bytes, type:', mimeType);
+        // History has no clientId, so its mixer channel is keyed by screen name
+        if (message.format === 'encoded') {
+            return this.playEncodedAudio(this.base64ToBytes(message.audio_data), 'audio/webm', message.screen_name || null);
+        }
+
+        if (message.format !== 'opus') {
+            return this.playPCMAudio(message.audio_data, sampleRate, 1, message.screen_name || null);
+        }
+
+        if (!this.supportedCodecs.includes('opus')) {
+            this.notify('This message was recorded with Opus, which this browser cannot decode', 'warning', 3000);
+            return null;
+        }
 
-            // Queue audio for sequential playback to avoid overlapping
-            this.playbackQueue.push(audioBlob);
+        try {
+            this.ensureAudioContext();
 
-            if (!this.isPlaying) {
-                this.processPlaybackQueue();
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
             }
 
+            const samples = await this.decodeOpusPackets(JSON.parse(message.audio_data), sampleRate);
+            return this.playAudioSamples(samples, sampleRate, message.screen_name || null);
         } catch (error) {
-            console.error('Failed to decode audio:', error);
+            console.error('Failed to play Opus history message:', error);
+            return null;
         }
     }
 
-    async processPlaybackQueue() {
-        if (this.playbackQueue.length === 0) {
-            this.isPlaying = false;
+    setSpeakerActive(speakerKey, screenName, channel, speaking) {
+        if (!speakerKey) return;
+
+        if (speaking) {
+            this.activeSpeakers.set(speakerKey, { screen_name: screenName || null, channel });
+        } else if (!this.activeSpeakers.delete(speakerKey)) {
             return;
         }
 
-        this.isPlaying = true;
-        const audioBlob = this.playbackQueue.shift();
+        this.speakersChanged();
+    }
 
-        try {
-            const audioUrl = URL.createObjectURL(audioBlob);
-            const audio = new Audio(audioUrl);
+    clearActiveSpeakers(filter = () => true) {
+        let changed = false;
 
-            // Set volume
-            audio.volume = this.volumeControl ? this.volumeControl.value / 100 : 0.5;
+        this.activeSpeakers.forEach((speaker, speakerKey) => {
+            if (filter(speaker)) {
+                this.activeSpeakers.delete(speakerKey);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.speakersChanged();
+        }
+    }
 
-            // Add debug logging
-            console.log('Playing audio chunk, size:', audioBlob.size, 'bytes');
+    speakersChanged() {
+        this.emit('speakers_changed', { speakers: Array.from(this.activeSpeakers.values()) });
+    }
 
-            audio.addEventListener('ended', () => {
-                URL.revokeObjectURL(audioUrl);
-                // Process next audio chunk
-                this.processPlaybackQueue();
-            });
+    setParticipants(count) {
+        this.participants = count;
+        this.emit('participants_changed', { channel: this.channel, count: this.participants });
+    }
 
-            audio.addEventListener('error', (e) => {
-                console.error('Audio playback error:', e);
-                URL.revokeObjectURL(audioUrl);
-                // Continue with next chunk even if this one failed
-                this.processPlaybackQueue();
-            });
+    // Output Mixer Methods
 
-            // Attempt to play
-            await audio.play();
+    loadMixerSettings() {
+        try {
+            const saved = JSON.parse(this.storage.local.getItem('mixer_settings') || 'null');
+            if (!saved) return;
 
+            if (typeof saved.volume === 'number') {
+                this.outputVolume = Math.min(Math.max(saved.volume, 0), 1);
+            }
+            if (saved.speakers && typeof saved.speakers === 'object') {
+                this.speakerVolumes = saved.speakers;
+            }
         } catch (error) {
-            console.error('Failed to play audio chunk:', error);
-            // Continue with next chunk
-            this.processPlaybackQueue();
+            console.warn('Failed to load mixer settings:', error);
         }
     }
 
-    updateConnectionStatus(status) {
-        if (!this.connectionStatus) return;
+    saveMixerSettings() {
+        try {
+            this.storage.local.setItem('mixer_settings', JSON.stringify({
+                volume: this.outputVolume,
+                speakers: this.speakerVolumes
+            }));
+        } catch (error) {
+            console.warn('Failed to save mixer settings:', error);
+        }
+    }
 
-        this.connectionStatus.className = `status ${status}`;
-        const statusText = this.connectionStatus.querySelector('.status-text');
+    setVolume(volume) {
+        this.outputVolume = Math.min(Math.max(volume, 0), 1);
+        this.applyMasterGain();
+        this.saveMixerSettings();
+        this.emit('volume_changed', { volume: this.outputVolume, muted: this.isMuted });
+        console.log('Volume set to:', this.outputVolume);
+    }
 
-        if (statusText) {
-            switch (status) {
-                case 'connected':
-                    statusText.textContent = 'Connected';
-                    break;
-                case 'disconnected':
-                    statusText.textContent = 'Disconnected';
-                    break;
-                case 'error':
-                    statusText.textContent = 'Connection Error';
-                    break;
-            }
-        }
+    getVolume() {
+        return this.outputVolume;
     }
 
-    showErrorNotification(message, type = 'error', duration = 5000) {
-        const container = document.getElementById('notification-container');
-        if (!container) return;
+    applyMasterGain() {
+        if (!this.masterGain) return;
 
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
+        // A short ramp keeps slider moves from clicking
+        const target = this.isMuted ? 0 : this.outputVolume;
+        this.masterGain.gain.setTargetAtTime(target, this.masterGain.context.currentTime, 0.02);
+    }
 
-        // Choose icon based on type
-        let icon = '⚠️';
-        switch (type) {
-            case 'success':
-                icon = '✓';
-                break;
-            case 'warning':
-                icon = '⚠️';
-                break;
-            case 'info':
-                icon = 'ℹ️';
-                break;
-            case 'error':
-            default:
-                icon = '✕';
-                break;
+    getOutputNode(speakerKey = null) {
+        // Created lazily so it belongs to whichever AudioContext is current
+        if (!this.masterGain || this.masterGain.context !== this.audioContext) {
+            this.masterGain = this.audioContext.createGain();
+            this.masterGain.gain.value = this.isMuted ? 0 : this.outputVolume;
+            this.masterGain.connect(this.getOutputDestination());
+            this.speakerGains = {};
+            this.applyOutputDevice();
+
+            // Taps the final mix for the output level meter
+            this.outputAnalyser = this.audioContext.createAnalyser();
+            this.outputAnalyser.fftSize = WalkieTalkie.METER_FFT_SIZE;
+            this.masterGain.connect(this.outputAnalyser);
         }
 
-        notification.innerHTML = `
-            <span class="notification-icon">${icon}</span>
-            <span class="notification-message">${message}</span>
-            <button class="notification-close" aria-label="Close">×</button>
-        `;
+        if (!speakerKey) {
+            return this.masterGain;
+        }
 
-        // Add to container
-        container.appendChild(notification);
+        // Each speaker gets a mixer channel so they can be turned down or muted individually
+        if (!this.speakerGains[speakerKey]) {
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = this.getSpeakerGain(this.getSpeakerName(speakerKey));
+            gainNode.connect(this.masterGain);
+            this.speakerGains[speakerKey] = gainNode;
+        }
+        return this.speakerGains[speakerKey];
+    }
 
-        // Close button handler
-        const closeBtn = notification.querySelector('.notification-close');
-        closeBtn.addEventListener('click', () => {
-            this.removeNotification(notification);
-        });
+    registerSpeaker(speakerKey, screenName) {
+        if (this.speakerNames[speakerKey] === screenName) return;
 
-        // Auto-remove after duration
-        if (duration > 0) {
-            setTimeout(() => {
-                this.removeNotification(notification);
-            }, duration);
-        }
+        this.speakerNames[speakerKey] = screenName;
+        this.applySpeakerGain(screenName);
     }
 
-    removeNotification(notification) {
-        notification.classList.add('hiding');
-        setTimeout(() => {
-            notification.remove();
-        }, 300); // Match animation duration
+    getSpeakerName(speakerKey) {
+        return (speakerKey && this.speakerNames[speakerKey]) || speakerKey;
     }
 
-    updateSpeakingIndicator(speaking, screenName = null) {
-        if (!this.speakingIndicator) return;
+    getSpeakerSettings(screenName) {
+        return this.speakerVolumes[screenName] || { volume: 1, muted: false };
+    }
 
-        if (speaking) {
-            this.speakingIndicator.classList.add('active');
-            if (screenName) {
-                this.speakingIndicator.textContent = `${screenName} is speaking...`;
-            }
-        } else {
-            this.speakingIndicator.classList.remove('active');
-            this.speakingIndicator.textContent = '';
-        }
+    getSpeakerGain(screenName) {
+        const settings = this.getSpeakerSettings(screenName);
+        return settings.muted ? 0 : settings.volume;
     }
 
-    updateParticipantsCount() {
-        if (!this.participantsCount) return;
+    setSpeakerVolume(screenName, volume) {
+        const settings = this.getSpeakerSettings(screenName);
+        this.updateSpeakerSettings(screenName, { ...settings, volume: Math.min(Math.max(volume, 0), WalkieTalkie.SPEAKER_MAX_VOLUME) });
+    }
+
+    setSpeakerMuted(screenName, muted) {
+        const settings = this.getSpeakerSettings(screenName);
+        this.updateSpeakerSettings(screenName, { ...settings, muted });
+        this.notify(`${screenName} ${muted ? 'muted' : 'unmuted'}`, 'info', 2000);
+    }
 
-        if (this.embedMode) {
-            this.participantsCount.textContent = this.participants;
+    updateSpeakerSettings(screenName, settings) {
+        // Only remember speakers that differ from the default
+        if (settings.volume === 1 && !settings.muted) {
+            delete this.speakerVolumes[screenName];
         } else {
-            this.participantsCount.textContent = `${this.participants} participants`;
+            this.speakerVolumes[screenName] = settings;
         }
+
+        this.saveMixerSettings();
+        this.applySpeakerGain(screenName);
+        this.emit('speaker_volume_changed', { screen_name: screenName, ...settings });
     }
 
-    setVolume(volume) {
-        // Volume is handled per-audio element during playback
-        console.log('Volume set to:', volume);
+    applySpeakerGain(screenName) {
+        const gain = this.getSpeakerGain(screenName);
+
+        Object.keys(this.speakerGains).forEach(speakerKey => {
+            if (this.getSpeakerName(speakerKey) === screenName) {
+                const node = this.speakerGains[speakerKey];
+                node.gain.setTargetAtTime(gain, node.context.currentTime, 0.02);
+            }
+        });
+    }
+
+    setMuted(muted) {
+        this.isMuted = muted;
+        this.applyMasterGain();
+        this.emit('volume_changed', { volume: this.outputVolume, muted: this.isMuted });
+
+        this.notify(muted ? 'All audio muted' : 'Audio unmuted', 'info', 2000);
+        console.log('Audio', muted ? 'muted' : 'unmuted');
     }
 
     generateCourtesyBeep() {
@@ -1324,12 +4758,12 @@ class WalkieTalkie {
             source.buffer = audioBuffer;
 
             const gainNode = this.audioContext.createGain();
-            const volume = this.volumeControl ? this.volumeControl.value / 100 : 0.5;
-            gainNode.gain.value = volume * 0.5; // Beep at half user volume
+            gainNode.gain.value = 0.5; // Beep at half user volume (masterGain applies the volume)
 
             source.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            gainNode.connect(this.getOutputNode());
             source.start();
+            this.markPlayback(this.audioContext.currentTime + duration);
 
             console.log('Playing courtesy beep');
 
@@ -1338,141 +4772,40 @@ class WalkieTalkie {
         }
     }
 
-    async setupNotifications() {
-        if (!('Notification' in window) || !('serviceWorker' in navigator)) {
-            console.log('Notifications not supported');
-            return;
-        }
-
-        try {
-            // Request notification permission
-            let permission = Notification.permission;
-
-            if (permission === 'default') {
-                permission = await Notification.requestPermission();
-            }
-
-            const granted = permission === 'granted';
-            console.log('Notification permission:', granted ? 'granted' : 'denied');
-
-            // Send permission status to service worker
-            this.sendToServiceWorker('NOTIFICATION_PERMISSION', { granted });
-
-        } catch (error) {
-            console.error('Failed to setup notifications:', error);
-        }
-    }
-
-    trackAppVisibility() {
-        // Track if app is visible/focused
-        const updateAppState = () => {
-            const isActive = !document.hidden && document.hasFocus();
-            this.sendToServiceWorker('APP_STATE_CHANGED', { isActive });
-        };
-
-        // Listen for visibility changes
-        document.addEventListener('visibilitychange', updateAppState);
-        window.addEventListener('focus', updateAppState);
-        window.addEventListener('blur', updateAppState);
-
-        // Initial state
-        updateAppState();
-    }
+    setCourtesyBeep(enabled) {
+        this.courtesyBeepEnabled = enabled;
+        console.log('Courtesy beep', this.courtesyBeepEnabled ? 'enabled' : 'disabled');
 
-    sendToServiceWorker(type, data) {
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({ type, data });
+        // Play test beep when enabled
+        if (this.courtesyBeepEnabled) {
+            setTimeout(() => {
+                this.generateCourtesyBeep();
+            }, 100);
         }
     }
 
     // Message History Methods
 
-    requestHistory() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    requestHistory(channel = this.channel) {
+        if (this.isSocketOpen()) {
             this.ws.send(JSON.stringify({
                 type: 'history_request',
-                channel: this.channel
+                channel: channel
             }));
-            console.log('Requested history for channel', this.channel);
+            console.log('Requested history for channel', channel);
         }
     }
 
-    handleHistoryResponse(messages) {
-        this.messageHistory = messages || [];
-        console.log('Received', this.messageHistory.length, 'historical messages');
-        this.updateHistoryPanel();
-    }
-
-    updateHistoryPanel() {
-        const historyList = document.getElementById('history-list');
-        if (!historyList) return;
+    handleHistoryResponse(messages, channel = this.channel) {
+        this.channelHistories[channel] = messages || [];
+        console.log('Received', this.channelHistories[channel].length, 'historical messages for channel', channel);
 
-        historyList.innerHTML = '';
-
-        if (this.messageHistory.length === 0) {
-            historyList.innerHTML = '<div class="history-empty">No messages yet</div>';
-            return;
+        // The panel shows the talk channel; scanned channels' histories are kept for when they become it
+        if (channel === this.channel) {
+            this.messageHistory = this.channelHistories[channel];
         }
 
-        this.messageHistory.forEach((message, index) => {
-            const messageEl = document.createElement('div');
-            messageEl.className = 'history-message';
-            messageEl.dataset.index = index;
-
-            const timestamp = this.formatTimestamp(parseInt(message.timestamp));
-            const duration = this.formatDuration(parseInt(message.duration));
-            // Use screen_name if available, otherwise fall back to formatted client_id
-            const displayName = message.screen_name || this.formatUserId(message.client_id);
-
-            messageEl.innerHTML = `
-                <div class="history-message-info">
-                    <span class="history-user">${this.escapeHtml(displayName)}</span>
-                    <span class="history-timestamp">${timestamp}</span>
-                    <span class="history-duration">${duration}</span>
-                </div>
-                <button class="history-play-btn" data-index="${index}">
-                    <svg width="12" height="12" viewBox="0 0 12 12">
-                        <path d="M2 1 L2 11 L10 6 Z" fill="currentColor"/>
-                    </svg>
-                </button>
-            `;
-
-            const playBtn = messageEl.querySelector('.history-play-btn');
-            playBtn.addEventListener('click', () => this.playHistoryMessage(index));
-
-            historyList.appendChild(messageEl);
-        });
-    }
-
-    formatTimestamp(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 60000);
-
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins}m ago`;
-        if (diffMins < 1440) return `${Math.floor(diffMins / 60)}h ago`;
-
-        // Show time for older messages
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    }
-
-    formatDuration(durationMs) {
-        const seconds = Math.round(durationMs / 1000 * 10) / 10;
-        return `${seconds}s`;
-    }
-
-    formatUserId(clientId) {
-        // Extract last 4 characters of client ID
-        const shortId = clientId.slice(-4);
-        return `User #${shortId}`;
-    }
-
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        this.emit('history_updated', { channel, messages: this.channelHistories[channel] });
     }
 
     playHistoryMessage(index) {
@@ -1484,29 +4817,23 @@ class WalkieTalkie {
             return;
         }
 
-        // Stop any currently playing message
+        // Stop any currently playing message (or Play All sequence)
         if (this.currentPlayingHistoryIndex !== -1) {
             this.stopSingleHistoryPlayback(this.currentPlayingHistoryIndex);
         }
+        if (this.isPlayingHistory) {
+            this.stopHistoryPlayback();
+        }
 
         const message = this.messageHistory[index];
         console.log('Playing history message', index);
 
         // Mark as playing
         this.currentPlayingHistoryIndex = index;
-
-        // Highlight the playing message
-        this.highlightHistoryMessage(index);
-
-        // Update button to pause icon
-        this.updatePlayButtonIcon(index, 'pause');
+        this.historyPlaybackChanged();
 
         // Play the audio
-        this.playPCMAudio(
-            message.audio_data,
-            parseInt(message.sample_rate),
-            1
-        );
+        this.playHistoryAudio(message);
 
         // Calculate when audio will finish and auto-reset button
         const duration = parseInt(message.duration);
@@ -1519,51 +4846,17 @@ class WalkieTalkie {
     }
 
     stopSingleHistoryPlayback(index) {
-        // Stop the audio source if it's playing
-        if (this.currentAudioSource) {
-            try {
-                this.currentAudioSource.stop();
-            } catch (e) {
-                // Already stopped
-            }
-            this.currentAudioSource = null;
-        }
+        // Stop only history audio; live speakers and welcome messages keep playing
+        this.stopHistorySources();
 
         this.currentPlayingHistoryIndex = -1;
-        this.updatePlayButtonIcon(index, 'play');
-        this.removeHistoryHighlight();
+        this.historyPlaybackChanged();
         if (this.singlePlaybackTimeout) {
             clearTimeout(this.singlePlaybackTimeout);
             this.singlePlaybackTimeout = null;
         }
     }
 
-    updatePlayButtonIcon(index, state) {
-        const messageEl = document.querySelector(`[data-index="${index}"]`);
-        if (!messageEl) return;
-
-        const playBtn = messageEl.querySelector('.history-play-btn');
-        if (!playBtn) return;
-
-        if (state === 'pause') {
-            // Stop icon (square)
-            playBtn.innerHTML = `
-                <svg width="12" height="12" viewBox="0 0 12 12">
-                    <rect x="2" y="2" width="8" height="8" fill="currentColor"/>
-                </svg>
-            `;
-            playBtn.classList.add('playing');
-        } else {
-            // Play icon (triangle)
-            playBtn.innerHTML = `
-                <svg width="12" height="12" viewBox="0 0 12 12">
-                    <path d="M2 1 L2 11 L10 6 Z" fill="currentColor"/>
-                </svg>
-            `;
-            playBtn.classList.remove('playing');
-        }
-    }
-
     playAllHistory() {
         if (this.messageHistory.length === 0) {
             console.log('No messages to play');
@@ -1575,6 +4868,10 @@ class WalkieTalkie {
             return;
         }
 
+        if (this.currentPlayingHistoryIndex !== -1) {
+            this.stopSingleHistoryPlayback(this.currentPlayingHistoryIndex);
+        }
+
         console.log('Playing all history messages');
         this.isPlayingHistory = true;
         this.currentHistoryIndex = 0;
@@ -1590,43 +4887,50 @@ class WalkieTalkie {
         const message = this.messageHistory[this.currentHistoryIndex];
         console.log('Playing history message', this.currentHistoryIndex);
 
-        // Highlight current message
-        this.highlightHistoryMessage(this.currentHistoryIndex);
-
-        // Play the audio
-        const audioData = message.audio_data;
-        const sampleRate = parseInt(message.sample_rate);
+        this.historyPlaybackChanged();
 
         // Calculate duration to wait before playing next
         const duration = parseInt(message.duration);
 
-        this.playPCMAudio(audioData, sampleRate, 1);
+        // Play the audio
+        this.playHistoryAudio(message);
 
         // Move to next message after this one finishes
-        setTimeout(() => {
+        this.historyPlaybackTimer = setTimeout(() => {
             this.currentHistoryIndex++;
             this.playNextHistoryMessage();
         }, duration + 100); // Add 100ms gap between messages
     }
 
     stopHistoryPlayback() {
+        if (this.historyPlaybackTimer) {
+            clearTimeout(this.historyPlaybackTimer);
+            this.historyPlaybackTimer = null;
+        }
+        this.stopHistorySources();
+
         this.isPlayingHistory = false;
         this.currentHistoryIndex = -1;
-        this.removeHistoryHighlight();
+        this.historyPlaybackChanged();
         console.log('Finished playing history');
     }
 
-    highlightHistoryMessage(index) {
-        this.removeHistoryHighlight();
-        const messageEl = document.querySelector(`[data-index="${index}"]`);
-        if (messageEl) {
-            messageEl.classList.add('playing');
-        }
+    stopHistorySources() {
+        this.historySources.forEach(source => {
+            try {
+                source.stop();
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        this.historySources.clear();
     }
 
-    removeHistoryHighlight() {
-        const playingElements = document.querySelectorAll('.history-message.playing');
-        playingElements.forEach(el => el.classList.remove('playing'));
+    historyPlaybackChanged() {
+        this.emit('history_playback', {
+            playingAll: this.isPlayingHistory,
+            index: this.isPlayingHistory ? this.currentHistoryIndex : this.currentPlayingHistoryIndex
+        });
     }
 
     // Authentication helper methods
@@ -1645,90 +4949,46 @@ class WalkieTalkie {
         }, refreshIn);
     }
 
-    async refreshAccessToken() {
+    async refreshAccessToken({ redirectOnFailure = true } = {}) {
+        let response;
         try {
-            const response = await fetch('/auth/refresh.php', {
+            response = await this.transport.fetch('/auth/refresh.php', {
                 method: 'POST',
                 credentials: 'include' // Send refresh token cookie
             });
+        } catch (error) {
+            // Network failure: the session may still be valid, so keep the current token and try later
+            console.warn('Token refresh failed (network):', error);
+            return false;
+        }
 
+        try {
             const result = await response.json();
             if (result.success) {
                 this.accessToken = result.tokens.access_token;
-                localStorage.setItem('access_token', this.accessToken);
+                this.storage.local.setItem('access_token', this.accessToken);
                 this.scheduleTokenRefresh();
                 console.log('Access token refreshed');
-            } else {
-                // Refresh failed, redirect to login
-                console.error('Token refresh failed');
-                localStorage.removeItem('access_token');
-                window.location.href = '/login.html';
+                return true;
             }
+
+            console.error('Token refresh failed');
         } catch (error) {
             console.error('Token refresh error:', error);
-            localStorage.removeItem('access_token');
-            window.location.href = '/login.html';
-        }
-    }
-
-    showAuthenticatedUI() {
-        // Add user menu to header
-        const header = document.querySelector('.header');
-        if (!header) return;
-
-        let userMenu = document.getElementById('userMenu');
-        if (!userMenu) {
-            userMenu = document.createElement('div');
-            userMenu.id = 'userMenu';
-            userMenu.className = 'user-menu';
-            header.appendChild(userMenu);
-        }
-
-        userMenu.innerHTML = `
-            <span class="user-menu-username">👤 ${this.currentUser.username}</span>
-            <button onclick="window.location.href='/passkeys.html'" class="user-menu-btn">Passkeys</button>
-            <button onclick="walkieTalkie.logout()" class="user-menu-btn">Logout</button>
-        `;
-
-        // Hide the login/register link
-        const authLink = document.getElementById('auth-link');
-        if (authLink) {
-            authLink.style.display = 'none';
-        }
-    }
-
-    showAnonymousUI() {
-        // Add user menu to header for anonymous users
-        const header = document.querySelector('.header');
-        if (!header) return;
-
-        let userMenu = document.getElementById('userMenu');
-        if (!userMenu) {
-            userMenu = document.createElement('div');
-            userMenu.id = 'userMenu';
-            userMenu.className = 'user-menu';
-            header.appendChild(userMenu);
-        }
-
-        // Build menu HTML based on whether registration is enabled
-        let menuHTML = `<span class="user-menu-username">👤 ${this.screenName || 'Anonymous'}</span>`;
-
-        if (this.config.registrationEnabled) {
-            menuHTML += `<button onclick="window.location.href='/login.html'" class="user-menu-btn user-menu-btn-primary">Register / Login</button>`;
         }
 
-        userMenu.innerHTML = menuHTML;
-
-        // Hide the old auth-link if it exists
-        const authLink = document.getElementById('auth-link');
-        if (authLink) {
-            authLink.style.display = 'none';
+        // Refresh rejected, the session is over
+        this.storage.local.removeItem('access_token');
+        this.accessToken = null;
+        if (redirectOnFailure) {
+            this.emit('auth_required', { reason: 'session_expired' });
         }
+        return false;
     }
 
     async logout() {
         try {
-            await fetch('/auth/logout.php', {
+            await this.transport.fetch('/auth/logout.php', {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`
@@ -1740,17 +5000,109 @@ class WalkieTalkie {
         }
 
         // Clear local storage
-        localStorage.removeItem('access_token');
+        this.storage.local.removeItem('access_token');
+        this.accessToken = null;
+        this.currentUser = null;
 
         // Clear refresh timer
         if (this.tokenRefreshTimer) {
             clearTimeout(this.tokenRefreshTimer);
+            this.tokenRefreshTimer = null;
         }
 
-        // Reload page
-        window.location.href = '/';
+        this.emitAuthChanged();
     }
 }
 
-// Global access for embed mode
-window.WalkieTalkie = WalkieTalkie;
\ No newline at end of file
+// Binary frame format codes (index = code on the wire)
+WalkieTalkie.FRAME_FORMATS = [null, 'pcm16', 'opus'];
+
+// Capture framing
+WalkieTalkie.CAPTURE_FRAME_MS = 20; // Worklet frame size sent per audio message
+WalkieTalkie.CAPTURE_FLUSH_TIMEOUT = 200; // ms to wait for the worklet's final frame
+
+WalkieTalkie.DEFAULT_WIRE_SAMPLE_RATE = 16000; // Voice needs little above 8kHz
+
+// Named channels (must match ChannelDirectory::SLUG_PATTERN)
+WalkieTalkie.CHANNEL_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Channel roster
+WalkieTalkie.ROSTER_IDLE_MS = 5 * 60 * 1000; // Members who haven't transmitted for this long are shown as idle
+
+// Private calls (PRIVATE_CHANNEL_PREFIX must match WebSocketServer::PRIVATE_CHANNEL_PREFIX)
+WalkieTalkie.PRIVATE_CHANNEL_PREFIX = 'call:';
+WalkieTalkie.CALL_RING_TIMEOUT = 30000; // Unanswered calls give up after this long
+WalkieTalkie.CALL_RING_PATTERN = { frequencies: [400, 450], bursts: [[0, 0.4], [0.6, 0.4]], volume: 0.3, period: 3000 };
+WalkieTalkie.CALL_RINGBACK_PATTERN = { frequencies: [440, 480], bursts: [[0, 1]], volume: 0.15, period: 4000 };
+
+// Output mixer
+WalkieTalkie.SPEAKER_MAX_VOLUME = 1.5; // Quiet speakers can be boosted a little
+
+// Scan mode
+WalkieTalkie.SCAN_MAX_CHANNELS = 16;
+WalkieTalkie.SCAN_HOLD_MS = 2000; // How long the scanner stays on a channel after its audio stops
+
+// Store-and-forward outbox
+WalkieTalkie.OUTBOX_DB_NAME = 'walkie-talkie-outbox';
+WalkieTalkie.OUTBOX_MAX_ITEMS = 20; // Pending transmissions kept before new offline recordings are refused
+WalkieTalkie.OUTBOX_SEND_GAP = 1000; // ms between pending transmissions sent one after another
+
+// Storage keys every player on a page shares, whatever its prefix
+WalkieTalkie.SHARED_STORAGE_KEYS = ['access_token'];
+
+// Promise commands (join, talk, placeCall)
+WalkieTalkie.COMMAND_TIMEOUT = 10000; // ms to wait for the server's answer
+WalkieTalkie.TRANSMIT_REFUSALS = ['transmission_blocked', 'transmit_timeout']; // Server errors that end a transmission
+WalkieTalkie.RECORDING_SEND_LEAD = 100; // ms a paced clip is sent ahead of real time
+
+// Reconnection backoff
+WalkieTalkie.RECONNECT_BASE_DELAY = 1000; // ms before the first retry
+WalkieTalkie.RECONNECT_MAX_DELAY = 30000; // ms cap on the backoff
+WalkieTalkie.SCREEN_NAME_RETRIES = 3; // Attempts to reclaim our name while the server drops the old connection
+WalkieTalkie.SCREEN_NAME_RETRY_DELAY = 2000; // ms between them
+
+// VOX tuning
+WalkieTalkie.VOX_POLL_INTERVAL = 20; // ms between level measurements
+WalkieTalkie.VOX_PLAYBACK_GUARD = 0.3; // Seconds after our playback ends before VOX listens again
+WalkieTalkie.VOX_BLOCKED_BACKOFF = 2000; // ms to wait after the server refuses a VOX key-up
+WalkieTalkie.VOX_REMOTE_SPEAKER_TIMEOUT = 5000; // ms without audio before a remote speaker is forgotten
+
+// Jitter buffer tuning
+WalkieTalkie.DEFAULT_JITTER_BUFFER_MS = 120; // Target delay before a speaker starts playing
+WalkieTalkie.JITTER_SCHEDULE_LEAD = 0.02; // Seconds between scheduling and playback start
+WalkieTalkie.JITTER_LOW_WATER = 0.03; // Conceal a missing chunk once less than this is queued (seconds)
+WalkieTalkie.JITTER_MAX_CONCEALED = 2; // Consecutive concealed chunks before skipping ahead
+WalkieTalkie.JITTER_RESET_DISTANCE = 50; // Sequence jump back that signals a new transmission
+WalkieTalkie.JITTER_SERVICE_INTERVAL = 20; // ms
+
+// Outgoing voice processing
+WalkieTalkie.DEFAULT_PROCESSING_SETTINGS = {
+    // Browser processing, applied when the microphone is opened
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true,
+    // Stages of the processing chain (audio-chain.js)
+    highpass: false,
+    noiseGate: false,
+    compressor: false,
+    radio: false,
+    gateThreshold: -50 // dBFS
+};
+WalkieTalkie.MICROPHONE_CONSTRAINTS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+// Level meters
+WalkieTalkie.METER_FFT_SIZE = 1024; // Samples analysed per frame
+WalkieTalkie.METER_FLOOR_DB = -60; // Bottom of the scale (dBFS)
+WalkieTalkie.METER_CLIP_LEVEL = 0.99; // Sample magnitude counted as clipping
+WalkieTalkie.METER_TAIL = 0.5; // Seconds the output meter keeps reading after scheduled playback ends
+WalkieTalkie.MIC_CHECK_DURATION = 30000; // ms before a forgotten mic check stops itself
+
+// Encoded (MediaRecorder) streams
+WalkieTalkie.MEDIA_RECORDER_TIMESLICE = 100; // ms of audio per recorder chunk
+WalkieTalkie.ENCODED_MAX_LAG = 1.5; // Seconds behind the newest chunk before playback skips ahead
+WalkieTalkie.ENCODED_BUFFER_KEEP = 10; // Seconds of played audio kept in the SourceBuffer
+
+// WebSocket.readyState values, for transports that don't define the constants
+WalkieTalkie.SOCKET_STATES = { CONNECTING: 0, OPEN: 1 };
+
+globalThis.WalkieTalkie = WalkieTalkie;
\ No newline at end of file
@@ -0,0 +1,48 @@
+<?php
+/**
+ * Walkie Talkie PWA - Channel Directory Endpoint
+ *
+ * Copyright (C) 2025 Matthew Asham
+ *
+ * This program is dual-licensed:
+ *
+ * 1. GNU Affero General Public License v3.0 or later (AGPL-3.0-or-later)
+ *    For open source use, you can redistribute it and/or modify it under
+ *    the terms of the GNU Affero General Public License as published by
+ *    the Free Software Foundation, either version 3 of the License, or
+ *    (at your option) any later version.
+ *
+ * 2. Commercial License
+ *    For commercial or proprietary use without AGPL-3.0 obligations,
+ *    contact Matthew Asham at https://www.asham.ca/
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+require_once '../vendor/autoload.php';
+
+use Dotenv\Dotenv;
+use WalkieTalkie\ChannelDirectory;
+
+// Load environment variables
+if (file_exists(__DIR__ . '/../.env')) {
+    $dotenv = Dotenv::createImmutable(__DIR__ . '/..');
+    $dotenv->load();
+}
+
+// Set content type to JSON
+header('Content-Type: application/json');
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET');
+header('Access-Control-Allow-Headers: Content-Type');
+
+// Live participant counts aren't known here; clients get them over the WebSocket (channel_counts)
+echo json_encode([
+    'channels' => ChannelDirectory::fromEnvironment()->all()
+]);
@@ -58,5 +58,14 @@ echo json_encode([
     'registrationEnabled' => filter_var($_ENV['REGISTRATION_ENABLED'] ?? true, FILTER_VALIDATE_BOOLEAN),
     'screenNameMinLength' => (int)($_ENV['SCREEN_NAME_MIN_LENGTH'] ?? 2),
     'screenNameMaxLength' => (int)($_ENV['SCREEN_NAME_MAX_LENGTH'] ?? 20),
-    'screenNamePattern' => $_ENV['SCREEN_NAME_PATTERN'] ?? '^[a-zA-Z0-9_-]+$'
+    'screenNamePattern' => $_ENV['SCREEN_NAME_PATTERN'] ?? '^[a-zA-Z0-9_-]+$',
+    'opusEnabled' => filter_var($_ENV['AUDIO_OPUS_ENABLED'] ?? true, FILTER_VALIDATE_BOOLEAN),
+    'opusBitrate' => (int)($_ENV['AUDIO_OPUS_BITRATE'] ?? 24000),
+    'binaryFramesEnabled' => filter_var($_ENV['AUDIO_BINARY_FRAMES_ENABLED'] ?? true, FILTER_VALIDATE_BOOLEAN),
+    'jitterBufferMs' => (int)($_ENV['AUDIO_JITTER_BUFFER_MS'] ?? 120),
+    'wireSampleRate' => (int)($_ENV['AUDIO_WIRE_SAMPLE_RATE'] ?? 16000),
+    'transmitMode' => ($_ENV['AUDIO_TRANSMIT_MODE'] ?? 'webaudio') === 'mediarecorder' ? 'mediarecorder' : 'webaudio',
+    'pttLockoutEnabled' => filter_var($_ENV['PTT_LOCKOUT_ENABLED'] ?? true, FILTER_VALIDATE_BOOLEAN),
+    'maxTransmitSeconds' => max(0, (int)($_ENV['PTT_MAX_TRANSMIT_SECONDS'] ?? 0)),
+    'voxEnabled' => filter_var($_ENV['VOX_ENABLED'] ?? true, FILTER_VALIDATE_BOOLEAN)
 ]);
\ No newline at end of file
@@ -25,17 +25,34 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
-$channel = $_GET['channel'] ?? '1';
+require_once '../vendor/autoload.php';
+
+use Dotenv\Dotenv;
+use WalkieTalkie\ChannelDirectory;
+
+// Load environment variables
+if (file_exists(__DIR__ . '/../.env')) {
+    $dotenv = Dotenv::createImmutable(__DIR__ . '/..');
+    $dotenv->load();
+}
+
+// Channels can be numbers or directory slugs (?channel=logistics)
+$channelDirectory = ChannelDirectory::fromEnvironment();
+$channel = $channelDirectory->normalizeChannel($_GET['channel'] ?? '1') ?? '1';
+$channelName = $channelDirectory->getDisplayName($channel);
 $theme = $_GET['theme'] ?? 'default';
 $width = $_GET['width'] ?? '100%';
 $height = $_GET['height'] ?? '300px';
+
+// Parent pages allowed to drive the embed through postMessage; the embed's own origin always is
+$allowedOrigins = array_values(array_filter(array_map('trim', explode(',', $_ENV['EMBED_ALLOWED_ORIGINS'] ?? ''))));
 ?>
 <!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Walkie Talkie - Channel <?php echo htmlspecialchars($channel); ?></title>
+    <title>Walkie Talkie - <?php echo htmlspecialchars($channelName); ?></title>
     <link rel="stylesheet" href="assets/style.css">
     <link rel="stylesheet" href="assets/embed.css">
     <style>
@@ -57,7 +74,7 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
 ?>
     <div id="embed-app">
         <div class="embed-header">
-            <span class="channel-badge">Ch. <?php echo htmlspecialchars($channel); ?></span>
+            <span class="channel-badge"><?php echo htmlspecialchars($channelName); ?></span>
             <div id="connection-status" class="status disconnected">
                 <span class="status-dot"></span>
             </div>
@@ -66,7 +83,7 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
 
         <div class="embed-main">
             <div class="embed-channel-selector">
-                <input type="number" id="channel-input" min="1" max="999" value="<?php echo htmlspecialchars($channel); ?>" class="embed-channel-input">
+                <input type="text" id="channel-input" value="<?php echo htmlspecialchars($channel); ?>" class="embed-channel-input" placeholder="Channel">
                 <button id="join-channel-btn" class="embed-join-btn">Join</button>
             </div>
 
@@ -78,6 +95,23 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
                 <span class="ptt-icon">🎤</span>
             </button>
 
+            <div class="level-meters compact">
+                <div id="input-meter" class="level-meter compact" title="Microphone level">
+                    <div class="level-meter-track">
+                        <div class="level-meter-bar"></div>
+                        <div class="level-meter-peak" hidden></div>
+                    </div>
+                    <span class="level-meter-clip"></span>
+                </div>
+                <div id="output-meter" class="level-meter compact" title="Output level">
+                    <div class="level-meter-track">
+                        <div class="level-meter-bar"></div>
+                        <div class="level-meter-peak" hidden></div>
+                    </div>
+                    <span class="level-meter-clip"></span>
+                </div>
+            </div>
+
             <div class="volume-control compact">
                 <input type="range" id="volume" min="0" max="100" value="50">
             </div>
@@ -91,47 +125,35 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
         </div>
     </div>
 
+    <script src="assets/resampler.js"></script>
+    <script src="assets/audio-chain.js"></script>
     <script src="assets/walkie-talkie.js"></script>
+    <script src="assets/walkie-talkie-ui.js"></script>
+    <script src="assets/embed-bridge.js"></script>
     <script>
         const app = new WalkieTalkie({
             channel: '<?php echo htmlspecialchars($channel); ?>',
-            embedMode: true,
             configUrl: 'config.php'
         });
 
-        app.init();
+        const ui = new WalkieTalkieUI(app, { embedMode: true });
 
         // Update channel badge when channel changes
         app.on('channel_changed', (data) => {
             const channelBadge = document.querySelector('.channel-badge');
             if (channelBadge) {
-                channelBadge.textContent = `Ch. ${data.channel}`;
+                channelBadge.textContent = data.name;
             }
         });
 
-        // Communicate with parent window if in iframe
+        // Two-way control API for the parent window if in iframe (see docs/EMBED_API.md)
         if (window.parent !== window) {
-            app.on('connected', () => {
-                window.parent.postMessage({
-                    type: 'walkie-talkie-connected',
-                    channel: '<?php echo htmlspecialchars($channel); ?>'
-                }, '*');
-            });
-
-            app.on('speaking', (data) => {
-                window.parent.postMessage({
-                    type: 'walkie-talkie-speaking',
-                    speaking: data.speaking
-                }, '*');
-            });
-
-            app.on('channel_changed', (data) => {
-                window.parent.postMessage({
-                    type: 'walkie-talkie-channel-changed',
-                    channel: data.channel
-                }, '*');
+            window.embedBridge = new EmbedBridge(app, {
+                allowedOrigins: <?php echo json_encode($allowedOrigins, JSON_UNESCAPED_SLASHES | JSON_HEX_TAG); ?>
             });
         }
+
+        app.init();
     </script>
 <?php
 // Include custom footer template if it exists
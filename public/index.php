@@ -67,10 +67,33 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
         <main class="main">
             <div class="channel-selector">
                 <label for="channel-input">Channel:</label>
-                <input type="number" id="channel-input" min="1" max="999" value="1" class="channel-input">
+                <div class="channel-search">
+                    <input type="search" id="channel-input" value="1" class="channel-input" placeholder="Number or name" autocomplete="off" role="combobox" aria-controls="channel-picker">
+                    <div id="channel-picker" class="channel-picker" role="listbox" hidden></div>
+                </div>
                 <button id="join-channel-btn" class="join-btn">Join</button>
             </div>
 
+            <div id="scan-control" class="scan-control">
+                <label for="scan-toggle" class="checkbox-label">
+                    <input type="checkbox" id="scan-toggle">
+                    <span class="checkmark"></span>
+                    Scan Channels
+                </label>
+
+                <div id="scan-settings" class="scan-settings" hidden>
+                    <label for="scan-channels">Also monitor</label>
+                    <input type="text" id="scan-channels" class="scan-channels-input" placeholder="e.g. 5, 12" inputmode="numeric">
+
+                    <label for="scan-priority">Priority</label>
+                    <select id="scan-priority" class="scan-priority-select">
+                        <option value="">None</option>
+                    </select>
+                </div>
+
+                <div id="scan-list" class="scan-list" hidden></div>
+            </div>
+
             <div class="status-panel">
                 <div id="connection-status" class="status disconnected">
                     <span class="status-dot"></span>
@@ -82,12 +105,43 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
                 </div>
             </div>
 
+            <div id="call-panel" class="call-panel" hidden>
+                <span class="call-icon">📞</span>
+                <span id="call-text" class="call-text"></span>
+                <div class="call-actions">
+                    <button id="call-accept-btn" class="call-accept-btn" hidden>Accept</button>
+                    <button id="call-end-btn" class="call-end-btn">Hang Up</button>
+                </div>
+            </div>
+
             <div class="controls">
                 <button id="ptt-button" class="ptt-button" disabled>
                     <span class="ptt-icon">🎤</span>
                     <span class="ptt-text">Hold to Talk</span>
                 </button>
 
+                <div id="tot-countdown" class="tot-countdown" hidden></div>
+
+                <div class="level-meters">
+                    <div id="input-meter" class="level-meter" title="Microphone level">
+                        <span class="level-meter-label">Mic</span>
+                        <div class="level-meter-track">
+                            <div class="level-meter-bar"></div>
+                            <div class="level-meter-peak" hidden></div>
+                        </div>
+                        <span class="level-meter-clip">CLIP</span>
+                    </div>
+                    <div id="output-meter" class="level-meter" title="Output level">
+                        <span class="level-meter-label">Out</span>
+                        <div class="level-meter-track">
+                            <div class="level-meter-bar"></div>
+                            <div class="level-meter-peak" hidden></div>
+                        </div>
+                        <span class="level-meter-clip">CLIP</span>
+                    </div>
+                    <button id="mic-check-btn" class="mic-check-btn">Mic Check</button>
+                </div>
+
                 <div class="volume-control">
                     <label for="volume">Volume:</label>
                     <input type="range" id="volume" min="0" max="100" value="50">
@@ -100,10 +154,53 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
                         Courtesy Beep
                     </label>
                 </div>
+
+                <div class="ptt-mode-control">
+                    <label for="ptt-latch" class="checkbox-label">
+                        <input type="checkbox" id="ptt-latch">
+                        <span class="checkmark"></span>
+                        Latching PTT (tap to start/stop)
+                    </label>
+
+                    <label for="tot-select" class="tot-label">
+                        Time-out:
+                        <select id="tot-select" class="tot-select">
+                            <option value="0">Off</option>
+                            <option value="30">30 s</option>
+                            <option value="60">60 s</option>
+                            <option value="120">2 min</option>
+                            <option value="300">5 min</option>
+                        </select>
+                    </label>
+                </div>
+
+                <div id="vox-control" class="vox-control">
+                    <label for="vox-toggle" class="checkbox-label">
+                        <input type="checkbox" id="vox-toggle">
+                        <span class="checkmark"></span>
+                        Voice Activated (VOX)
+                    </label>
+
+                    <div id="vox-settings" class="vox-settings" hidden>
+                        <div class="vox-meter" title="Microphone level">
+                            <div id="vox-level" class="vox-level"></div>
+                            <div id="vox-threshold-marker" class="vox-threshold-marker"></div>
+                        </div>
+
+                        <label for="vox-threshold">Threshold <span id="vox-threshold-value">-45 dB</span></label>
+                        <input type="range" id="vox-threshold" min="-70" max="-10" step="1" value="-45">
+
+                        <label for="vox-attack">Attack <span id="vox-attack-value">60 ms</span></label>
+                        <input type="range" id="vox-attack" min="0" max="500" step="10" value="60">
+
+                        <label for="vox-hang">Hang Time <span id="vox-hang-value">800 ms</span></label>
+                        <input type="range" id="vox-hang" min="100" max="3000" step="100" value="800">
+                    </div>
+                </div>
             </div>
 
             <div class="instructions">
-                <p>Press and hold the microphone button to talk on the selected Channel</p>
+                <p>Press and hold the microphone button (or the Space bar) to talk on the selected Channel</p>
                 <p>Make sure to allow microphone access when prompted</p>
             </div>
 
@@ -119,6 +216,91 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
                     <div class="history-empty">No messages yet</div>
                 </div>
             </div>
+
+            <div id="roster-panel" class="roster-panel">
+                <div class="history-header">
+                    <h3>In This Channel</h3>
+                    <div class="history-controls">
+                        <button id="roster-toggle" class="history-toggle-btn">Hide</button>
+                    </div>
+                </div>
+                <div id="roster-list" class="roster-list">
+                    <div class="history-empty">Not connected</div>
+                </div>
+            </div>
+
+            <div id="devices-panel" class="devices-panel collapsed">
+                <div class="history-header">
+                    <h3>Audio Devices</h3>
+                    <div class="history-controls">
+                        <button id="devices-toggle" class="history-toggle-btn">Show</button>
+                    </div>
+                </div>
+                <div class="devices-body">
+                    <div class="device-control">
+                        <label for="input-device">Microphone</label>
+                        <select id="input-device" class="device-select"></select>
+                    </div>
+                    <div id="output-device-control" class="device-control">
+                        <label for="output-device">Speaker</label>
+                        <select id="output-device" class="device-select"></select>
+                    </div>
+                    <p id="devices-message" class="processing-hint"></p>
+                </div>
+            </div>
+
+            <div id="processing-panel" class="processing-panel collapsed">
+                <div class="history-header">
+                    <h3>Voice Processing</h3>
+                    <div class="history-controls">
+                        <button id="processing-preview" class="history-toggle-btn processing-preview-btn">Preview</button>
+                        <button id="processing-toggle" class="history-toggle-btn">Show</button>
+                    </div>
+                </div>
+                <div class="processing-body">
+                    <div class="processing-group">
+                        <h4>Microphone</h4>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-processing="echoCancellation">
+                            <span class="checkmark"></span>
+                            Echo Cancellation
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-processing="noiseSuppression">
+                            <span class="checkmark"></span>
+                            Noise Suppression
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" data-processing="autoGainControl">
+                            <span class="checkmark"></span>
+                            Automatic Gain Control
+                        </label>
+                    </div>
+
+                    <div class="processing-group">
+                        <h4>Processing</h4>
+                        <div id="processing-stages" class="processing-stages"></div>
+                        <div id="gate-settings" class="processing-setting" hidden>
+                            <label for="gate-threshold">Gate Threshold <span id="gate-threshold-value">-50 dB</span></label>
+                            <input type="range" id="gate-threshold" min="-80" max="-20" step="1" value="-50">
+                        </div>
+                    </div>
+
+                    <p class="processing-hint">Preview plays your processed microphone back to you. Use headphones to avoid feedback.</p>
+                </div>
+            </div>
+
+            <div id="hotkeys-panel" class="hotkeys-panel collapsed">
+                <div class="history-header">
+                    <h3>Keyboard Shortcuts</h3>
+                    <div class="history-controls">
+                        <button id="hotkeys-reset" class="history-toggle-btn">Reset</button>
+                        <button id="hotkeys-toggle" class="history-toggle-btn">Show</button>
+                    </div>
+                </div>
+                <div id="hotkeys-list" class="hotkeys-list"></div>
+                <div id="hotkeys-message" class="hotkeys-message"></div>
+            </div>
         </main>
 
         <footer class="footer">
@@ -126,7 +308,10 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
         </footer>
     </div>
 
+    <script src="assets/resampler.js?v=<?php echo time(); ?>"></script>
+    <script src="assets/audio-chain.js?v=<?php echo time(); ?>"></script>
     <script src="assets/walkie-talkie.js?v=<?php echo time(); ?>"></script>
+    <script src="assets/walkie-talkie-ui.js?v=<?php echo time(); ?>"></script>
     <script>
         let deferredPrompt;
         let installButton;
@@ -262,6 +447,9 @@ if (file_exists(__DIR__ . '/../templates/header.php')) {
             configUrl: 'config.php'
         });
 
+        // The page controls, driven by the instance's events (see docs/HEADLESS.md)
+        window.walkieTalkieUI = new WalkieTalkieUI(walkieTalkie);
+
         walkieTalkie.init();
 
         // Update URL when channel changes (optional)
@@ -1,9 +1,15 @@
-const CACHE_NAME = 'walkie-talkie-v17';
+const CACHE_NAME = 'walkie-talkie-v38';
 const urlsToCache = [
   // Don't cache PHP files - always fetch fresh
   '/assets/style.css',
   '/assets/embed.css',
   '/assets/walkie-talkie.js',
+  '/assets/walkie-talkie-ui.js',
+  '/assets/audio-processor.js',
+  '/assets/resampler.js',
+  '/assets/audio-chain.js',
+  '/assets/embed-bridge.js',
+  '/assets/walkie-talkie-element.js',
   '/assets/walkie-talkie.svg',
   '/assets/icon-192.png',
   '/assets/icon-512.png',
@@ -74,10 +80,21 @@ self.addEventListener('message', (event) => {
 
     case 'TRANSMISSION_STARTED':
       if (!isAppActive && hasNotificationPermission) {
-        showTransmissionNotification(data.channel);
+        showTransmissionNotification(data.channel, data.name);
       }
       break;
 
+    case 'INCOMING_CALL':
+      // Calls aren't rate limited like transmissions; every call rings
+      if (!isAppActive && hasNotificationPermission) {
+        showCallNotification(data.callId, data.from, data.channel);
+      }
+      break;
+
+    case 'CALL_ENDED':
+      closeCallNotification(data.callId);
+      break;
+
     case 'NOTIFICATION_PERMISSION':
       hasNotificationPermission = data.granted;
       break;
@@ -85,11 +102,11 @@ self.addEventListener('message', (event) => {
 });
 
 // Show notification for new transmission
-async function showTransmissionNotification(channel) {
+async function showTransmissionNotification(channel, name) {
   try {
     const title = '📻 Walkie Talkie';
     const options = {
-      body: `New transmission on Channel ${channel}`,
+      body: `New transmission on ${name || `Channel ${channel}`}`,
       icon: '/assets/icon-192.png',
       badge: '/assets/icon-192.png',
       tag: 'walkie-transmission',
@@ -119,12 +136,52 @@ async function showTransmissionNotification(channel) {
   }
 }
 
+// Show notification for an incoming private call
+async function showCallNotification(callId, from, channel) {
+  try {
+    await self.registration.showNotification('📞 Incoming Call', {
+      body: `${from} is calling you`,
+      icon: '/assets/icon-192.png',
+      badge: '/assets/icon-192.png',
+      tag: `walkie-call-${callId}`,
+      renotify: true,
+      requireInteraction: true,
+      vibrate: [400, 200, 400, 200, 400],
+      actions: [
+        {
+          action: 'open',
+          title: 'Open App'
+        },
+        {
+          action: 'dismiss',
+          title: 'Dismiss'
+        }
+      ],
+      data: {
+        channel: channel,
+        callId: callId,
+        timestamp: Date.now()
+      }
+    });
+    console.log(`Notification shown for call from ${from}`);
+
+  } catch (error) {
+    console.error('Failed to show call notification:', error);
+  }
+}
+
+// Remove the call notification once the call is answered, declined or gone
+async function closeCallNotification(callId) {
+  const notifications = await self.registration.getNotifications({ tag: `walkie-call-${callId}` });
+  notifications.forEach((notification) => notification.close());
+}
+
 // Handle notification clicks
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
-  const { action, data } = event;
-  const channel = data?.channel || '1';
+  const { action } = event;
+  const channel = event.notification.data?.channel || lastActiveChannel || '1';
 
   if (action === 'open' || !action) {
     // Open or focus the walkie talkie app
@@ -140,7 +197,8 @@ self.addEventListener('notificationclick', (event) => {
 
           // Open new window if app not found
           if (clients.openWindow) {
-            return clients.openWindow(`/?channel=${channel}`);
+            // Channels may be named (slugs), so encode them for the deep link
+            return clients.openWindow(`/?channel=${encodeURIComponent(channel)}`);
           }
         })
     );
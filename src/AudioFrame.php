@@ -0,0 +1,140 @@
+<?php
+/**
+ * Walkie Talkie PWA - Binary Audio Frame Codec
+ *
+ * Copyright (C) 2025 Matthew Asham
+ *
+ * This program is dual-licensed:
+ *
+ * 1. GNU Affero General Public License v3.0 or later (AGPL-3.0-or-later)
+ *    For open source use, you can redistribute it and/or modify it under
+ *    the terms of the GNU Affero General Public License as published by
+ *    the Free Software Foundation, either version 3 of the License, or
+ *    (at your option) any later version.
+ *
+ * 2. Commercial License
+ *    For commercial or proprietary use without AGPL-3.0 obligations,
+ *    contact Matthew Asham at https://www.asham.ca/
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace WalkieTalkie;
+
+/**
+ * AudioFrame - Encodes and decodes binary WebSocket audio frames
+ *
+ * Frame layout (all integers big-endian):
+ *
+ *   offset  size  field
+ *   0       2     magic "WT"
+ *   2       1     version (1)
+ *   3       1     format (1 = pcm16, 2 = opus)
+ *   4       4     sample rate in Hz
+ *   8       4     sequence number
+ *   12      4     FNV-1a hash of the sender's clientId
+ *   16      2     duration in tenths of a millisecond
+ *   18      1     channel name length (N)
+ *   19      N     channel name (UTF-8)
+ *   19+N    ...   raw audio payload
+ */
+class AudioFrame
+{
+    public const MAGIC = 'WT';
+    public const VERSION = 1;
+    public const HEADER_SIZE = 19; // Fixed part of the header, before the channel name
+
+    private const FORMATS = [
+        1 => 'pcm16',
+        2 => 'opus'
+    ];
+
+    /**
+     * Check whether a raw WebSocket payload is a binary audio frame
+     */
+    public static function isFrame(string $payload): bool
+    {
+        return strlen($payload) >= self::HEADER_SIZE
+            && substr($payload, 0, 2) === self::MAGIC
+            && ord($payload[2]) === self::VERSION;
+    }
+
+    /**
+     * Decode a binary audio frame
+     *
+     * @param string $payload Raw WebSocket payload
+     * @return array|null Frame fields, or null if the frame is malformed
+     */
+    public static function decode(string $payload): ?array
+    {
+        if (!self::isFrame($payload)) {
+            return null;
+        }
+
+        $header = unpack('Cformat/NsampleRate/Nsequence/NclientHash/nduration/CchannelLength', $payload, 3);
+        $format = self::FORMATS[$header['format']] ?? null;
+
+        if ($format === null || strlen($payload) < self::HEADER_SIZE + $header['channelLength']) {
+            return null;
+        }
+
+        return [
+            'format' => $format,
+            'sampleRate' => $header['sampleRate'],
+            'sequence' => $header['sequence'],
+            'clientHash' => $header['clientHash'],
+            'duration' => $header['duration'] / 10,
+            'channel' => substr($payload, self::HEADER_SIZE, $header['channelLength']),
+            'payload' => (string)substr($payload, self::HEADER_SIZE + $header['channelLength'])
+        ];
+    }
+
+    /**
+     * Encode a binary audio frame
+     *
+     * @param array $frame Frame fields as returned by decode()
+     * @return string Raw frame bytes
+     */
+    public static function encode(array $frame): string
+    {
+        $formatCode = array_search($frame['format'], self::FORMATS, true);
+        if ($formatCode === false) {
+            throw new \InvalidArgumentException("Unsupported audio frame format: {$frame['format']}");
+        }
+
+        $channel = substr((string)$frame['channel'], 0, 255);
+
+        return self::MAGIC . pack(
+            'CCNNNnC',
+            self::VERSION,
+            $formatCode,
+            $frame['sampleRate'],
+            $frame['sequence'] & 0xFFFFFFFF,
+            $frame['clientHash'] & 0xFFFFFFFF,
+            min(0xFFFF, (int)round($frame['duration'] * 10)),
+            strlen($channel)
+        ) . $channel . $frame['payload'];
+    }
+
+    /**
+     * Check whether a wire format can be carried in a binary frame
+     */
+    public static function supportsFormat(string $format): bool
+    {
+        return in_array($format, self::FORMATS, true);
+    }
+
+    /**
+     * Hash a clientId the same way the browser client does (32-bit FNV-1a)
+     */
+    public static function hashClientId(string $clientId): int
+    {
+        return (int)hexdec(hash('fnv1a32', $clientId));
+    }
+}
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Walkie Talkie PWA - Channel Directory
+ *
+ * Copyright (C) 2025 Matthew Asham
+ *
+ * This program is dual-licensed:
+ *
+ * 1. GNU Affero General Public License v3.0 or later (AGPL-3.0-or-later)
+ *    For open source use, you can redistribute it and/or modify it under
+ *    the terms of the GNU Affero General Public License as published by
+ *    the Free Software Foundation, either version 3 of the License, or
+ *    (at your option) any later version.
+ *
+ * 2. Commercial License
+ *    For commercial or proprietary use without AGPL-3.0 obligations,
+ *    contact Matthew Asham at https://www.asham.ca/
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+namespace WalkieTalkie;
+
+/**
+ * ChannelDirectory - Named channels loaded from a JSON file
+ *
+ * Each entry has a slug (used as the channel ID on the wire), a display name,
+ * and an optional description and icon:
+ *
+ *   {
+ *     "channels": [
+ *       { "slug": "logistics", "name": "Logistics", "description": "Trucks and deliveries", "icon": "🚚" }
+ *     ]
+ *   }
+ *
+ * Numbered channels 1-999 are always valid. A numeric slug gives one of them a name.
+ * The file is re-read when it changes, so the running server picks up edits.
+ */
+class ChannelDirectory
+{
+    public const SLUG_PATTERN = '/^[a-z0-9][a-z0-9-]{0,31}$/';
+    public const MIN_NUMBERED_CHANNEL = 1;
+    public const MAX_NUMBERED_CHANNEL = 999;
+
+    private string $path;
+    private array $channels = []; // Map: slug => entry
+    private ?int $loadedMtime = null;
+
+    public function __construct(string $path)
+    {
+        $this->path = $path;
+    }
+
+    /**
+     * Create a directory for the file configured in CHANNEL_DIRECTORY_FILE (relative to the project root)
+     */
+    public static function fromEnvironment(): self
+    {
+        $file = $_ENV['CHANNEL_DIRECTORY_FILE'] ?? 'channels.json';
+        $path = str_starts_with($file, '/') ? $file : __DIR__ . '/../' . $file;
+
+        return new self($path);
+    }
+
+    /**
+     * Get every named channel, in file order
+     *
+     * @return array List of ['slug', 'name', 'description', 'icon']
+     */
+    public function all(): array
+    {
+        $this->refresh();
+        return array_values($this->channels);
+    }
+
+    /**
+     * Get a named channel by slug
+     */
+    public function get(string $slug): ?array
+    {
+        $this->refresh();
+        return $this->channels[$slug] ?? null;
+    }
+
+    /**
+     * Check whether a channel ID is in the directory
+     */
+    public function has(string $slug): bool
+    {
+        return $this->get($slug) !== null;
+    }
+
+    /**
+     * Turn user input into a canonical channel ID
+     *
+     * Numbers are accepted as-is ("007" becomes "7"); anything else must be a slug in the directory.
+     *
+     * @return string|null The channel ID, or null if there is no such channel
+     */
+    public function normalizeChannel($channel): ?string
+    {
+        $channel = strtolower(trim((string)$channel));
+
+        if (ctype_digit($channel)) {
+            $number = (int)$channel;
+            if ($number < self::MIN_NUMBERED_CHANNEL || $number > self::MAX_NUMBERED_CHANNEL) {
+                return null;
+            }
+            return (string)$number;
+        }
+
+        return $this->has($channel) ? $channel : null;
+    }
+
+    /**
+     * Get the display name of a channel ("Channel 7" for unnamed numbered channels)
+     */
+    public function getDisplayName(string $channel): string
+    {
+        $entry = $this->get($channel);
+        return $entry ? $entry['name'] : "Channel {$channel}";
+    }
+
+    /**
+     * Reload the file if it changed since it was last read
+     */
+    private function refresh(): void
+    {
+        clearstatcache(true, $this->path);
+        $mtime = file_exists($this->path) ? filemtime($this->path) : null;
+
+        if ($mtime === $this->loadedMtime) {
+            return;
+        }
+
+        $this->loadedMtime = $mtime;
+        $this->channels = [];
+
+        if ($mtime === null) {
+            return;
+        }
+
+        $data = json_decode((string)file_get_contents($this->path), true);
+        if (!is_array($data) || !isset($data['channels']) || !is_array($data['channels'])) {
+            error_log("Channel directory {$this->path} is not valid JSON with a \"channels\" list");
+            return;
+        }
+
+        foreach ($data['channels'] as $entry) {
+            $channel = $this->validateEntry($entry);
+            if ($channel === null) {
+                error_log('Skipping invalid channel directory entry: ' . json_encode($entry));
+                continue;
+            }
+
+            $this->channels[$channel['slug']] = $channel;
+        }
+    }
+
+    private function validateEntry($entry): ?array
+    {
+        if (!is_array($entry) || !isset($entry['slug'])) {
+            return null;
+        }
+
+        $slug = strtolower(trim((string)$entry['slug']));
+        if (!preg_match(self::SLUG_PATTERN, $slug)) {
+            return null;
+        }
+
+        // Numeric slugs name a numbered channel, so they must be in range and canonical
+        if (ctype_digit($slug)) {
+            $number = (int)$slug;
+            if ($number < self::MIN_NUMBERED_CHANNEL || $number > self::MAX_NUMBERED_CHANNEL || (string)$number !== $slug) {
+                return null;
+            }
+        }
+
+        $name = trim((string)($entry['name'] ?? ''));
+
+        return [
+            'slug' => $slug,
+            'name' => $name !== '' ? $name : "Channel {$slug}",
+            'description' => trim((string)($entry['description'] ?? '')),
+            'icon' => trim((string)($entry['icon'] ?? '')) ?: null
+        ];
+    }
+}
@@ -29,6 +29,7 @@ namespace WalkieTalkie;
 
 use Ratchet\MessageComponentInterface;
 use Ratchet\ConnectionInterface;
+use Ratchet\RFC6455\Messaging\Frame;
 use SplObjectStorage;
 use PDO;
 use PDOException;
@@ -50,6 +51,24 @@ class WebSocketServer implements MessageComponentInterface
     // PTT lockout configuration
     protected $pttLockoutEnabled = true; // Whether to enforce one-speaker-at-a-time per channel
 
+    // Transmit time-out configuration
+    protected $maxTransmitSeconds = 0; // Longest allowed transmission (0 = unlimited)
+    protected $transmitTimeoutGrace = 2; // Extra seconds for audio still in flight when the client times out
+    protected $transmitStartTimes = []; // Map: "resourceId_channel" => start time, or false once timed out
+
+    // Store-and-forward transmissions recorded while the client was offline
+    protected $transmissionRecordedAt = []; // Map: "resourceId_channel" => original recording time in ms
+
+    // Audio codec negotiation
+    protected $opusEnabled = true; // Whether Opus may be selected as the wire format
+    protected $connectionCodecs = []; // Map: resourceId => list of codecs the client can encode and decode
+    protected $channelCodecs = []; // Map: channelId => currently selected wire format
+
+    // Binary audio frames
+    protected $binaryFramesEnabled = true; // Whether audio may be exchanged as binary frames
+    protected $binaryClients = []; // Set of resourceIds that accept binary audio frames
+    protected $connectionClientIds = []; // Map: resourceId => clientId announced with push_to_talk_start
+
     // Authentication tracking
     protected $authenticatedUsers = []; // Map: resourceId => user data
     protected $anonymousSessions = []; // Map: resourceId => screen name
@@ -58,6 +77,18 @@ class WebSocketServer implements MessageComponentInterface
     // Welcome messages
     protected $welcomeMessages = []; // Cached welcome messages by trigger type
 
+    // Named channels
+    protected $channelDirectory; // ChannelDirectory instance
+    protected $directoryWatchers = []; // Map: resourceId => connection receiving live channel counts
+
+    // Channel roster
+    protected $channelJoinTimes = []; // Map: channelId => [resourceId => join time in ms]
+    protected $lastTransmitTimes = []; // Map: resourceId => time of the last push_to_talk_start/end in ms
+
+    // Private one-to-one calls
+    const PRIVATE_CHANNEL_PREFIX = 'call:'; // Can't collide with numbered channels or directory slugs
+    protected $privateCalls = []; // Map: callId => ['caller' => conn, 'callee' => conn, 'channel' => channelId, 'state' => 'ringing'|'active']
+
     public function __construct(?PluginManager $pluginManager = null)
     {
         $this->clients = new SplObjectStorage;
@@ -66,6 +97,8 @@ class WebSocketServer implements MessageComponentInterface
         $this->activeTransmitters = []; // Map: channelId => connectionResourceId
         $this->pluginManager = $pluginManager;
         $this->loadConfiguration();
+        $this->channelDirectory = ChannelDirectory::fromEnvironment();
+        echo "Channel directory: " . count($this->channelDirectory->all()) . " named channels\n";
         $this->initDatabase();
         $this->loadWelcomeMessages();
     }
@@ -87,6 +120,20 @@ class WebSocketServer implements MessageComponentInterface
         $pttLockout = $_ENV['PTT_LOCKOUT_ENABLED'] ?? 'true';
         $this->pttLockoutEnabled = ($pttLockout === 'true' || $pttLockout === '1');
 
+        // Load transmit time-out setting
+        $maxTransmit = $_ENV['PTT_MAX_TRANSMIT_SECONDS'] ?? null;
+        if ($maxTransmit !== null && is_numeric($maxTransmit)) {
+            $this->maxTransmitSeconds = max(0, (int)$maxTransmit);
+        }
+
+        // Load Opus codec setting
+        $opusEnabled = $_ENV['AUDIO_OPUS_ENABLED'] ?? 'true';
+        $this->opusEnabled = ($opusEnabled === 'true' || $opusEnabled === '1');
+
+        // Load binary audio frame setting
+        $binaryFrames = $_ENV['AUDIO_BINARY_FRAMES_ENABLED'] ?? 'true';
+        $this->binaryFramesEnabled = ($binaryFrames === 'true' || $binaryFrames === '1');
+
         // Load trusted proxy IPs from environment variable
         $trustedProxiesEnv = $_ENV['TRUSTED_PROXIES'] ?? '';
         if (!empty($trustedProxiesEnv)) {
@@ -98,6 +145,9 @@ class WebSocketServer implements MessageComponentInterface
 
         echo "Message history config: Max {$this->maxMessagesPerChannel} messages, Max age {$this->maxMessageAge} seconds\n";
         echo "PTT lockout: " . ($this->pttLockoutEnabled ? 'enabled' : 'disabled') . "\n";
+        echo "Transmit time-out: " . ($this->maxTransmitSeconds > 0 ? "{$this->maxTransmitSeconds} seconds" : 'unlimited') . "\n";
+        echo "Opus codec: " . ($this->opusEnabled ? 'enabled' : 'disabled') . "\n";
+        echo "Binary audio frames: " . ($this->binaryFramesEnabled ? 'enabled' : 'disabled') . "\n";
     }
 
     private function initDatabase()
@@ -144,9 +194,11 @@ class WebSocketServer implements MessageComponentInterface
                     channel TEXT NOT NULL,
                     client_id TEXT NOT NULL,
                     audio_data TEXT NOT NULL,
+                    format TEXT NOT NULL DEFAULT \'pcm16\',
                     sample_rate INTEGER NOT NULL,
                     duration INTEGER NOT NULL,
-                    timestamp INTEGER NOT NULL
+                    timestamp INTEGER NOT NULL,
+                    recorded_at INTEGER
                 )
             ');
             echo "Table created\n";
@@ -368,7 +420,14 @@ class WebSocketServer implements MessageComponentInterface
 
     public function onMessage(ConnectionInterface $from, $msg)
     {
-        $data = json_decode($msg, true);
+        $msg = (string)$msg;
+
+        // Binary audio frames are converted to the equivalent audio_data message
+        if (AudioFrame::isFrame($msg)) {
+            $data = $this->audioFrameToMessage($from, $msg);
+        } else {
+            $data = json_decode($msg, true);
+        }
 
         if (!$data) return;
 
@@ -391,20 +450,31 @@ class WebSocketServer implements MessageComponentInterface
                 $this->setAnonymousScreenName($from, $data['screen_name'] ?? '');
                 break;
 
+            case 'codec_capabilities':
+                $this->setConnectionCodecs($from, $data['codecs'] ?? [], !empty($data['binaryFrames']));
+                break;
+
             case 'join_channel':
-                $this->joinChannel($from, $data['channel'] ?? '1');
+                $this->joinChannel($from, $data['channel'] ?? '1', !empty($data['scan']));
                 break;
 
             case 'leave_channel':
                 $this->leaveChannel($from, $data['channel'] ?? '1');
                 break;
 
+            case 'channel_directory_subscribe':
+                $this->directoryWatchers[$from->resourceId] = $from;
+                $from->send(json_encode($this->getChannelCountsMessage()));
+                break;
+
             case 'audio_data':
-                $this->broadcastAudio($from, $data);
+                if ($this->checkTransmitTimeout($from, $data['channel'] ?? '1')) {
+                    $this->broadcastAudio($from, $data);
+                }
                 break;
 
             case 'push_to_talk_start':
-                $this->handlePushToTalkStart($from, $data['channel'] ?? '1');
+                $this->handlePushToTalkStart($from, $data['channel'] ?? '1', $data['clientId'] ?? null, $data['recordedAt'] ?? null);
                 break;
 
             case 'push_to_talk_end':
@@ -415,6 +485,18 @@ class WebSocketServer implements MessageComponentInterface
                 $this->sendChannelHistory($from, $data['channel'] ?? '1');
                 break;
 
+            case 'call_request':
+                $this->handleCallRequest($from, $data['target'] ?? null);
+                break;
+
+            case 'call_accept':
+                $this->handleCallAccept($from, (string)($data['call_id'] ?? ''));
+                break;
+
+            case 'call_end':
+                $this->handleCallEnd($from, (string)($data['call_id'] ?? ''), $data['reason'] ?? null);
+                break;
+
             case 'reload_welcome_messages':
                 $this->reloadWelcomeMessages($from);
                 break;
@@ -443,6 +525,19 @@ class WebSocketServer implements MessageComponentInterface
             }
         }
 
+        // Clean up transmit time-out clocks and deferred recording times for this connection
+        foreach (array_keys($this->transmitStartTimes) as $key) {
+            if (strpos($key, $conn->resourceId . '_') === 0) {
+                unset($this->transmitStartTimes[$key]);
+            }
+        }
+
+        foreach (array_keys($this->transmissionRecordedAt) as $key) {
+            if (strpos($key, $conn->resourceId . '_') === 0) {
+                unset($this->transmissionRecordedAt[$key]);
+            }
+        }
+
         // Clean up active transmitter locks for this connection
         foreach ($this->activeTransmitters as $channel => $resourceId) {
             if ($resourceId === $conn->resourceId) {
@@ -463,6 +558,19 @@ class WebSocketServer implements MessageComponentInterface
             unset($this->anonymousSessions[$conn->resourceId]);
         }
 
+        unset($this->connectionCodecs[$conn->resourceId]);
+        unset($this->binaryClients[$conn->resourceId]);
+        unset($this->connectionClientIds[$conn->resourceId]);
+        unset($this->directoryWatchers[$conn->resourceId]);
+        unset($this->lastTransmitTimes[$conn->resourceId]);
+
+        // Hang up (or stop ringing) any call this connection was part of
+        foreach ($this->privateCalls as $callId => $call) {
+            if ($call['caller'] === $conn || $call['callee'] === $conn) {
+                $this->endPrivateCall($callId, 'disconnected', $conn);
+            }
+        }
+
         $this->removeFromAllChannels($conn);
         $this->clients->detach($conn);
 
@@ -479,14 +587,35 @@ class WebSocketServer implements MessageComponentInterface
         $conn->close();
     }
 
-    private function joinChannel(ConnectionInterface $conn, string $channelId)
+    /**
+     * Join a channel
+     *
+     * Normally a connection is in one channel at a time. Scanning clients pass $keepOtherChannels
+     * to stay joined to the channels they monitor.
+     */
+    private function joinChannel(ConnectionInterface $conn, string $channelId, bool $keepOtherChannels = false)
     {
-        // Validate channel ID (1-999)
-        $channelNum = intval($channelId);
-        if ($channelNum < 1 || $channelNum > 999) {
+        // Validate channel ID (1-999, a named channel from the directory, or our own private call)
+        $requestedChannel = $channelId;
+        if ($this->isPrivateChannel($channelId)) {
+            if (!$this->isCallParticipant($conn, $channelId)) {
+                $conn->send(json_encode([
+                    'type' => 'error',
+                    'code' => 'call_failed',
+                    'message' => 'This private call has ended'
+                ]));
+                return;
+            }
+        } else {
+            $channelId = $this->channelDirectory->normalizeChannel($channelId);
+        }
+
+        if ($channelId === null) {
             $conn->send(json_encode([
                 'type' => 'error',
-                'message' => 'Invalid channel. Channel must be between 1 and 999.'
+                'code' => 'unknown_channel',
+                'channel' => (string)$requestedChannel,
+                'message' => 'Invalid channel. Use a channel number between 1 and 999 or a channel from the directory.'
             ]));
             return;
         }
@@ -515,8 +644,16 @@ class WebSocketServer implements MessageComponentInterface
             return;
         }
 
-        // Remove from all other channels first
-        $this->removeFromAllChannels($conn);
+        // Already a member (e.g. a scanned channel became the talk channel); just confirm it
+        if ($keepOtherChannels && isset($this->channels[$channelId]) && $this->channels[$channelId]->contains($conn)) {
+            $conn->send(json_encode($this->getChannelJoinedMessage($conn, $channelId)));
+            return;
+        }
+
+        // Remove from all other channels first, unless the client is scanning
+        if (!$keepOtherChannels) {
+            $this->removeFromAllChannels($conn);
+        }
 
         // Create channel if it doesn't exist
         $isNewChannel = !isset($this->channels[$channelId]);
@@ -531,23 +668,29 @@ class WebSocketServer implements MessageComponentInterface
 
         // Add to new channel
         $this->channels[$channelId]->attach($conn);
+        $this->channelJoinTimes[$channelId][$conn->resourceId] = (int)round(microtime(true) * 1000);
 
-        $conn->send(json_encode([
-            'type' => 'channel_joined',
-            'channel' => $channelId,
-            'participants' => count($this->channels[$channelId])
-        ]));
+        $conn->send(json_encode($this->getChannelJoinedMessage($conn, $channelId)));
 
         $this->broadcastToChannel($channelId, [
             'type' => 'participant_joined',
+            'channel' => $channelId,
             'screen_name' => $identity['screen_name'],
+            'member' => $this->getRosterEntry($conn, $channelId),
             'participants' => count($this->channels[$channelId])
         ], $conn);
 
         echo "Connection {$conn->resourceId} ({$identity['screen_name']}) joined channel {$channelId}\n";
 
-        // Play channel join welcome messages
-        $this->playWelcomeMessages($conn, 'channel_join', $channelId);
+        $this->broadcastChannelCounts();
+
+        // Re-negotiate the wire format now that membership changed
+        $this->announceChannelCodec($channelId, $conn);
+
+        // Play channel join welcome messages (private calls don't get any)
+        if (!$this->isPrivateChannel($channelId)) {
+            $this->playWelcomeMessages($conn, 'channel_join', $channelId);
+        }
     }
 
     private function leaveChannel(ConnectionInterface $conn, string $channelId)
@@ -561,6 +704,7 @@ class WebSocketServer implements MessageComponentInterface
             }
 
             $this->channels[$channelId]->detach($conn);
+            unset($this->channelJoinTimes[$channelId][$conn->resourceId]);
 
             $conn->send(json_encode([
                 'type' => 'channel_left',
@@ -571,8 +715,12 @@ class WebSocketServer implements MessageComponentInterface
             if (count($this->channels[$channelId]) > 0) {
                 $this->broadcastToChannel($channelId, [
                     'type' => 'participant_left',
+                    'channel' => $channelId,
+                    'member_id' => $conn->resourceId,
+                    'screen_name' => $identity['screen_name'] ?? null,
                     'participants' => count($this->channels[$channelId])
                 ]);
+                $this->announceChannelCodec($channelId);
             } else {
                 // Execute plugin hook for empty channel
                 if ($this->pluginManager) {
@@ -581,30 +729,327 @@ class WebSocketServer implements MessageComponentInterface
 
                 // Remove empty channel
                 unset($this->channels[$channelId]);
+                unset($this->channelCodecs[$channelId]);
+                unset($this->channelJoinTimes[$channelId]);
             }
 
             echo "Connection {$conn->resourceId} left channel {$channelId}\n";
+
+            $this->broadcastChannelCounts();
         }
     }
 
     private function removeFromAllChannels(ConnectionInterface $conn)
     {
+        $removed = false;
+
         foreach ($this->channels as $channelId => $channel) {
             if ($channel->contains($conn)) {
                 $channel->detach($conn);
+                unset($this->channelJoinTimes[$channelId][$conn->resourceId]);
+                $removed = true;
 
                 // Update participant count for remaining users
                 if (count($channel) > 0) {
                     $this->broadcastToChannel($channelId, [
                         'type' => 'participant_left',
+                        'channel' => (string)$channelId,
+                        'member_id' => $conn->resourceId,
                         'participants' => count($channel)
                     ]);
+                    $this->announceChannelCodec($channelId);
                 } else {
                     // Remove empty channel
                     unset($this->channels[$channelId]);
+                    unset($this->channelCodecs[$channelId]);
+                    unset($this->channelJoinTimes[$channelId]);
                 }
             }
         }
+
+        if ($removed) {
+            $this->broadcastChannelCounts();
+        }
+    }
+
+    /**
+     * Ring another member of one of the caller's channels
+     *
+     * @param mixed $target Member id of the callee, as listed in the roster
+     */
+    private function handleCallRequest(ConnectionInterface $conn, $target): void
+    {
+        $identity = $this->getConnectionIdentity($conn);
+        $callee = is_numeric($target) ? $this->findConnection((int)$target) : null;
+        $calleeIdentity = $callee ? $this->getConnectionIdentity($callee) : null;
+
+        $error = null;
+        if (!$identity) {
+            $error = 'Must authenticate or set screen name first';
+        } elseif (!$callee || !$calleeIdentity || $callee === $conn) {
+            $error = 'That user is no longer available';
+        } elseif (!$this->sharesChannel($conn, $callee)) {
+            $error = 'You can only call people in your channel';
+        } elseif ($this->findCallFor($conn) !== null) {
+            $error = 'You are already in a call';
+        } elseif ($this->findCallFor($callee) !== null) {
+            $error = "{$calleeIdentity['screen_name']} is busy on another call";
+        }
+
+        if ($error !== null) {
+            $conn->send(json_encode([
+                'type' => 'error',
+                'code' => 'call_failed',
+                'message' => $error
+            ]));
+            return;
+        }
+
+        $callId = bin2hex(random_bytes(8));
+        $this->privateCalls[$callId] = [
+            'caller' => $conn,
+            'callee' => $callee,
+            'channel' => self::PRIVATE_CHANNEL_PREFIX . $callId,
+            'state' => 'ringing'
+        ];
+
+        $conn->send(json_encode([
+            'type' => 'call_ringing',
+            'call_id' => $callId,
+            'to' => ['id' => $callee->resourceId, 'screen_name' => $calleeIdentity['screen_name']]
+        ]));
+
+        $callee->send(json_encode([
+            'type' => 'call_incoming',
+            'call_id' => $callId,
+            'from' => [
+                'id' => $conn->resourceId,
+                'screen_name' => $identity['screen_name'],
+                'authenticated' => $identity['type'] === 'authenticated'
+            ]
+        ]));
+
+        echo "[CALL] {$identity['screen_name']} is calling {$calleeIdentity['screen_name']} ({$callId})\n";
+    }
+
+    private function handleCallAccept(ConnectionInterface $conn, string $callId): void
+    {
+        $call = $this->privateCalls[$callId] ?? null;
+
+        if (!$call || $call['callee'] !== $conn || $call['state'] !== 'ringing') {
+            $conn->send(json_encode([
+                'type' => 'error',
+                'code' => 'call_failed',
+                'message' => 'This call is no longer ringing'
+            ]));
+            return;
+        }
+
+        $this->privateCalls[$callId]['state'] = 'active';
+
+        // Both parties join the private channel themselves once they know its ID
+        $message = json_encode([
+            'type' => 'call_accepted',
+            'call_id' => $callId,
+            'channel' => $call['channel']
+        ]);
+        $call['caller']->send($message);
+        $call['callee']->send($message);
+
+        echo "[CALL] Call {$callId} accepted\n";
+    }
+
+    /**
+     * Decline, cancel or hang up a call, depending on its state and who sent it
+     *
+     * @param mixed $reason Optional client reason; only "timeout" (nobody answered) is accepted
+     */
+    private function handleCallEnd(ConnectionInterface $conn, string $callId, $reason = null): void
+    {
+        $call = $this->privateCalls[$callId] ?? null;
+        if (!$call || ($call['caller'] !== $conn && $call['callee'] !== $conn)) {
+            return;
+        }
+
+        if ($call['state'] === 'active') {
+            $reason = 'hangup';
+        } elseif ($reason !== 'timeout') {
+            $reason = $call['caller'] === $conn ? 'cancelled' : 'declined';
+        }
+
+        $this->endPrivateCall($callId, $reason, $conn);
+    }
+
+    /**
+     * Tear down a call and tell both parties why
+     *
+     * Members are dropped from the private channel; each client then rejoins the channel it came from.
+     */
+    private function endPrivateCall(string $callId, string $reason, ?ConnectionInterface $endedBy = null): void
+    {
+        $call = $this->privateCalls[$callId] ?? null;
+        if (!$call) {
+            return;
+        }
+
+        unset($this->privateCalls[$callId]);
+
+        foreach ([$call['caller'], $call['callee']] as $party) {
+            // A disconnected party is already gone; onClose removes it from its channels
+            if ($reason === 'disconnected' && $party === $endedBy) {
+                continue;
+            }
+
+            $party->send(json_encode([
+                'type' => 'call_ended',
+                'call_id' => $callId,
+                'reason' => $reason,
+                'by_me' => $party === $endedBy
+            ]));
+
+            $this->leaveChannel($party, $call['channel']);
+        }
+
+        echo "[CALL] Call {$callId} ended ({$reason})\n";
+    }
+
+    private function isPrivateChannel(string $channelId): bool
+    {
+        return str_starts_with($channelId, self::PRIVATE_CHANNEL_PREFIX);
+    }
+
+    private function isCallParticipant(ConnectionInterface $conn, string $channelId): bool
+    {
+        foreach ($this->privateCalls as $call) {
+            if ($call['channel'] === $channelId && $call['state'] === 'active') {
+                return $call['caller'] === $conn || $call['callee'] === $conn;
+            }
+        }
+
+        return false;
+    }
+
+    private function findCallFor(ConnectionInterface $conn): ?string
+    {
+        foreach ($this->privateCalls as $callId => $call) {
+            if ($call['caller'] === $conn || $call['callee'] === $conn) {
+                return $callId;
+            }
+        }
+
+        return null;
+    }
+
+    private function findConnection(int $resourceId): ?ConnectionInterface
+    {
+        foreach ($this->clients as $client) {
+            if ($client->resourceId === $resourceId) {
+                return $client;
+            }
+        }
+
+        return null;
+    }
+
+    private function sharesChannel(ConnectionInterface $a, ConnectionInterface $b): bool
+    {
+        foreach ($this->channels as $channel) {
+            if ($channel->contains($a) && $channel->contains($b)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Build the channel_joined reply, including the roster so the client starts with the full member list
+     */
+    private function getChannelJoinedMessage(ConnectionInterface $conn, string $channelId): array
+    {
+        return [
+            'type' => 'channel_joined',
+            'channel' => $channelId,
+            'participants' => count($this->channels[$channelId]),
+            'member_id' => $conn->resourceId,
+            'members' => $this->getChannelRoster($channelId),
+            'server_time' => (int)round(microtime(true) * 1000)
+        ];
+    }
+
+    /**
+     * List the members of a channel in the order they joined
+     */
+    private function getChannelRoster(string $channelId): array
+    {
+        $members = [];
+        foreach ($this->channels[$channelId] ?? [] as $member) {
+            $entry = $this->getRosterEntry($member, $channelId);
+            if ($entry) {
+                $members[] = $entry;
+            }
+        }
+
+        usort($members, fn($a, $b) => $a['joined_at'] <=> $b['joined_at']);
+
+        return $members;
+    }
+
+    /**
+     * Describe one channel member for the roster
+     *
+     * last_active is the later of the join time and the member's last transmission,
+     * which clients use to show members as idle.
+     */
+    private function getRosterEntry(ConnectionInterface $conn, string $channelId): ?array
+    {
+        $identity = $this->getConnectionIdentity($conn);
+        if (!$identity) {
+            return null;
+        }
+
+        $joinedAt = $this->channelJoinTimes[$channelId][$conn->resourceId] ?? (int)round(microtime(true) * 1000);
+
+        return [
+            'id' => $conn->resourceId,
+            'screen_name' => $identity['screen_name'],
+            'authenticated' => $identity['type'] === 'authenticated',
+            'joined_at' => $joinedAt,
+            'last_active' => max($joinedAt, $this->lastTransmitTimes[$conn->resourceId] ?? 0),
+            'speaking' => !empty($this->transmitStartTimes[$conn->resourceId . '_' . $channelId]) // false once timed out
+        ];
+    }
+
+    /**
+     * Build the live participant counts for every channel in the directory
+     */
+    private function getChannelCountsMessage(): array
+    {
+        $counts = [];
+        foreach ($this->channelDirectory->all() as $entry) {
+            $slug = $entry['slug'];
+            $counts[$slug] = isset($this->channels[$slug]) ? count($this->channels[$slug]) : 0;
+        }
+
+        return [
+            'type' => 'channel_counts',
+            'counts' => $counts
+        ];
+    }
+
+    /**
+     * Push updated counts to every connection browsing the channel directory
+     */
+    private function broadcastChannelCounts(): void
+    {
+        if (empty($this->directoryWatchers)) {
+            return;
+        }
+
+        $message = json_encode($this->getChannelCountsMessage());
+        foreach ($this->directoryWatchers as $watcher) {
+            $watcher->send($message);
+        }
     }
 
     private function broadcastAudio(ConnectionInterface $sender, array $data)
@@ -613,12 +1058,30 @@ class WebSocketServer implements MessageComponentInterface
 
         if (!isset($this->channels[$channel])) return;
 
+        // Only the two parties may talk on a private call
+        if ($this->isPrivateChannel($channel) && !$this->channels[$channel]->contains($sender)) return;
+
+        $identity = $this->getConnectionIdentity($sender);
+        $binaryFrame = null;
+
         foreach ($this->channels[$channel] as $client) {
             if ($client !== $sender) {
+                // Binary-capable receivers get the raw payload without Base64/JSON overhead
+                if (isset($this->binaryClients[$client->resourceId]) && AudioFrame::supportsFormat($data['format'] ?? '')) {
+                    if ($binaryFrame === null) {
+                        $binaryFrame = new Frame($this->messageToAudioFrame($data, $channel), true, Frame::OP_BINARY);
+                    }
+                    $client->send($binaryFrame);
+                    continue;
+                }
+
                 $message = [
                     'type' => 'audio_data',
                     'data' => $data['data'],
-                    'channel' => $channel
+                    'channel' => $channel,
+                    'clientId' => $data['clientId'] ?? null,
+                    'screen_name' => $identity['screen_name'] ?? null,
+                    'seq' => $data['seq'] ?? null
                 ];
 
                 // Pass through format information
@@ -626,6 +1089,12 @@ class WebSocketServer implements MessageComponentInterface
                     $message['format'] = $data['format'];
                     $message['sampleRate'] = $data['sampleRate'] ?? 44100;
                     $message['channels'] = $data['channels'] ?? 1;
+
+                    if ($data['format'] === 'opus') {
+                        $message['duration'] = $data['duration'] ?? 20;
+                    } elseif ($data['format'] === 'encoded') {
+                        $message['mimeType'] = $data['mimeType'] ?? 'audio/webm';
+                    }
                 } else {
                     $message['mimeType'] = $data['mimeType'] ?? 'audio/webm';
                 }
@@ -635,24 +1104,77 @@ class WebSocketServer implements MessageComponentInterface
         }
 
         // Buffer audio chunks for complete transmission recording
-        if (isset($data['format']) && $data['format'] === 'pcm16') {
+        if (isset($data['format']) && in_array($data['format'], ['pcm16', 'opus', 'encoded'], true)) {
             $transmissionKey = $sender->resourceId . '_' . $channel;
 
             if (!isset($this->activeTransmissions[$transmissionKey])) {
                 $this->activeTransmissions[$transmissionKey] = [
                     'clientId' => $data['clientId'] ?? 'unknown',
                     'channel' => $channel,
+                    'format' => $data['format'],
                     'sampleRate' => $data['sampleRate'] ?? 44100,
                     'chunks' => [],
+                    'duration' => 0,
                     'startTime' => microtime(true)
                 ];
             }
 
+            // Keep the first format of a transmission; a mid-transmission switch would corrupt the recording
+            if ($this->activeTransmissions[$transmissionKey]['format'] !== $data['format']) {
+                return;
+            }
+
             $this->activeTransmissions[$transmissionKey]['chunks'][] = $data['data'];
+
+            if ($data['format'] === 'opus') {
+                $this->activeTransmissions[$transmissionKey]['duration'] += (float)($data['duration'] ?? 20);
+            }
         }
     }
 
-    private function handlePushToTalkStart(ConnectionInterface $conn, string $channel)
+    /**
+     * Enforce the transmit time-out for an incoming audio chunk
+     *
+     * Clients stop themselves when the time-out runs out; this catches clients that
+     * don't (older versions, a lost release event). The transmission is ended and
+     * further audio is dropped until the next push_to_talk_start.
+     *
+     * @return bool Whether the audio may be relayed
+     */
+    private function checkTransmitTimeout(ConnectionInterface $conn, string $channel): bool
+    {
+        $key = $conn->resourceId . '_' . $channel;
+
+        if ($this->maxTransmitSeconds <= 0 || !array_key_exists($key, $this->transmitStartTimes)) {
+            return true;
+        }
+
+        $startTime = $this->transmitStartTimes[$key];
+        if ($startTime === false) {
+            return false;
+        }
+
+        if (microtime(true) - $startTime <= $this->maxTransmitSeconds + $this->transmitTimeoutGrace) {
+            return true;
+        }
+
+        $identity = $this->getConnectionIdentity($conn);
+        $screenName = $identity ? $identity['screen_name'] : 'unknown';
+        echo "[TALK TIMEOUT] Channel {$channel} - {$screenName} (Client {$conn->resourceId}) exceeded {$this->maxTransmitSeconds} seconds\n";
+
+        $conn->send(json_encode([
+            'type' => 'error',
+            'code' => 'transmit_timeout',
+            'message' => "Transmission stopped after {$this->maxTransmitSeconds} seconds"
+        ]));
+
+        $this->handlePushToTalkEnd($conn, $channel);
+        $this->transmitStartTimes[$key] = false;
+
+        return false;
+    }
+
+    private function handlePushToTalkStart(ConnectionInterface $conn, string $channel, ?string $clientId = null, $recordedAt = null)
     {
         $identity = $this->getConnectionIdentity($conn);
         $clientIp = $this->getClientIp($conn);
@@ -680,7 +1202,16 @@ class WebSocketServer implements MessageComponentInterface
         }
 
         if (!$allowTransmission) {
-            return; // Plugin blocked the transmission
+            // Plugin blocked the transmission; tell the talker so clips and outbox items aren't taken as sent
+            $screenName = $identity['screen_name'];
+            echo "[TALK BLOCKED] Channel {$channel} - {$screenName} (Client {$conn->resourceId}) blocked by a plugin\n";
+
+            $conn->send(json_encode([
+                'type' => 'error',
+                'code' => 'transmission_blocked',
+                'message' => 'This transmission was not allowed'
+            ]));
+            return;
         }
 
         // Mark this connection as the active transmitter for this channel (if lockout enabled)
@@ -688,14 +1219,39 @@ class WebSocketServer implements MessageComponentInterface
             $this->activeTransmitters[$channel] = $conn->resourceId;
         }
 
+        // Start the transmit time-out clock
+        $this->transmitStartTimes[$conn->resourceId . '_' . $channel] = microtime(true);
+        $this->lastTransmitTimes[$conn->resourceId] = (int)round(microtime(true) * 1000);
+
+        // A transmission recorded while the client was offline keeps its original recording time
+        $recordedAt = $this->normalizeRecordedAt($recordedAt);
+        if ($recordedAt !== null) {
+            $this->transmissionRecordedAt[$conn->resourceId . '_' . $channel] = $recordedAt;
+        } else {
+            unset($this->transmissionRecordedAt[$conn->resourceId . '_' . $channel]);
+        }
+
+        // Remember the clientId so binary frames (which only carry its hash) can be attributed
+        if ($clientId) {
+            $this->connectionClientIds[$conn->resourceId] = $clientId;
+        }
+
         $screenName = $identity ? $identity['screen_name'] : 'unknown';
-        echo "[TALK START] Channel {$channel} - {$screenName} (Client {$conn->resourceId}) from {$clientIp}\n";
+        $deferred = $recordedAt !== null ? ' (recorded offline at ' . date('H:i:s', intdiv($recordedAt, 1000)) . ')' : '';
+        echo "[TALK START] Channel {$channel} - {$screenName} (Client {$conn->resourceId}) from {$clientIp}{$deferred}\n";
 
         $message = [
             'type' => 'user_speaking',
-            'speaking' => true
+            'channel' => $channel,
+            'speaking' => true,
+            'clientId' => $this->connectionClientIds[$conn->resourceId] ?? null,
+            'member_id' => $conn->resourceId
         ];
 
+        if ($recordedAt !== null) {
+            $message['recorded_at'] = $recordedAt;
+        }
+
         if ($identity) {
             $message['screen_name'] = $identity['screen_name'];
         }
@@ -703,6 +1259,29 @@ class WebSocketServer implements MessageComponentInterface
         $this->broadcastToChannel($channel, $message, $conn);
     }
 
+    /**
+     * Validate the original recording time sent with a store-and-forward transmission
+     *
+     * @param mixed $recordedAt Milliseconds since the epoch, as sent by the client
+     * @return int|null The recording time, or null for a live transmission or an implausible value
+     */
+    private function normalizeRecordedAt($recordedAt): ?int
+    {
+        if (!is_numeric($recordedAt)) {
+            return null;
+        }
+
+        $recordedAt = (int)$recordedAt;
+        $now = (int)round(microtime(true) * 1000);
+
+        if ($recordedAt <= 0) {
+            return null;
+        }
+
+        // The client's clock may run ahead of ours; a recording can't be from the future
+        return min($recordedAt, $now);
+    }
+
     private function handlePushToTalkEnd(ConnectionInterface $conn, string $channel)
     {
         $identity = $this->getConnectionIdentity($conn);
@@ -712,9 +1291,18 @@ class WebSocketServer implements MessageComponentInterface
             unset($this->activeTransmitters[$channel]);
         }
 
+        unset($this->transmitStartTimes[$conn->resourceId . '_' . $channel]);
+        $this->lastTransmitTimes[$conn->resourceId] = (int)round(microtime(true) * 1000);
+
+        $recordedAt = $this->transmissionRecordedAt[$conn->resourceId . '_' . $channel] ?? null;
+        unset($this->transmissionRecordedAt[$conn->resourceId . '_' . $channel]);
+
         $message = [
             'type' => 'user_speaking',
-            'speaking' => false
+            'channel' => $channel,
+            'speaking' => false,
+            'clientId' => $this->connectionClientIds[$conn->resourceId] ?? null,
+            'member_id' => $conn->resourceId
         ];
 
         if ($identity) {
@@ -729,18 +1317,34 @@ class WebSocketServer implements MessageComponentInterface
         if (isset($this->activeTransmissions[$transmissionKey])) {
             $transmission = $this->activeTransmissions[$transmissionKey];
 
-            // Decode each Base64 chunk, concatenate raw binary, then re-encode
-            $binaryData = '';
-            foreach ($transmission['chunks'] as $chunk) {
-                $binaryData .= base64_decode($chunk);
-            }
+            if ($transmission['format'] === 'opus') {
+                // Opus packets cannot be concatenated, so store them as a JSON list of Base64 packets
+                $completeAudio = json_encode($transmission['chunks']);
+                $duration = (int)round($transmission['duration']);
+            } elseif ($transmission['format'] === 'encoded') {
+                // MediaRecorder chunks are slices of one file, so joining them gives a playable recording
+                $binaryData = '';
+                foreach ($transmission['chunks'] as $chunk) {
+                    $binaryData .= base64_decode($chunk);
+                }
+                $completeAudio = base64_encode($binaryData);
 
-            // Re-encode the complete binary data as Base64
-            $completeAudio = base64_encode($binaryData);
+                // The container has no duration field we can read cheaply, so use the wall clock
+                $duration = (int)round((microtime(true) - $transmission['startTime']) * 1000);
+            } else {
+                // Decode each Base64 chunk, concatenate raw binary, then re-encode
+                $binaryData = '';
+                foreach ($transmission['chunks'] as $chunk) {
+                    $binaryData .= base64_decode($chunk);
+                }
 
-            // Calculate total duration
-            $audioDataLength = strlen($binaryData);
-            $duration = round(($audioDataLength / 2) / $transmission['sampleRate'] * 1000);
+                // Re-encode the complete binary data as Base64
+                $completeAudio = base64_encode($binaryData);
+
+                // Calculate total duration
+                $audioDataLength = strlen($binaryData);
+                $duration = round(($audioDataLength / 2) / $transmission['sampleRate'] * 1000);
+            }
 
             $clientIp = $this->getClientIp($conn);
             $clientId = $transmission['clientId'];
@@ -750,8 +1354,10 @@ class WebSocketServer implements MessageComponentInterface
             // Prepare audio data for plugins
             $audioData = [
                 'data' => $completeAudio,
+                'format' => $transmission['format'],
                 'sample_rate' => $transmission['sampleRate'],
-                'duration' => $duration
+                'duration' => $duration,
+                'recorded_at' => $recordedAt
             ];
 
             // Execute plugin hook
@@ -759,22 +1365,26 @@ class WebSocketServer implements MessageComponentInterface
                 $this->pluginManager->executeHook('plugin.audio.transmit.end', $conn, $channel, $identity, $audioData);
             }
 
-            // Save to database
-            $this->saveMessage(
-                $conn,
-                $transmission['channel'],
-                $transmission['clientId'],
-                $completeAudio,
-                $transmission['sampleRate'],
-                $duration
-            );
+            // Save to database (private calls are never recorded)
+            if (!$this->isPrivateChannel($transmission['channel'])) {
+                $this->saveMessage(
+                    $conn,
+                    $transmission['channel'],
+                    $transmission['clientId'],
+                    $completeAudio,
+                    $transmission['sampleRate'],
+                    $duration,
+                    $transmission['format'],
+                    $recordedAt
+                );
+            }
 
             // Clean up transmission buffer
             unset($this->activeTransmissions[$transmissionKey]);
         }
     }
 
-    private function saveMessage(ConnectionInterface $conn, string $channel, string $clientId, string $audioData, int $sampleRate, int $duration)
+    private function saveMessage(ConnectionInterface $conn, string $channel, string $clientId, string $audioData, int $sampleRate, int $duration, string $format = 'pcm16', ?int $recordedAt = null)
     {
         if (!$this->db) {
             return; // Database not available
@@ -790,8 +1400,8 @@ class WebSocketServer implements MessageComponentInterface
 
             // Insert new message
             $stmt = $this->db->prepare('
-                INSERT INTO message_history (channel, client_id, user_id, screen_name, audio_data, sample_rate, duration, timestamp)
-                VALUES (:channel, :client_id, :user_id, :screen_name, :audio_data, :sample_rate, :duration, :timestamp)
+                INSERT INTO message_history (channel, client_id, user_id, screen_name, audio_data, format, sample_rate, duration, timestamp, recorded_at)
+                VALUES (:channel, :client_id, :user_id, :screen_name, :audio_data, :format, :sample_rate, :duration, :timestamp, :recorded_at)
             ');
 
             $stmt->execute([
@@ -800,9 +1410,11 @@ class WebSocketServer implements MessageComponentInterface
                 ':user_id' => $userId,
                 ':screen_name' => $screenName,
                 ':audio_data' => $audioData,
+                ':format' => $format,
                 ':sample_rate' => $sampleRate,
                 ':duration' => $duration,
-                ':timestamp' => $timestamp
+                ':timestamp' => $timestamp,
+                ':recorded_at' => $recordedAt
             ]);
 
             // Clean up old messages based on count and age
@@ -840,7 +1452,7 @@ class WebSocketServer implements MessageComponentInterface
                 echo "Retrying after database lock...\n";
                 usleep(100000); // Wait 100ms
                 try {
-                    $this->saveMessage($conn, $channel, $clientId, $audioData, $sampleRate, $duration);
+                    $this->saveMessage($conn, $channel, $clientId, $audioData, $sampleRate, $duration, $format, $recordedAt);
                 } catch (PDOException $retryError) {
                     echo "Retry failed: " . $retryError->getMessage() . "\n";
                 }
@@ -858,7 +1470,7 @@ class WebSocketServer implements MessageComponentInterface
             $cutoffTimestamp = round((microtime(true) - $this->maxMessageAge) * 1000);
 
             $stmt = $this->db->prepare('
-                SELECT client_id, screen_name, audio_data, sample_rate, duration, timestamp
+                SELECT client_id, screen_name, audio_data, format, sample_rate, duration, timestamp, recorded_at
                 FROM message_history
                 WHERE channel = :channel
                 AND timestamp >= :cutoff_timestamp
@@ -884,7 +1496,7 @@ class WebSocketServer implements MessageComponentInterface
 
     private function sendChannelHistory(ConnectionInterface $conn, string $channel)
     {
-        $messages = $this->getChannelHistory($channel);
+        $messages = $this->isPrivateChannel($channel) ? [] : $this->getChannelHistory($channel);
 
         $conn->send(json_encode([
             'type' => 'history_response',
@@ -914,6 +1526,131 @@ class WebSocketServer implements MessageComponentInterface
         $this->broadcastToChannel($channelId, $message);
     }
 
+    // Binary audio frame helper methods
+
+    /**
+     * Convert a binary audio frame into the equivalent audio_data message array
+     */
+    private function audioFrameToMessage(ConnectionInterface $from, string $payload): ?array
+    {
+        $frame = AudioFrame::decode($payload);
+        if (!$frame) {
+            echo "Malformed audio frame from connection {$from->resourceId}\n";
+            return null;
+        }
+
+        return [
+            'type' => 'audio_data',
+            'channel' => $frame['channel'],
+            'data' => base64_encode($frame['payload']),
+            'format' => $frame['format'],
+            'sampleRate' => $frame['sampleRate'],
+            'channels' => 1,
+            'duration' => $frame['duration'],
+            'seq' => $frame['sequence'],
+            'clientId' => $this->connectionClientIds[$from->resourceId] ?? 'unknown',
+            'clientHash' => $frame['clientHash']
+        ];
+    }
+
+    /**
+     * Build a binary audio frame from an audio_data message array
+     */
+    private function messageToAudioFrame(array $data, string $channel): string
+    {
+        $payload = base64_decode($data['data']);
+        $sampleRate = (int)($data['sampleRate'] ?? 44100);
+
+        if (isset($data['duration'])) {
+            $duration = (float)$data['duration'];
+        } else {
+            $duration = $data['format'] === 'pcm16' ? (strlen($payload) / 2) / $sampleRate * 1000 : 20;
+        }
+
+        return AudioFrame::encode([
+            'format' => $data['format'],
+            'sampleRate' => $sampleRate,
+            'sequence' => (int)($data['seq'] ?? 0),
+            'clientHash' => $data['clientHash'] ?? AudioFrame::hashClientId((string)($data['clientId'] ?? 'unknown')),
+            'duration' => $duration,
+            'channel' => $channel,
+            'payload' => $payload
+        ]);
+    }
+
+    // Codec negotiation helper methods
+
+    private function setConnectionCodecs(ConnectionInterface $conn, $codecs, bool $binaryFrames = false): void
+    {
+        if (!is_array($codecs)) {
+            $codecs = [];
+        }
+
+        // pcm16 is always available as the common fallback
+        $codecs = array_values(array_intersect(['opus', 'pcm16'], array_merge($codecs, ['pcm16'])));
+        $this->connectionCodecs[$conn->resourceId] = $codecs;
+
+        if ($binaryFrames && $this->binaryFramesEnabled) {
+            $this->binaryClients[$conn->resourceId] = true;
+        } else {
+            unset($this->binaryClients[$conn->resourceId]);
+        }
+
+        echo "Connection {$conn->resourceId} supports codecs: " . implode(', ', $codecs) . ($binaryFrames ? ' (binary frames)' : '') . "\n";
+
+        // Capabilities may arrive after a join (e.g. on reconnect), so re-negotiate any joined channels
+        foreach ($this->channels as $channelId => $channel) {
+            if ($channel->contains($conn)) {
+                $this->announceChannelCodec((string)$channelId, $conn);
+            }
+        }
+    }
+
+    /**
+     * Pick the wire format for a channel: Opus only when enabled and every member can handle it
+     */
+    private function selectChannelCodec(string $channelId): string
+    {
+        if (!$this->opusEnabled || !isset($this->channels[$channelId])) {
+            return 'pcm16';
+        }
+
+        foreach ($this->channels[$channelId] as $client) {
+            // Connections that never advertised capabilities (e.g. CLI tools) are treated as pcm16-only
+            $codecs = $this->connectionCodecs[$client->resourceId] ?? ['pcm16'];
+            if (!in_array('opus', $codecs, true)) {
+                return 'pcm16';
+            }
+        }
+
+        return 'opus';
+    }
+
+    /**
+     * Send the channel's wire format to members when it changes, and always to a newly joined connection
+     */
+    private function announceChannelCodec(string $channelId, ?ConnectionInterface $newMember = null): void
+    {
+        if (!isset($this->channels[$channelId])) {
+            return;
+        }
+
+        $format = $this->selectChannelCodec($channelId);
+        $message = [
+            'type' => 'codec_selected',
+            'channel' => $channelId,
+            'format' => $format
+        ];
+
+        if (($this->channelCodecs[$channelId] ?? null) !== $format) {
+            $this->channelCodecs[$channelId] = $format;
+            $this->broadcastToChannel($channelId, $message);
+            echo "Channel {$channelId} wire format: {$format}\n";
+        } elseif ($newMember) {
+            $newMember->send(json_encode($message));
+        }
+    }
+
     // Authentication helper methods
 
     private function requireAuthentication(): bool